@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// An image generation task submitted to an asynchronous provider (NanoBanana). Persisted so a
+// callback that arrives after a restart can still be matched to its chunk.
+const generationTaskSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: 'nanobanana'
+  },
+  // Our reference, signed into the callback URL; known before the provider assigns taskId
+  callbackRef: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The provider's task id
+  taskId: {
+    type: String,
+    index: true
+  },
+  // image: a chunk's only image; scene / symbol: the main and secondary image of a dual image style
+  kind: {
+    type: String,
+    enum: ['image', 'scene', 'symbol'],
+    default: 'image'
+  },
+  // Text the image was generated from (chunk content, scene or symbol description)
+  content: String,
+  // Prompt sent to the provider
+  prompt: String,
+  // Chunk the result belongs to, when generated for one
+  scriptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Script'
+  },
+  chunkId: String,
+  status: {
+    type: String,
+    enum: ['pending', 'completing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  completedVia: {
+    type: String,
+    enum: ['callback', 'polling']
+  },
+  resultImageUrl: String,
+  imageUrl: String,
+  error: String,
+  errorType: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+});
+
+generationTaskSchema.index({ status: 1, createdAt: 1 });
+
+generationTaskSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('GenerationTask', generationTaskSchema);
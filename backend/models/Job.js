@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
 
+// One failed provider call in a fallback chain
+const attemptSchema = new mongoose.Schema({
+  provider: String,
+  error: String,
+  errorType: String
+}, { _id: false });
+
+// One run of a batch chunk: the first try, or a later retry of a failed chunk
+const chunkRunSchema = new mongoose.Schema({
+  // Provider and style the run was started with (provider is the one that produced the image on success)
+  provider: String,
+  style: String,
+  status: {
+    type: String,
+    enum: ['completed', 'failed']
+  },
+  error: String,
+  errorType: String,
+  // Failed calls of the fallback chain during this run
+  attempts: [attemptSchema],
+  startedAt: Date,
+  finishedAt: Date
+}, { _id: false });
+
 const jobSchema = new mongoose.Schema({
   scriptId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -8,7 +32,7 @@ const jobSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['batch_image_generation'],
+    enum: ['batch_image_generation', 'script_chunking', 'animatic_render'],
     required: true
   },
   status: {
@@ -25,7 +49,28 @@ const jobSchema = new mongoose.Schema({
     color: { type: String, default: 'white' },
     quality: { type: String, default: 'high' },
     style: { type: String, default: 'infographic' },
-    provider: { type: String, default: 'openai' }
+    provider: { type: String, default: 'openai' },
+    // Providers tried in order when the previous one fails, and the error types that trigger it
+    fallbackProviders: { type: [String], default: undefined },
+    fallbackOn: { type: [String], default: undefined },
+    // Images a dual image style produces ('scene', 'symbol'), all of them when unset
+    imageVariants: { type: [String], default: undefined },
+    // Candidate images generated per chunk, one when unset
+    candidates: Number,
+    // Optional provider parameters (see the provider's capabilities.parameters)
+    size: String,
+    seed: Number,
+    steps: Number,
+    negativePrompt: String,
+    windowWords: Number,
+    animatic: {
+      width: Number,
+      height: Number,
+      fps: Number,
+      captions: Boolean,
+      crossfadeSeconds: Number,
+      background: String
+    }
   },
   chunksToProcess: [{
     chunkId: String,
@@ -35,6 +80,13 @@ const jobSchema = new mongoose.Schema({
       default: 'pending'
     },
     error: String,
+    // Classification of the failure (see utils/providerErrors), e.g. rate_limit or content_policy
+    errorType: String,
+    // Provider that produced the image, and the failed attempts before it (or all of them)
+    provider: String,
+    attempts: [attemptSchema],
+    // Every run of this chunk, oldest first, so chunks that keep failing show why
+    history: [chunkRunSchema],
     processedAt: Date
   }],
   createdAt: {
@@ -45,8 +97,17 @@ const jobSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // When the processor first picked the job up
+  startedAt: Date,
   completedAt: Date,
-  error: String
+  // Set while a batch job is paused
+  pausedAt: Date,
+  error: String,
+  result: {
+    filename: String,
+    sizeBytes: Number,
+    durationSeconds: Number
+  }
 });
 
 jobSchema.pre('save', function(next) {
@@ -1,5 +1,54 @@
 const mongoose = require('mongoose');
 
+// A provider that failed before imageProvider produced the image (fallback chain)
+const imageAttemptSchema = new mongoose.Schema({
+  provider: String,
+  error: String,
+  errorType: String
+}, { _id: false });
+
+// One result of a generation that asked for several candidates (see utils/chunkImages)
+const imageCandidateSchema = new mongoose.Schema({
+  imageUrl: String,
+  secondaryImageUrl: String,
+  sceneDescription: String,
+  symbolDescription: String,
+  // Images of a dual image style this candidate has, unset for single image styles
+  variants: { type: [String], default: undefined },
+  provider: String,
+  attempts: { type: [imageAttemptSchema], default: [] },
+  generatedAt: Date
+}, { _id: false });
+
+// A generated image kept in the chunk's history with everything needed to tell versions apart
+const imageVersionSchema = new mongoose.Schema({
+  imageUrl: String,
+  secondaryImageUrl: String,
+  sceneDescription: String,
+  symbolDescription: String,
+  variants: { type: [String], default: undefined },
+  // Text sent to the image model for the main and the secondary image
+  prompt: String,
+  secondaryPrompt: String,
+  // Chunk text the image was generated for
+  content: String,
+  provider: String,
+  attempts: { type: [imageAttemptSchema], default: [] },
+  // What the provider reports about the request: model, task ids and other response details
+  model: String,
+  taskId: String,
+  secondaryTaskId: String,
+  providerMetadata: mongoose.Schema.Types.Mixed,
+  style: String,
+  quality: String,
+  color: String,
+  size: String,
+  seed: Number,
+  steps: Number,
+  negativePrompt: String,
+  generatedAt: Date
+});
+
 const chunkSchema = new mongoose.Schema({
   id: {
     type: String,
@@ -40,6 +89,33 @@ const chunkSchema = new mongoose.Schema({
   imageProvider: {
     type: String,
     default: null
+  },
+  imageAttempts: {
+    type: [imageAttemptSchema],
+    default: []
+  },
+  // Set when the chunk text changes after its images were generated
+  imageStale: {
+    type: Boolean,
+    default: false
+  },
+  imageGeneratedAt: {
+    type: Date,
+    default: null
+  },
+  // Every candidate of the latest generation; the selected one is copied into the image fields above
+  imageCandidates: {
+    type: [imageCandidateSchema],
+    default: []
+  },
+  selectedImageCandidate: {
+    type: Number,
+    default: null
+  },
+  // Every generated image, oldest first, trimmed to IMAGE_HISTORY_LIMIT (see utils/chunkImages)
+  imageHistory: {
+    type: [imageVersionSchema],
+    default: []
   }
 });
 
@@ -53,6 +129,54 @@ const scriptSchema = new mongoose.Schema({
     required: true
   },
   chunks: [chunkSchema],
+  pacing: {
+    wordsPerMinute: { type: Number, default: 180 },
+    minChunkSeconds: { type: Number, default: 5 },
+    maxChunkSeconds: { type: Number, default: 8 },
+    imagesPerMinute: { type: Number, default: null }
+  },
+  chunker: {
+    type: String,
+    enum: ['claude', 'local', 'subtitles'],
+    default: 'claude'
+  },
+  chunkingStatus: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'completed'
+  },
+  chunkingError: {
+    type: String,
+    default: null
+  },
+  // Windows of a windowed chunking job already stored in chunks, saved together with them so a
+  // resumed job doesn't add a window twice
+  chunkedWindows: {
+    type: Number,
+    default: 0
+  },
+  coverage: {
+    exact: Boolean,
+    originalWordCount: Number,
+    chunkWordCount: Number,
+    matchedWordCount: Number,
+    missingWordCount: Number,
+    addedWordCount: Number,
+    reorderedWordCount: Number,
+    missingWords: [String],
+    addedWords: [String],
+    reorderedWords: [String],
+    mismatchedChunkIds: [String],
+    // The chunks differed from the script by too many words to compare them word by word
+    editLimitExceeded: Boolean,
+    repaired: Boolean,
+    repairedChunkIds: [String],
+    rechunkAttempts: Number,
+    exactAfterRepair: Boolean,
+    // The repair could not restore exact coverage
+    repairFailed: Boolean,
+    checkedAt: Date
+  },
   youtubeMetadata: {
     title: String,
     description: String,
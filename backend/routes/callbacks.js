@@ -0,0 +1,36 @@
+const express = require('express');
+const providerRegistry = require('../services/imageProviders');
+const { verifyCallbackSignature } = require('../utils/callbacks');
+
+const router = express.Router();
+
+// NanoBanana task results. The URL is issued per task by NanoBananaService.submitTask and signed
+// with CALLBACK_SECRET (see utils/callbacks).
+router.post('/nanobanana', async (req, res) => {
+  try {
+    const { ref, signature } = req.query;
+
+    if (!verifyCallbackSignature(ref, signature)) {
+      console.warn('⚠️ Rejected NanoBanana callback with an invalid signature');
+      return res.status(401).json({ error: 'Invalid callback signature' });
+    }
+
+    const provider = providerRegistry.get('nanobanana');
+    if (!provider) {
+      return res.status(404).json({ error: 'NanoBanana provider is not enabled' });
+    }
+
+    const task = await provider.getService().handleCallback(ref, req.body);
+    if (!task) {
+      return res.status(404).json({ error: 'Unknown generation task' });
+    }
+
+    console.log(`📬 NanoBanana callback for task ${task.taskId || ref}: ${task.status}`);
+    res.json({ received: true, status: task.status });
+  } catch (error) {
+    console.error('Error handling NanoBanana callback:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
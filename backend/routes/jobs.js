@@ -0,0 +1,256 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Script = require('../models/Script');
+const { jobEvents } = require('../utils/jobEvents');
+const { validateImageVariants, validateCandidateCount } = require('../utils/chunkImages');
+
+const router = express.Router();
+
+const JOB_TYPES = Job.schema.path('type').enumValues;
+const JOB_STATUSES = Job.schema.path('status').enumValues;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const durationMs = (start, end) => (start && end ? new Date(end) - new Date(start) : null);
+
+// Comma separated query value checked against an enum, e.g. status=failed,cancelled
+function parseEnumList(value, allowed, name) {
+  const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const invalid = values.filter(item => !allowed.includes(item));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid ${name} '${invalid.join(', ')}'. Use ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+// Fields shared by the job list and the job detail
+function summarizeJob(job, scriptTitle) {
+  // Failed and cancelled jobs have no completedAt; their last update is when they stopped
+  const finishedAt = job.completedAt || (FINISHED_STATUSES.includes(job.status) ? job.updatedAt : null);
+
+  return {
+    jobId: job._id,
+    scriptId: job.scriptId,
+    scriptTitle: scriptTitle || null,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    completionPercentage: job.completionPercentage,
+    provider: job.type === 'batch_image_generation' ? job.config?.provider : undefined,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    pausedAt: job.pausedAt,
+    completedAt: job.completedAt,
+    updatedAt: job.updatedAt,
+    durationMs: durationMs(job.startedAt || job.createdAt, finishedAt)
+  };
+}
+
+// One chunksToProcess entry with its runs and how long they took
+function describeChunkItem(item, scriptChunks) {
+  const runs = (item.history || []).map(run => ({
+    ...run.toObject(),
+    durationMs: durationMs(run.startedAt, run.finishedAt)
+  }));
+  const lastRun = runs[runs.length - 1];
+  const position = scriptChunks.findIndex(chunk => chunk.id === item.chunkId);
+
+  return {
+    chunkId: item.chunkId,
+    // 1-based position in the script, null once the chunk has been deleted
+    position: position >= 0 ? position + 1 : null,
+    topic: position >= 0 ? scriptChunks[position].topic : undefined,
+    status: item.status,
+    provider: item.provider || lastRun?.provider || null,
+    error: item.error,
+    errorType: item.errorType,
+    attempts: item.attempts,
+    processedAt: item.processedAt,
+    durationMs: lastRun?.durationMs ?? null,
+    runs
+  };
+}
+
+// List jobs, newest first (filters: scriptId, status, type, from, to; paging: limit, offset)
+router.get('/', async (req, res) => {
+  try {
+    const { scriptId, status, type, from, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const filter = {};
+
+    if (scriptId) {
+      if (!mongoose.isValidObjectId(scriptId)) {
+        return res.status(400).json({ error: 'Invalid script id' });
+      }
+      filter.scriptId = scriptId;
+    }
+
+    try {
+      if (status) filter.status = { $in: parseEnumList(status, JOB_STATUSES, 'status') };
+      if (type) filter.type = { $in: parseEnumList(type, JOB_TYPES, 'type') };
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (from || to) {
+      const range = { from: from && new Date(from), to: to && new Date(to) };
+      if (Object.values(range).some(date => date && Number.isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'from and to must be ISO dates' });
+      }
+      filter.createdAt = {};
+      if (range.from) filter.createdAt.$gte = range.from;
+      if (range.to) filter.createdAt.$lte = range.to;
+    }
+
+    const [jobs, total] = await Promise.all([
+      Job.find(filter).select('-chunksToProcess').sort({ createdAt: -1 }).skip(offset).limit(limit),
+      Job.countDocuments(filter)
+    ]);
+
+    const scriptIds = [...new Set(jobs.map(job => String(job.scriptId)))];
+    const scripts = await Script.find({ _id: { $in: scriptIds } }).select('title');
+    const titles = new Map(scripts.map(script => [String(script._id), script.title]));
+
+    res.json({
+      jobs: jobs.map(job => summarizeJob(job, titles.get(String(job.scriptId)))),
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live job and chunk events (Server-Sent Events), optionally only those of one script or job
+router.get('/events', (req, res) => {
+  const { scriptId, jobId } = req.query;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Cache-Control'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event) => {
+    if (scriptId && event.scriptId !== scriptId) return;
+    if (jobId && event.jobId !== jobId) return;
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+  jobEvents.on('event', sendEvent);
+
+  // Comment lines keep proxies from closing a stream that's quiet between jobs
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  // Clean up on client disconnect
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    jobEvents.off('event', sendEvent);
+  });
+});
+
+// One job with its config, result and per-chunk status, errors, durations and providers
+router.get('/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.isValidObjectId(jobId)) {
+      return res.status(400).json({ error: 'Invalid job id' });
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const script = await Script.findById(job.scriptId).select('title chunks.id chunks.topic');
+    const scriptChunks = script?.chunks || [];
+
+    res.json({
+      ...summarizeJob(job, script?.title),
+      config: job.config,
+      result: job.result,
+      chunks: job.chunksToProcess.map(item => describeChunkItem(item, scriptChunks))
+    });
+  } catch (error) {
+    console.error('Error getting job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Requeue only the failed chunks of a finished batch job, optionally with a different provider, style or image variants
+router.post('/:jobId/retry-failed', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { provider, style, quality, color, fallbackProviders, fallbackOn, imageVariants, candidates } = req.body;
+    const jobManager = req.app.locals.jobManager;
+    const imageService = jobManager.imageService;
+
+    if (!mongoose.isValidObjectId(jobId)) {
+      return res.status(400).json({ error: 'Invalid job id' });
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job || job.type !== 'batch_image_generation') {
+      return res.status(404).json({ error: 'Batch job not found' });
+    }
+
+    if (!['completed', 'failed'].includes(job.status)) {
+      return res.status(409).json({ error: `Only finished batch jobs can be retried (job is ${job.status})` });
+    }
+
+    const failedCount = job.chunksToProcess.filter(chunk => chunk.status === 'failed').length;
+    if (failedCount === 0) {
+      return res.status(400).json({ error: 'Job has no failed chunks to retry' });
+    }
+
+    const activeJob = await Job.findOne({
+      scriptId: job.scriptId,
+      type: 'batch_image_generation',
+      status: { $in: ['pending', 'processing', 'paused'] },
+      _id: { $ne: job._id }
+    });
+    if (activeJob) {
+      return res.status(409).json({ error: 'Another batch job is already running for this script' });
+    }
+
+    // Validate the retry's settings as a whole: the job's config with the requested changes
+    const overrides = { provider, style, quality, color, fallbackProviders, fallbackOn, imageVariants, candidates };
+    const config = { ...job.config.toObject() };
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value !== undefined) config[key] = value;
+    }
+
+    if (!imageService.isProviderAvailable(config.provider)) {
+      return res.status(400).json({
+        error: `Provider '${config.provider}' is not available. Available providers: ${imageService.getAvailableProviders().join(', ')}`
+      });
+    }
+
+    const { size, seed, steps, negativePrompt } = config;
+    const options = { style: config.style, quality: config.quality, size, seed, steps, negativePrompt };
+    const optionsError = imageService.validateOptions(config.provider, options) ||
+      imageService.validateFallback(config.fallbackProviders, config.fallbackOn, options) ||
+      validateImageVariants(config.imageVariants) ||
+      validateCandidateCount(config.candidates);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const result = await jobManager.retryFailedChunks(job, overrides);
+    console.log(`🔁 Retrying ${result.retriedChunks} failed chunks of job ${jobId} with ${result.config.provider}`);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error retrying failed chunks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
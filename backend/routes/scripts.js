@@ -1,36 +1,178 @@
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const archiver = require('archiver');
 const router = express.Router();
 const Script = require('../models/Script');
-const OpenAIService = require('../services/openaiService');
+const { createTextService } = require('../services/serviceFactory');
 const ImageService = require('../services/imageService');
+const ChunkVerifier = require('../services/chunkVerifier');
+const LocalChunker = require('../services/localChunker');
+const { normalizePacing, chunkRange, toLocalChunkerOptions, retimeChunks, countWords } = require('../utils/pacing');
+const {
+  newChunkId,
+  chunkDuration,
+  durationForText,
+  relayout,
+  markImagesStale,
+  splitDuration,
+  splitTextAtWord
+} = require('../utils/chunkEditing');
+const { parseSubtitles, groupCues } = require('../utils/subtitles');
+const { classifyProviderError, isRetryable } = require('../utils/providerErrors');
+const {
+  validateImageVariants,
+  validateCandidateCount,
+  validatePrompts,
+  selectedCandidateFields,
+  generationFields,
+  restoredVersionFields,
+  deleteUnusedImageFiles
+} = require('../utils/chunkImages');
+const { FORMATS: EXPORT_FORMATS, exportBaseName, collectImageFiles, toCsv, toCueSheet } = require('../utils/timelineExport');
+const { normalizeStoryboardOptions, toFcpxml, toXmeml, toEdl } = require('../utils/storyboardExport');
 
-const openaiService = new OpenAIService();
+const openaiService = createTextService();
 const imageService = new ImageService();
+const chunkVerifier = new ChunkVerifier();
+const localChunker = new LocalChunker();
+
+// Subtitle files are small text files, keep them in memory
+const subtitleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(srt|vtt)$/i.test(file.originalname)) {
+      return cb(new Error('Only .srt and .vtt files are supported'));
+    }
+    cb(null, true);
+  }
+});
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Fill chunk topics with an LLM pass. Only chunks without a topic are sent unless overwrite is set.
+ * @returns {Promise<number>} - Number of chunks that received a topic
+ */
+async function fillTopics(script, overwrite = false) {
+  const targets = script.chunks.filter(chunk => overwrite || !chunk.topic);
+  if (targets.length === 0) return 0;
+
+  const topics = await openaiService.generateTopics(targets);
+  let updated = 0;
+
+  targets.forEach((chunk, index) => {
+    if (topics[index]) {
+      chunk.topic = topics[index];
+      updated++;
+    }
+  });
+
+  return updated;
+}
 
 // Create a new script and chunk it
 router.post('/', async (req, res) => {
   try {
-    const { title, script } = req.body;
+    const { title, script, mode = 'auto', chunker = 'claude', chunkerOptions = {} } = req.body;
 
     if (!title || !script) {
       return res.status(400).json({ error: 'Title and script are required' });
     }
 
+    let pacing;
+    try {
+      pacing = normalizePacing(req.body.pacing);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid pacing: ${error.message}` });
+    }
+
+    if (!['auto', 'single', 'windowed'].includes(mode)) {
+      return res.status(400).json({ error: `Invalid chunking mode '${mode}'. Use auto, single or windowed` });
+    }
+
+    if (!['claude', 'local'].includes(chunker)) {
+      return res.status(400).json({ error: `Invalid chunker '${chunker}'. Use claude or local` });
+    }
+
+    const jobManager = req.app.locals.jobManager;
+
+    // Rule-based chunking is instant and exact, so it never needs a background job
+    if (chunker === 'local') {
+      let localChunks;
+      try {
+        localChunks = localChunker.chunkScript(script, { ...toLocalChunkerOptions(pacing), ...chunkerOptions });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const { chunks, coverage } = await chunkVerifier.verifyAndRepair(script, localChunks);
+
+      const newScript = new Script({
+        title,
+        originalScript: script,
+        chunks,
+        chunker,
+        pacing,
+        coverage
+      });
+
+      await newScript.save();
+
+      return res.status(201).json({
+        message: 'Script created and chunked successfully',
+        script: newScript,
+        coverage
+      });
+    }
+
+    // Long scripts overflow a single chunking response, so chunk them window by window in the background
+    if (mode === 'windowed' || (mode === 'auto' && jobManager.windowedChunker.needsWindowing(script))) {
+      const newScript = new Script({
+        title,
+        originalScript: script,
+        chunks: [],
+        pacing,
+        chunkingStatus: 'pending'
+      });
+
+      await newScript.save();
+
+      const job = await jobManager.createScriptChunkingJob(newScript._id);
+
+      return res.status(202).json({
+        message: 'Script created, chunking in background',
+        script: newScript,
+        jobId: job._id,
+        totalWindows: job.progress.totalChunks
+      });
+    }
+
     // Chunk the script using OpenAI
-    const chunks = await openaiService.chunkScript(script);
+    const rawChunks = await openaiService.chunkScript(script, pacing);
+
+    // Make sure every word of the script landed in exactly one chunk
+    const { chunks, coverage } = await chunkVerifier.verifyAndRepair(script, rawChunks, {
+      rechunk: () => openaiService.chunkScript(script, pacing)
+    });
 
     // Create and save the script
     const newScript = new Script({
       title,
       originalScript: script,
-      chunks
+      chunks,
+      pacing,
+      coverage
     });
 
     await newScript.save();
 
     res.status(201).json({
       message: 'Script created and chunked successfully',
-      script: newScript
+      script: newScript,
+      coverage
     });
   } catch (error) {
     console.error('Error creating script:', error);
@@ -38,6 +180,92 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Import an .srt or .vtt file as pre-timed chunks
+router.post('/import', (req, res, next) => {
+  subtitleUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A subtitle file is required (field "file")' });
+    }
+
+    let pacing;
+    try {
+      // Multipart fields arrive as strings, so pacing comes in as JSON
+      pacing = normalizePacing(req.body.pacing ? JSON.parse(req.body.pacing) : {});
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid pacing: ${error.message}` });
+    }
+
+    let cues;
+    try {
+      cues = parseSubtitles(req.file.buffer.toString('utf8'), req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const group = req.body.group !== 'false';
+    const { targetSeconds, maxSeconds } = chunkRange(pacing);
+    const segments = group
+      ? groupCues(cues, {
+        targetSeconds: Number(req.body.targetSeconds) || targetSeconds,
+        maxSeconds: Math.max(maxSeconds, Number(req.body.targetSeconds) || 0)
+      })
+      : cues;
+
+    const chunks = segments.map(segment => ({
+      id: newChunkId(),
+      content: segment.text,
+      startTime: roundTime(segment.start),
+      endTime: roundTime(segment.end),
+      topic: ''
+    }));
+
+    const originalScript = chunks.map(chunk => chunk.content).join('\n');
+    const title = (req.body.title || '').trim() || req.file.originalname.replace(/\.(srt|vtt)$/i, '');
+
+    // The script text is rebuilt from the cues, so there is nothing to verify the chunks against
+    const newScript = new Script({
+      title,
+      originalScript,
+      chunks,
+      chunker: 'subtitles',
+      pacing,
+      coverage: null
+    });
+
+    console.log(`📥 Imported ${cues.length} cues from ${req.file.originalname} as ${chunks.length} chunks`);
+
+    // Topics are optional; a failed LLM pass should not lose the import
+    let topicsError = null;
+    if (req.body.generateTopics === 'true') {
+      try {
+        await fillTopics(newScript);
+      } catch (error) {
+        topicsError = error.message;
+        console.warn(`⚠️ Topic generation failed, saving chunks without topics: ${error.message}`);
+      }
+    }
+
+    await newScript.save();
+
+    res.status(201).json({
+      message: `Imported ${chunks.length} chunks from ${req.file.originalname}`,
+      script: newScript,
+      cueCount: cues.length,
+      topicsError
+    });
+  } catch (error) {
+    console.error('Error importing subtitles:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all scripts
 router.get('/', async (req, res) => {
   try {
@@ -58,7 +286,7 @@ router.get('/providers', async (req, res) => {
     res.json({
       providers: providerInfo,
       available: availableProviders,
-      default: 'openai'
+      default: imageService.getDefaultProvider()
     });
   } catch (error) {
     console.error('Error getting provider info:', error);
@@ -99,6 +327,478 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Export the chunk timeline as SRT, VTT, CSV or a JSON cue sheet
+router.get('/:id/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    const exporter = EXPORT_FORMATS[format];
+
+    if (!exporter) {
+      return res.status(400).json({
+        error: `Invalid export format '${format}'. Use ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const script = await Script.findById(req.params.id);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const filename = `${exportBaseName(script)}.${exporter.extension}`;
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(exporter.render(script));
+  } catch (error) {
+    console.error('Error exporting script:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Zip archive streamed to the response; a failure mid-stream can only abort the download
+ */
+function createZipResponse(res, filename) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  archive.on('warning', (warning) => console.warn('⚠️ Zip warning:', warning.message));
+  archive.on('error', (error) => {
+    console.error('Error building zip:', error);
+    res.destroy(error);
+  });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  archive.pipe(res);
+  return archive;
+}
+
+/**
+ * Add chunk images under their export names, listing any that are missing on disk
+ * @returns {Array} - Export names of the missing images
+ */
+function appendImages(archive, images, prefix = '') {
+  const missing = [];
+
+  // PNGs are already compressed, store them as is
+  for (const image of images) {
+    if (image.sourcePath && fs.existsSync(image.sourcePath)) {
+      archive.file(image.sourcePath, { name: `${prefix}${image.filename}`, store: true });
+    } else {
+      missing.push(image.filename);
+    }
+  }
+
+  if (missing.length > 0) {
+    archive.append(`These images could not be found on the server:\n${missing.join('\n')}\n`, { name: 'MISSING_IMAGES.txt' });
+  }
+
+  return missing;
+}
+
+// Storyboard for video editors: FCPXML, Premiere XML and EDL zipped with the referenced images
+router.get('/:id/storyboard.zip', async (req, res) => {
+  try {
+    let options;
+    try {
+      options = normalizeStoryboardOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const script = await Script.findById(req.params.id);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const images = collectImageFiles(script);
+    if (images.length === 0) {
+      return res.status(400).json({ error: 'No images generated for this script yet' });
+    }
+
+    const baseName = exportBaseName(script);
+    const archive = createZipResponse(res, `${baseName}_storyboard.zip`);
+
+    archive.append(toFcpxml(script, options), { name: `${baseName}.fcpxml` });
+    archive.append(toXmeml(script, options), { name: `${baseName}_premiere.xml` });
+    archive.append(toEdl(script, options, 'primary'), { name: `${baseName}.edl` });
+    if (images.some(image => image.kind === 'symbols')) {
+      archive.append(toEdl(script, options, 'secondary'), { name: `${baseName}_symbols.edl` });
+    }
+    archive.append(JSON.stringify(toCueSheet(script), null, 2), { name: `${baseName}_cues.json` });
+
+    const missing = appendImages(archive, images, 'images/');
+
+    await archive.finalize();
+    console.log(`🎞️ Storyboard exported for script ${script._id}: ${images.length - missing.length} images, ${missing.length} missing`);
+  } catch (error) {
+    console.error('Error exporting storyboard:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// All chunk images renamed into timeline order, with a manifest of chunk text and timings
+router.get('/:id/images.zip', async (req, res) => {
+  try {
+    const script = await Script.findById(req.params.id);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const images = collectImageFiles(script);
+    if (images.length === 0) {
+      return res.status(400).json({ error: 'No images generated for this script yet' });
+    }
+
+    const baseName = exportBaseName(script);
+    const archive = createZipResponse(res, `${baseName}_images.zip`);
+
+    archive.append(toCsv(script), { name: 'manifest.csv' });
+    const missing = appendImages(archive, images);
+
+    await archive.finalize();
+    console.log(`📦 Images zip exported for script ${script._id}: ${images.length - missing.length} images, ${missing.length} missing`);
+  } catch (error) {
+    console.error('Error exporting images:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Recompute chunk timings from the script's pacing without re-chunking
+router.post('/:scriptId/retime', async (req, res) => {
+  try {
+    const { scriptId } = req.params;
+
+    const script = await Script.findById(scriptId);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    let pacing;
+    try {
+      pacing = normalizePacing(req.body.pacing, script.toObject().pacing);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid pacing: ${error.message}` });
+    }
+
+    const timings = retimeChunks(script.chunks, pacing);
+    timings.forEach((timing, index) => {
+      script.chunks[index].startTime = timing.startTime;
+      script.chunks[index].endTime = timing.endTime;
+    });
+    script.pacing = pacing;
+
+    await script.save();
+
+    res.json({
+      message: 'Chunks re-timed successfully',
+      pacing,
+      script
+    });
+  } catch (error) {
+    console.error('Error re-timing chunks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fill in chunk topics with an LLM pass (missing topics only unless overwrite is set)
+router.post('/:scriptId/generate-topics', async (req, res) => {
+  try {
+    const { overwrite = false } = req.body;
+
+    const script = await Script.findById(req.params.scriptId);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const updated = await fillTopics(script, overwrite);
+    await script.save();
+
+    res.json({
+      message: `Generated topics for ${updated} chunks`,
+      script
+    });
+  } catch (error) {
+    console.error('Error generating topics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reorder chunks
+router.put('/:scriptId/chunks/order', async (req, res) => {
+  try {
+    const { scriptId } = req.params;
+    const { chunkIds } = req.body;
+
+    const script = await Script.findById(scriptId);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const currentIds = script.chunks.map(chunk => chunk.id);
+    const isPermutation = Array.isArray(chunkIds) &&
+      chunkIds.length === currentIds.length &&
+      new Set(chunkIds).size === chunkIds.length &&
+      chunkIds.every(id => currentIds.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({ error: 'chunkIds must list every chunk of the script exactly once' });
+    }
+
+    const startTime = script.chunks[0]?.startTime || 0;
+    const reordered = chunkIds.map(id => script.chunks.find(chunk => chunk.id === id).toObject());
+    relayout(reordered, startTime);
+    script.chunks = reordered;
+    await script.save();
+
+    res.json({
+      message: 'Chunks reordered successfully',
+      script
+    });
+  } catch (error) {
+    console.error('Error reordering chunks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Insert a new chunk
+router.post('/:scriptId/chunks', async (req, res) => {
+  try {
+    const { scriptId } = req.params;
+    const { content, topic = null, afterChunkId = null } = req.body;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Chunk content is required' });
+    }
+
+    const script = await Script.findById(scriptId);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    // Insert at the start when no afterChunkId is given
+    let insertAt = 0;
+    if (afterChunkId) {
+      const afterIndex = script.chunks.findIndex(chunk => chunk.id === afterChunkId);
+      if (afterIndex === -1) {
+        return res.status(404).json({ error: 'Chunk to insert after not found' });
+      }
+      insertAt = afterIndex + 1;
+    }
+
+    const startTime = script.chunks[0]?.startTime || 0;
+    const chunk = {
+      id: newChunkId(),
+      content: content.trim(),
+      topic,
+      startTime: 0,
+      endTime: durationForText(content, script.toObject().pacing)
+    };
+
+    script.chunks.splice(insertAt, 0, chunk);
+    relayout(script.chunks, startTime);
+    await script.save();
+
+    res.status(201).json({
+      message: 'Chunk inserted successfully',
+      chunk: script.chunks[insertAt],
+      script
+    });
+  } catch (error) {
+    console.error('Error inserting chunk:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit the text of a chunk
+router.put('/:scriptId/chunks/:chunkId', async (req, res) => {
+  try {
+    const { scriptId, chunkId } = req.params;
+    const { content, topic } = req.body;
+
+    if (content !== undefined && typeof content !== 'string') {
+      return res.status(400).json({ error: 'Chunk content must be a string' });
+    }
+    if (content !== undefined && !content.trim()) {
+      return res.status(400).json({ error: 'Chunk content cannot be empty' });
+    }
+
+    const script = await Script.findById(scriptId);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const chunkIndex = script.chunks.findIndex(chunk => chunk.id === chunkId);
+    if (chunkIndex === -1) {
+      return res.status(404).json({ error: 'Chunk not found' });
+    }
+
+    const chunk = script.chunks[chunkIndex];
+
+    if (content !== undefined && content.trim() !== chunk.content) {
+      const startTime = script.chunks[0].startTime;
+      chunk.content = content.trim();
+      chunk.endTime = chunk.startTime + durationForText(chunk.content, script.toObject().pacing);
+      markImagesStale(chunk);
+      relayout(script.chunks, startTime);
+    }
+
+    if (topic !== undefined) {
+      chunk.topic = topic;
+    }
+
+    await script.save();
+
+    res.json({
+      message: 'Chunk updated successfully',
+      chunk: script.chunks[chunkIndex],
+      script
+    });
+  } catch (error) {
+    console.error('Error updating chunk:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a chunk
+router.delete('/:scriptId/chunks/:chunkId', async (req, res) => {
+  try {
+    const { scriptId, chunkId } = req.params;
+
+    const script = await Script.findById(scriptId);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const chunkIndex = script.chunks.findIndex(chunk => chunk.id === chunkId);
+    if (chunkIndex === -1) {
+      return res.status(404).json({ error: 'Chunk not found' });
+    }
+
+    const startTime = script.chunks[0].startTime;
+    script.chunks.splice(chunkIndex, 1);
+    relayout(script.chunks, startTime);
+    await script.save();
+
+    res.json({
+      message: 'Chunk deleted successfully',
+      script
+    });
+  } catch (error) {
+    console.error('Error deleting chunk:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Split a chunk in two after a given number of words
+router.post('/:scriptId/chunks/:chunkId/split', async (req, res) => {
+  try {
+    const { scriptId, chunkId } = req.params;
+    const wordOffset = parseInt(req.body.wordOffset, 10);
+
+    const script = await Script.findById(scriptId);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const chunkIndex = script.chunks.findIndex(chunk => chunk.id === chunkId);
+    if (chunkIndex === -1) {
+      return res.status(404).json({ error: 'Chunk not found' });
+    }
+
+    const chunk = script.chunks[chunkIndex];
+    const parts = splitTextAtWord(chunk.content, wordOffset);
+    if (!parts) {
+      return res.status(400).json({
+        error: `wordOffset must be between 1 and ${countWords(chunk.content) - 1}`
+      });
+    }
+
+    // Share the original duration between the halves by word count
+    const duration = chunkDuration(chunk);
+    const firstDuration = splitDuration(duration, wordOffset, countWords(chunk.content));
+    const splitTime = roundTime(chunk.startTime + firstDuration);
+
+    const secondChunk = {
+      id: newChunkId(),
+      content: parts[1],
+      topic: chunk.topic,
+      startTime: splitTime,
+      endTime: chunk.endTime
+    };
+
+    chunk.content = parts[0];
+    chunk.endTime = splitTime;
+    markImagesStale(chunk);
+
+    script.chunks.splice(chunkIndex + 1, 0, secondChunk);
+    await script.save();
+
+    res.json({
+      message: 'Chunk split successfully',
+      chunks: [script.chunks[chunkIndex], script.chunks[chunkIndex + 1]],
+      script
+    });
+  } catch (error) {
+    console.error('Error splitting chunk:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge a chunk with the adjacent one
+router.post('/:scriptId/chunks/:chunkId/merge', async (req, res) => {
+  try {
+    const { scriptId, chunkId } = req.params;
+    const { direction = 'next' } = req.body;
+
+    if (!['next', 'previous'].includes(direction)) {
+      return res.status(400).json({ error: "direction must be 'next' or 'previous'" });
+    }
+
+    const script = await Script.findById(scriptId);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const chunkIndex = script.chunks.findIndex(chunk => chunk.id === chunkId);
+    if (chunkIndex === -1) {
+      return res.status(404).json({ error: 'Chunk not found' });
+    }
+
+    const firstIndex = direction === 'next' ? chunkIndex : chunkIndex - 1;
+    if (firstIndex < 0 || firstIndex + 1 >= script.chunks.length) {
+      return res.status(400).json({ error: `There is no ${direction} chunk to merge with` });
+    }
+
+    // The earlier chunk survives and keeps its images, now marked stale
+    const first = script.chunks[firstIndex];
+    const second = script.chunks[firstIndex + 1];
+
+    first.content = `${first.content} ${second.content}`;
+    first.endTime = first.startTime + chunkDuration(first) + chunkDuration(second);
+    if (second.topic && second.topic !== first.topic) {
+      first.topic = first.topic ? `${first.topic}; ${second.topic}` : second.topic;
+    }
+    markImagesStale(first);
+
+    script.chunks.splice(firstIndex + 1, 1);
+    relayout(script.chunks, script.chunks[0].startTime);
+    await script.save();
+
+    res.json({
+      message: 'Chunks merged successfully',
+      chunk: script.chunks[firstIndex],
+      script
+    });
+  } catch (error) {
+    console.error('Error merging chunks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Regenerate a specific chunk
 router.put('/:scriptId/chunks/:chunkId/regenerate', async (req, res) => {
   try {
@@ -120,6 +820,7 @@ router.put('/:scriptId/chunks/:chunkId/regenerate', async (req, res) => {
 
     // Update the chunk content
     script.chunks[chunkIndex].content = newContent;
+    markImagesStale(script.chunks[chunkIndex]);
     await script.save();
 
     res.json({
@@ -140,8 +841,19 @@ router.post('/:scriptId/chunks/:chunkId/generate-image', async (req, res) => {
       color = 'white', 
       quality = 'high', 
       style = 'infographic',
-      provider = 'openai'
+      provider = 'openai',
+      size,
+      seed,
+      steps,
+      negativePrompt,
+      fallbackProviders,
+      fallbackOn,
+      imageVariants,
+      candidates,
+      prompt,
+      secondaryPrompt
     } = req.body;
+    const generationParams = { size, seed, steps, negativePrompt };
 
     const script = await Script.findById(scriptId);
     if (!script) {
@@ -162,45 +874,133 @@ router.post('/:scriptId/chunks/:chunkId/generate-image', async (req, res) => {
       });
     }
 
-    // Generate image using the specified provider
-    const result = await imageService.generateImage(chunk.content, provider, color, quality, style);
-
-    // Handle both single image and dual image responses
-    if (result.mainImageUrl && result.secondaryImageUrl) {
-      // Dual image response (NanoBanana with infographic style)
-      script.chunks[chunkIndex].imageUrl = result.mainImageUrl;
-      script.chunks[chunkIndex].secondaryImageUrl = result.secondaryImageUrl;
-      script.chunks[chunkIndex].sceneDescription = result.sceneDescription;
-      script.chunks[chunkIndex].symbolDescription = result.symbolDescription;
-      script.chunks[chunkIndex].imageProvider = provider;
-      script.chunks[chunkIndex].imageGeneratedAt = new Date();
-      await script.save();
-
-      res.json({
-        message: 'Images generated successfully',
-        imageUrl: result.mainImageUrl,
-        secondaryImageUrl: result.secondaryImageUrl,
-        sceneDescription: result.sceneDescription,
-        symbolDescription: result.symbolDescription,
-        provider,
-        chunk: script.chunks[chunkIndex]
-      });
-    } else {
-      // Single image response (standard)
-      script.chunks[chunkIndex].imageUrl = result;
-      script.chunks[chunkIndex].imageProvider = provider;
-      script.chunks[chunkIndex].imageGeneratedAt = new Date();
-      await script.save();
-
-      res.json({
-        message: 'Image generated successfully',
-        imageUrl: result,
-        provider,
-        chunk: script.chunks[chunkIndex]
-      });
+    const optionsError = imageService.validateOptions(provider, { style, quality, ...generationParams }) ||
+      imageService.validateFallback(fallbackProviders, fallbackOn, { style, quality, ...generationParams }) ||
+      validateImageVariants(imageVariants) ||
+      validateCandidateCount(candidates) ||
+      validatePrompts({ prompt, secondaryPrompt });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
     }
+
+    // Generate the candidate image(s) with the specified provider, then the fallback chain if it fails
+    const results = await imageService.generateCandidates(chunk.content, provider, {
+      color,
+      quality,
+      style,
+      ...generationParams,
+      fallbackProviders,
+      fallbackOn,
+      variants: imageVariants,
+      prompt,
+      secondaryPrompt,
+      scriptId,
+      chunkId
+    }, candidates || 1);
+    const result = results[0];
+
+    // Same fields a batch job stores: both images and descriptions for dual image styles, every candidate
+    // and the chunk's image history
+    const { fields, prunedVersions } = generationFields(chunk, results, { color, quality, style, ...generationParams });
+    Object.assign(script.chunks[chunkIndex], fields);
+    await script.save();
+    await deleteUnusedImageFiles(prunedVersions, script.chunks[chunkIndex]);
+
+    res.json({
+      message: results.length > 1 || result.variants?.length > 1 ? 'Images generated successfully' : 'Image generated successfully',
+      imageUrl: result.imageUrl,
+      secondaryImageUrl: result.secondaryImageUrl,
+      sceneDescription: result.sceneDescription,
+      symbolDescription: result.symbolDescription,
+      variants: result.variants,
+      provider: result.provider,
+      attempts: result.attempts,
+      candidates: results.length,
+      chunk: script.chunks[chunkIndex]
+    });
   } catch (error) {
     console.error('Error generating image:', error);
+    res.status(500).json({
+      error: error.message,
+      errorType: classifyProviderError(error),
+      retryable: isRetryable(error),
+      attempts: error.attempts
+    });
+  }
+});
+
+// Make one of the chunk's stored candidates its image, the one exports use
+router.put('/:scriptId/chunks/:chunkId/image-candidate', async (req, res) => {
+  try {
+    const { scriptId, chunkId } = req.params;
+    const { index } = req.body;
+
+    const script = await Script.findById(scriptId);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const chunk = script.chunks.find(c => c.id === chunkId);
+    if (!chunk) {
+      return res.status(404).json({ error: 'Chunk not found' });
+    }
+
+    if (!Number.isInteger(index) || index < 0 || index >= chunk.imageCandidates.length) {
+      return res.status(400).json({
+        error: chunk.imageCandidates.length > 0
+          ? `index must be an integer from 0 to ${chunk.imageCandidates.length - 1}`
+          : 'Chunk has no image candidates'
+      });
+    }
+
+    Object.assign(chunk, selectedCandidateFields(chunk.imageCandidates[index], index));
+    await script.save();
+
+    res.json({
+      message: 'Image candidate selected',
+      chunk
+    });
+  } catch (error) {
+    console.error('Error selecting image candidate:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore an earlier image version from the chunk's history
+router.put('/:scriptId/chunks/:chunkId/image-version', async (req, res) => {
+  try {
+    const { scriptId, chunkId } = req.params;
+    const { versionId } = req.body;
+
+    const script = await Script.findById(scriptId);
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const chunk = script.chunks.find(c => c.id === chunkId);
+    if (!chunk) {
+      return res.status(404).json({ error: 'Chunk not found' });
+    }
+
+    if (!versionId) {
+      return res.status(400).json({ error: 'versionId is required' });
+    }
+
+    const version = chunk.imageHistory.find(entry => String(entry._id) === String(versionId));
+    if (!version) {
+      return res.status(404).json({ error: 'Image version not found' });
+    }
+
+    Object.assign(chunk, restoredVersionFields(chunk, version));
+    await script.save();
+
+    console.log(`⏪ Restored image version ${versionId} of chunk ${chunkId}`);
+    res.json({
+      message: 'Image version restored',
+      chunk
+    });
+  } catch (error) {
+    console.error('Error restoring image version:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -213,8 +1013,17 @@ router.post('/:scriptId/batch-generate-images', async (req, res) => {
       color = 'white', 
       quality = 'high', 
       style = 'infographic',
-      provider = 'openai'
+      provider = 'openai',
+      size,
+      seed,
+      steps,
+      negativePrompt,
+      fallbackProviders,
+      fallbackOn,
+      imageVariants,
+      candidates
     } = req.body;
+    const generationParams = { size, seed, steps, negativePrompt };
     const jobManager = req.app.locals.jobManager;
 
     // Validate provider
@@ -224,6 +1033,14 @@ router.post('/:scriptId/batch-generate-images', async (req, res) => {
       });
     }
 
+    const optionsError = imageService.validateOptions(provider, { style, quality, ...generationParams }) ||
+      imageService.validateFallback(fallbackProviders, fallbackOn, { style, quality, ...generationParams }) ||
+      validateImageVariants(imageVariants) ||
+      validateCandidateCount(candidates);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
     console.log(`🔧 [DEBUG] Creating batch job with:`, {
       scriptId,
       color,
@@ -233,7 +1050,13 @@ router.post('/:scriptId/batch-generate-images', async (req, res) => {
     });
 
     // Create persistent job with provider parameter
-    const job = await jobManager.createBatchImageJob(scriptId, color, quality, style, provider);
+    const job = await jobManager.createBatchImageJob(scriptId, color, quality, style, provider, {
+      ...generationParams,
+      fallbackProviders,
+      fallbackOn,
+      imageVariants,
+      candidates
+    });
 
     console.log(`🔧 [DEBUG] Job created with config:`, {
       jobId: job._id,
@@ -247,6 +1070,7 @@ router.post('/:scriptId/batch-generate-images', async (req, res) => {
       totalChunks: job.progress.totalChunks,
       status: job.status,
       provider: job.config?.provider || provider,
+      fallbackProviders: job.config?.fallbackProviders || [],
       persistent: true
     });
 
@@ -303,6 +1127,137 @@ router.get('/:scriptId/batch-status', async (req, res) => {
   }
 });
 
+// Get windowed chunking status
+router.get('/:scriptId/chunking-status', async (req, res) => {
+  try {
+    const { scriptId } = req.params;
+    const jobManager = req.app.locals.jobManager;
+
+    const script = await Script.findById(scriptId).select('chunkingStatus chunkingError chunks.id');
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const jobStatus = await jobManager.getChunkingJobStatus(scriptId);
+
+    res.json({
+      chunkingStatus: script.chunkingStatus,
+      chunkingError: script.chunkingError,
+      chunksCreated: script.chunks.length,
+      hasJob: !!jobStatus,
+      ...(jobStatus && {
+        jobId: jobStatus.jobId,
+        status: jobStatus.status,
+        totalWindows: jobStatus.progress.totalChunks,
+        processedWindows: jobStatus.progress.processedChunks,
+        progress: jobStatus.completionPercentage,
+        error: jobStatus.error
+      })
+    });
+  } catch (error) {
+    console.error('Error getting chunking status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start rendering an animatic MP4 from the chunk images in the background
+router.post('/:scriptId/animatic', async (req, res) => {
+  try {
+    const { scriptId } = req.params;
+    const jobManager = req.app.locals.jobManager;
+    const renderer = jobManager.animaticRenderer;
+
+    try {
+      renderer.normalizeOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const script = await Script.findById(scriptId).select('chunks.imageUrl');
+    if (!script) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+    if (!script.chunks.some(chunk => chunk.imageUrl)) {
+      return res.status(400).json({ error: 'Generate images before rendering an animatic' });
+    }
+
+    if (!(await renderer.isAvailable())) {
+      return res.status(503).json({ error: 'ffmpeg is not installed on the server (set FFMPEG_PATH if it is not on the PATH)' });
+    }
+
+    const job = await jobManager.createAnimaticJob(scriptId, req.body);
+
+    res.status(202).json({
+      message: 'Animatic render started',
+      jobId: job._id,
+      totalSlides: job.progress.totalChunks
+    });
+  } catch (error) {
+    console.error('Error starting animatic render:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get animatic render status
+router.get('/:scriptId/animatic-status', async (req, res) => {
+  try {
+    const jobManager = req.app.locals.jobManager;
+    const jobStatus = await jobManager.getAnimaticJobStatus(req.params.scriptId);
+
+    if (!jobStatus) {
+      return res.json({ hasJob: false });
+    }
+
+    res.json({
+      ...jobStatus,
+      hasJob: true,
+      totalSlides: jobStatus.progress.totalChunks,
+      renderedSlides: jobStatus.progress.processedChunks,
+      progress: jobStatus.completionPercentage,
+      downloadReady: jobStatus.status === 'completed' && !!jobStatus.result?.filename
+    });
+  } catch (error) {
+    console.error('Error getting animatic status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel an animatic render
+router.post('/:scriptId/cancel-animatic', async (req, res) => {
+  try {
+    const jobManager = req.app.locals.jobManager;
+    const result = await jobManager.cancelAnimaticJob(req.params.scriptId);
+    res.json(result);
+  } catch (error) {
+    console.error('Error cancelling animatic render:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a rendered animatic
+router.get('/:scriptId/animatic/:jobId/download', async (req, res) => {
+  try {
+    const Job = require('../models/Job');
+    const { scriptId, jobId } = req.params;
+
+    const job = await Job.findOne({ _id: jobId, scriptId, type: 'animatic_render' });
+    if (!job || job.status !== 'completed' || !job.result?.filename) {
+      return res.status(404).json({ error: 'Rendered animatic not found' });
+    }
+
+    const filePath = path.join(req.app.locals.jobManager.animaticRenderer.outputDir, job.result.filename);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Animatic file no longer exists on the server' });
+    }
+
+    const script = await Script.findById(scriptId).select('title');
+    res.download(filePath, `${exportBaseName(script || {})}_animatic.mp4`);
+  } catch (error) {
+    console.error('Error downloading animatic:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Generate YouTube metadata (title and description)
 router.post('/:scriptId/generate-youtube-metadata', async (req, res) => {
   try {
@@ -321,7 +1276,7 @@ router.post('/:scriptId/generate-youtube-metadata', async (req, res) => {
       return res.status(404).json({ error: 'Script not found' });
     }
 
-    const openaiService = new OpenAIService();
+    const openaiService = createTextService();
 
     // Generate YouTube title
     const title = await openaiService.generateYouTubeTitle(script.originalScript, {
@@ -387,6 +1342,38 @@ router.post('/:scriptId/cancel-batch', async (req, res) => {
   }
 });
 
+// Pause batch image generation job; chunks already being generated finish first
+router.post('/:scriptId/pause-batch', async (req, res) => {
+  try {
+    const { scriptId } = req.params;
+    const jobManager = req.app.locals.jobManager;
+
+    const result = await jobManager.pauseBatchJob(scriptId);
+    console.log(`⏸️ Paused batch job ${result.jobId} for script ${scriptId}`);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error pausing batch job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume a paused batch image generation job
+router.post('/:scriptId/resume-batch', async (req, res) => {
+  try {
+    const { scriptId } = req.params;
+    const jobManager = req.app.locals.jobManager;
+
+    const result = await jobManager.resumeBatchJob(scriptId);
+    console.log(`▶️ Resumed batch job ${result.jobId} for script ${scriptId}`);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error resuming batch job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Clear all jobs for a script (debug endpoint)
 router.post('/:scriptId/clear-jobs', async (req, res) => {
   try {
@@ -5,9 +5,14 @@ require('dotenv').config();
 
 const scriptRoutes = require('./routes/scripts');
 const logsRoutes = require('./routes/logs');
+const callbackRoutes = require('./routes/callbacks');
+const jobRoutes = require('./routes/jobs');
 const path = require('path');
 const JobManager = require('./services/jobManager');
+const providerRegistry = require('./services/imageProviders');
 const logger = require('./utils/logger');
+const { isMockMode } = require('./utils/mockMode');
+const { callbacksEnabled } = require('./utils/callbacks');
 const requestLogger = require('./middleware/requestLogger');
 
 const app = express();
@@ -45,12 +50,16 @@ app.get('/api/images/:filename/download', (req, res) => {
 // Routes
 app.use('/api/scripts', scriptRoutes);
 app.use('/api/logs', logsRoutes);
+app.use('/api/callbacks', callbackRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     message: 'Script Chunker API is running',
+    mock: isMockMode(),
+    callbacks: callbacksEnabled(),
     timestamp: new Date().toISOString()
   });
 });
@@ -87,6 +96,14 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/script-ch
     port: mongoose.connection.port
   });
   
+  // Apply NanoBanana results that finished while the server was down, before jobs resume
+  const nanoBanana = providerRegistry.get('nanobanana');
+  if (nanoBanana?.isAvailable()) {
+    await nanoBanana.getService().recoverPendingTasks().catch(error => {
+      logger.error('NANOBANANA', 'Failed to recover pending generation tasks', { error: error.message });
+    });
+  }
+
   // Start job processor
   await jobManager.startProcessor();
   logger.info('JOB_MANAGER', 'Job processor started successfully');
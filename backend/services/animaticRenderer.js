@@ -0,0 +1,289 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { localImagePath, toSrt } = require('../utils/timelineExport');
+
+const OUTPUT_DIR = path.join(__dirname, '../uploads/animatics');
+// ffmpeg reports progress several times a second; the job status is looked up at most this often
+const CANCEL_CHECK_INTERVAL_MS = 1000;
+
+const DEFAULT_OPTIONS = {
+  width: 1280,
+  height: 720,
+  fps: 25,
+  captions: false,
+  crossfadeSeconds: 0,
+  background: 'white'
+};
+
+class AnimaticRenderer {
+  constructor(options = {}) {
+    this.ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+    this.outputDir = options.outputDir || OUTPUT_DIR;
+  }
+
+  /**
+   * Validate render options coming from a request
+   * @param {Object} input - Partial options
+   * @returns {Object} - Complete options
+   */
+  normalizeOptions(input = {}) {
+    const options = { ...DEFAULT_OPTIONS };
+
+    if (input.width !== undefined) options.width = Number(input.width);
+    if (input.height !== undefined) options.height = Number(input.height);
+    if (input.fps !== undefined) options.fps = Number(input.fps);
+    if (input.captions !== undefined) options.captions = input.captions === true || input.captions === 'true';
+    if (input.crossfadeSeconds !== undefined) options.crossfadeSeconds = Number(input.crossfadeSeconds);
+    if (input.background) options.background = String(input.background);
+
+    // libx264 with yuv420p needs even dimensions
+    if (!Number.isInteger(options.width) || !Number.isInteger(options.height) ||
+        options.width <= 0 || options.height <= 0 || options.width % 2 || options.height % 2) {
+      throw new Error('width and height must be positive even integers');
+    }
+    if (!(options.fps > 0 && options.fps <= 60)) {
+      throw new Error('fps must be between 1 and 60');
+    }
+    if (!(options.crossfadeSeconds >= 0 && options.crossfadeSeconds <= 2)) {
+      throw new Error('crossfadeSeconds must be between 0 and 2');
+    }
+    if (!/^(#?[0-9a-fA-F]{6}|[a-zA-Z]+)$/.test(options.background)) {
+      throw new Error('background must be a color name or hex value');
+    }
+
+    return options;
+  }
+
+  /**
+   * Check that ffmpeg can be started
+   * @returns {Promise<boolean>}
+   */
+  isAvailable() {
+    return new Promise(resolve => {
+      const child = spawn(this.ffmpegPath, ['-version'], { stdio: 'ignore' });
+      child.on('error', () => resolve(false));
+      child.on('close', code => resolve(code === 0));
+    });
+  }
+
+  /**
+   * One slide per chunk. Each slide lasts until the next chunk starts so the animatic stays in sync
+   * with the voiceover even when chunks leave gaps; chunks without an image show the background.
+   * @param {Object} script - Script with chunks
+   * @returns {Array} - Slides as { chunkId, imagePath, start, duration }
+   */
+  buildSlides(script) {
+    const chunks = script.chunks;
+    const slides = [];
+
+    // Hold the background until the first chunk starts
+    if (chunks.length > 0 && chunks[0].startTime > 0) {
+      slides.push({ chunkId: null, imagePath: null, start: 0, duration: chunks[0].startTime });
+    }
+
+    chunks.forEach((chunk, index) => {
+      const next = chunks[index + 1];
+      const end = next ? Math.max(next.startTime, chunk.startTime) : chunk.endTime;
+      const imagePath = localImagePath(chunk.imageUrl);
+
+      slides.push({
+        chunkId: chunk.id,
+        imagePath: imagePath && fs.existsSync(imagePath) ? imagePath : null,
+        start: chunk.startTime,
+        duration: Math.max(end - chunk.startTime, 1 / 25)
+      });
+    });
+
+    return slides;
+  }
+
+  /**
+   * Build the ffmpeg command line. Images are scaled to fit, flattened onto the background (generated
+   * images often have transparent backgrounds), then concatenated or chained with xfade.
+   * @returns {Array} - ffmpeg arguments
+   */
+  buildArgs(slides, options, outputPath, subtitlesPath = null) {
+    const { width, height, fps, background } = options;
+    const fade = this.effectiveCrossfade(slides, options.crossfadeSeconds);
+    const args = ['-y', '-hide_banner', '-loglevel', 'error', '-progress', 'pipe:1', '-nostats'];
+    const filters = [];
+    let inputIndex = 0;
+
+    slides.forEach((slide, index) => {
+      // Every slide but the last runs on under the following crossfade, so transitions start on the chunk boundary
+      const duration = slide.duration + (index < slides.length - 1 ? fade : 0);
+      const base = `color=c=${background}:s=${width}x${height}:r=${fps}:d=${duration.toFixed(3)}`;
+
+      if (slide.imagePath) {
+        args.push('-loop', '1', '-framerate', String(fps), '-t', duration.toFixed(3), '-i', slide.imagePath);
+        filters.push(
+          `[${inputIndex}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,format=rgba[fg${index}]`,
+          `${base}[bg${index}]`,
+          `[bg${index}][fg${index}]overlay=(W-w)/2:(H-h)/2:shortest=1,setsar=1,format=yuv420p[s${index}]`
+        );
+        inputIndex++;
+      } else {
+        filters.push(`${base},setsar=1,format=yuv420p[s${index}]`);
+      }
+    });
+
+    let last;
+    if (fade > 0 && slides.length > 1) {
+      let offset = 0;
+      last = 's0';
+      for (let i = 1; i < slides.length; i++) {
+        offset += slides[i - 1].duration;
+        const out = `x${i}`;
+        filters.push(`[${last}][s${i}]xfade=transition=fade:duration=${fade.toFixed(3)}:offset=${offset.toFixed(3)}[${out}]`);
+        last = out;
+      }
+    } else {
+      filters.push(`${slides.map((slide, index) => `[s${index}]`).join('')}concat=n=${slides.length}:v=1:a=0[joined]`);
+      last = 'joined';
+    }
+
+    if (subtitlesPath) {
+      // Escape the path for the filtergraph parser (drive colons, quotes, backslashes)
+      const escaped = subtitlesPath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+      filters.push(`[${last}]subtitles='${escaped}':force_style='FontSize=20,Outline=2,MarginV=30'[out]`);
+      last = 'out';
+    }
+
+    args.push(
+      '-filter_complex', filters.join(';'),
+      '-map', `[${last}]`,
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-pix_fmt', 'yuv420p',
+      '-r', String(fps),
+      '-movflags', '+faststart',
+      outputPath
+    );
+
+    return args;
+  }
+
+  /**
+   * Crossfades can't be longer than half of the shortest slide
+   */
+  effectiveCrossfade(slides, crossfadeSeconds) {
+    if (!crossfadeSeconds || slides.length < 2) return 0;
+    const shortest = Math.min(...slides.map(slide => slide.duration));
+    return Math.min(crossfadeSeconds, shortest / 2);
+  }
+
+  /**
+   * Render a script to MP4
+   * @param {Object} script - Script with chunks
+   * @param {Object} options - Normalized render options plus { outputName, onProgress, shouldCancel }
+   *   onProgress(renderedSeconds, totalSeconds) is called as ffmpeg reports progress; when
+   *   shouldCancel() resolves true the render is stopped
+   * @returns {Promise<Object>} - { filename, path, sizeBytes, durationSeconds }
+   */
+  async render(script, options) {
+    const { outputName, onProgress, shouldCancel } = options;
+    const slides = this.buildSlides(script);
+    if (slides.length === 0) {
+      throw new Error('Script has no chunks to render');
+    }
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    const outputPath = path.join(this.outputDir, outputName);
+    const subtitlesPath = options.captions ? path.join(this.outputDir, `${path.parse(outputName).name}.srt`) : null;
+    if (subtitlesPath) {
+      fs.writeFileSync(subtitlesPath, toSrt(script));
+    }
+
+    const totalSeconds = slides.reduce((sum, slide) => sum + slide.duration, 0);
+    const args = this.buildArgs(slides, options, outputPath, subtitlesPath);
+
+    logger.info('ANIMATIC', 'Starting ffmpeg render', {
+      scriptId: script._id,
+      slides: slides.length,
+      totalSeconds,
+      captions: options.captions,
+      crossfadeSeconds: this.effectiveCrossfade(slides, options.crossfadeSeconds)
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let stderr = '';
+        let buffered = '';
+        let cancelled = false;
+        let checking = false;
+        let lastCancelCheck = 0;
+
+        child.stdout.on('data', async (data) => {
+          buffered += data.toString();
+          const lines = buffered.split('\n');
+          buffered = lines.pop();
+
+          for (const line of lines) {
+            // out_time_us is in microseconds (older builds misname it out_time_ms)
+            const match = line.match(/^out_time_(?:us|ms)=(\d+)/);
+            if (match && onProgress) {
+              onProgress(Math.min(totalSeconds, Number(match[1]) / 1e6), totalSeconds);
+            }
+          }
+
+          if (shouldCancel && !checking && !cancelled && Date.now() - lastCancelCheck >= CANCEL_CHECK_INTERVAL_MS) {
+            checking = true;
+            lastCancelCheck = Date.now();
+            try {
+              if (await shouldCancel()) {
+                cancelled = true;
+                child.kill('SIGTERM');
+              }
+            } catch (error) {
+              logger.warn('ANIMATIC', 'Could not check whether the render was cancelled', { error: error.message });
+            } finally {
+              checking = false;
+            }
+          }
+        });
+
+        child.stderr.on('data', (data) => {
+          stderr = (stderr + data.toString()).slice(-4000);
+        });
+
+        child.on('error', (error) => {
+          reject(new Error(`Could not start ffmpeg (${this.ffmpegPath}): ${error.message}`));
+        });
+
+        child.on('close', (code) => {
+          if (cancelled) {
+            const error = new Error('Render cancelled');
+            error.cancelled = true;
+            return reject(error);
+          }
+          if (code !== 0) {
+            return reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+          }
+          resolve();
+        });
+      });
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true });
+      throw error;
+    } finally {
+      if (subtitlesPath) fs.rmSync(subtitlesPath, { force: true });
+    }
+
+    const { size } = fs.statSync(outputPath);
+    logger.info('ANIMATIC', 'Render finished', { scriptId: script._id, outputName, sizeBytes: size });
+
+    return {
+      filename: outputName,
+      path: outputPath,
+      sizeBytes: size,
+      durationSeconds: Math.round(totalSeconds * 1000) / 1000
+    };
+  }
+}
+
+AnimaticRenderer.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = AnimaticRenderer;
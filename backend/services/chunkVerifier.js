@@ -0,0 +1,435 @@
+const logger = require('../utils/logger');
+
+class ChunkVerifier {
+  constructor(options = {}) {
+    this.maxSamples = options.maxSamples || 25;
+    // Re-request chunking when more than this share of words is wrong
+    this.rechunkThreshold = options.rechunkThreshold ?? 0.2;
+    // Word edits the diff looks for before giving up; its memory grows with the square of this
+    this.maxEditDistance = options.maxEditDistance ?? 2000;
+  }
+
+  /**
+   * Split text into words, keeping character offsets so the original text can be sliced back out
+   * @param {string} text - The text to tokenize
+   * @returns {Array} - Array of { word, norm, start, end } for every word that carries letters or digits
+   */
+  tokenize(text) {
+    const tokens = [];
+    const regex = /\S+/g;
+    let match;
+
+    while ((match = regex.exec(text || '')) !== null) {
+      const norm = this.normalizeWord(match[0]);
+      if (norm) {
+        tokens.push({
+          word: match[0],
+          norm,
+          start: match.index,
+          end: match.index + match[0].length
+        });
+      }
+    }
+
+    return tokens;
+  }
+
+  normalizeWord(word) {
+    return word
+      .toLowerCase()
+      .replace(/[‘’]/g, "'")
+      .replace(/[^\p{L}\p{N}']/gu, '')
+      .replace(/^'+|'+$/g, '');
+  }
+
+  /**
+   * Myers diff over two word arrays
+   * @param {Array<string>} a - Original words
+   * @param {Array<string>} b - Chunk words
+   * @returns {Array|null} - Matched index pairs [aIndex, bIndex] in ascending order, or null when the
+   *   arrays differ by more than maxEditDistance words
+   */
+  diffWords(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, this.maxEditDistance);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    let finalD = -1;
+    for (let d = 0; d <= max && finalD === -1; d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+
+        v[offset + k] = x;
+
+        if (x >= n && y >= m) {
+          finalD = d;
+          break;
+        }
+      }
+      // Snapshot only the diagonals reachable at this edit distance
+      trace.push(v.slice(offset - d, offset + d + 1));
+    }
+
+    if (finalD === -1) {
+      return null;
+    }
+
+    const matches = [];
+    let x = n;
+    let y = m;
+
+    for (let d = finalD; d > 0; d--) {
+      const prev = trace[d - 1];
+      const at = (k) => prev[k + d - 1];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        matches.push([x - 1, y - 1]);
+        x--;
+        y--;
+      }
+
+      x = prevX;
+      y = prevY;
+    }
+
+    while (x > 0 && y > 0) {
+      matches.push([x - 1, y - 1]);
+      x--;
+      y--;
+    }
+
+    return matches.reverse();
+  }
+
+  /**
+   * Compare the concatenated chunk text against the original script word by word
+   * @param {string} originalScript - The script as submitted
+   * @param {Array} chunks - Chunks with id and content
+   * @returns {Object} - Coverage report with missing, added and reordered words
+   */
+  verify(originalScript, chunks) {
+    const originalTokens = this.tokenize(originalScript);
+    const chunkTokens = [];
+
+    chunks.forEach((chunk, chunkIndex) => {
+      for (const token of this.tokenize(chunk.content)) {
+        chunkTokens.push({ ...token, chunkIndex });
+      }
+    });
+
+    const matches = this.diffWords(
+      originalTokens.map(token => token.norm),
+      chunkTokens.map(token => token.norm)
+    );
+
+    // Too far off to align word by word: count every word as wrong so the chunks get re-requested
+    if (!matches) {
+      return {
+        exact: false,
+        originalWordCount: originalTokens.length,
+        chunkWordCount: chunkTokens.length,
+        matchedWordCount: 0,
+        missingWordCount: originalTokens.length,
+        addedWordCount: chunkTokens.length,
+        reorderedWordCount: 0,
+        missingWords: [],
+        addedWords: [],
+        reorderedWords: [],
+        mismatchedChunkIds: chunks.map(chunk => chunk.id),
+        editLimitExceeded: true,
+        errorCount: originalTokens.length + chunkTokens.length
+      };
+    }
+
+    const matchedOriginal = new Set(matches.map(([a]) => a));
+    const matchedChunk = new Set(matches.map(([, b]) => b));
+
+    const missing = originalTokens
+      .map((token, index) => ({ ...token, index }))
+      .filter(token => !matchedOriginal.has(token.index));
+    const added = chunkTokens
+      .map((token, index) => ({ ...token, index }))
+      .filter(token => !matchedChunk.has(token.index));
+
+    // A word that is both missing in one place and added in another was moved, not lost
+    const addedCounts = new Map();
+    for (const token of added) {
+      addedCounts.set(token.norm, (addedCounts.get(token.norm) || 0) + 1);
+    }
+    const reorderedCounts = new Map();
+    const reordered = [];
+    for (const token of missing) {
+      const available = addedCounts.get(token.norm) || 0;
+      if (available > 0) {
+        addedCounts.set(token.norm, available - 1);
+        reorderedCounts.set(token.norm, (reorderedCounts.get(token.norm) || 0) + 1);
+        reordered.push(token);
+      }
+    }
+
+    const reorderedForAdded = new Map(reorderedCounts);
+    const trulyAdded = added.filter(token => {
+      const count = reorderedForAdded.get(token.norm) || 0;
+      if (count > 0) {
+        reorderedForAdded.set(token.norm, count - 1);
+        return false;
+      }
+      return true;
+    });
+    const reorderedSet = new Set(reordered.map(token => token.index));
+    const trulyMissing = missing.filter(token => !reorderedSet.has(token.index));
+
+    // Attribute each unmatched word to the chunk it belongs to
+    const mismatched = new Set(added.map(token => token.chunkIndex));
+    const owners = this.originalOwners(originalTokens.length, chunkTokens, matches);
+    for (const token of missing) {
+      if (owners[token.index] !== undefined) {
+        mismatched.add(owners[token.index]);
+      }
+    }
+
+    return {
+      exact: missing.length === 0 && added.length === 0,
+      originalWordCount: originalTokens.length,
+      chunkWordCount: chunkTokens.length,
+      matchedWordCount: matches.length,
+      missingWordCount: trulyMissing.length,
+      addedWordCount: trulyAdded.length,
+      reorderedWordCount: reordered.length,
+      missingWords: trulyMissing.slice(0, this.maxSamples).map(token => token.word),
+      addedWords: trulyAdded.slice(0, this.maxSamples).map(token => token.word),
+      reorderedWords: reordered.slice(0, this.maxSamples).map(token => token.word),
+      mismatchedChunkIds: [...mismatched].sort((a, b) => a - b).map(index => chunks[index].id),
+      editLimitExceeded: false,
+      // Unmatched words on either side, used to decide whether a re-request is worthwhile
+      errorCount: missing.length + added.length
+    };
+  }
+
+  /**
+   * Map every original word to the chunk that covers it. Unmatched words belong to the chunk
+   * holding the closest preceding matched word, so they stay in reading order.
+   */
+  originalOwners(originalLength, chunkTokens, matches) {
+    const owners = new Array(originalLength);
+    let current = chunkTokens.length > 0 ? chunkTokens[0].chunkIndex : undefined;
+    let matchIndex = 0;
+
+    for (let i = 0; i < originalLength; i++) {
+      if (matchIndex < matches.length && matches[matchIndex][0] === i) {
+        current = chunkTokens[matches[matchIndex][1]].chunkIndex;
+        matchIndex++;
+      }
+      owners[i] = current;
+    }
+
+    return owners;
+  }
+
+  /**
+   * Rebuild chunk text from the original script so coverage becomes exact, keeping the
+   * chunk boundaries the model chose wherever they can be aligned
+   * @param {string} originalScript - The script as submitted
+   * @param {Array} chunks - Chunks to repair
+   * @returns {Object} - { chunks, repairedChunkIds }
+   */
+  repair(originalScript, chunks) {
+    const originalTokens = this.tokenize(originalScript);
+    const chunkTokens = [];
+
+    chunks.forEach((chunk, chunkIndex) => {
+      for (const token of this.tokenize(chunk.content)) {
+        chunkTokens.push({ ...token, chunkIndex });
+      }
+    });
+
+    const matches = this.diffWords(
+      originalTokens.map(token => token.norm),
+      chunkTokens.map(token => token.norm)
+    );
+    // Nothing to align the chunk boundaries with
+    if (!matches) {
+      return { chunks, repairedChunkIds: [] };
+    }
+    const owners = this.originalOwners(originalTokens.length, chunkTokens, matches);
+
+    // First original word owned by each chunk
+    const firstWord = new Map();
+    owners.forEach((owner, index) => {
+      if (owner !== undefined && !firstWord.has(owner)) {
+        firstWord.set(owner, index);
+      }
+    });
+
+    const charStart = (wordIndex) => (wordIndex < originalTokens.length
+      ? originalTokens[wordIndex].start
+      : originalScript.length);
+
+    const repairedChunks = [];
+    const repairedChunkIds = [];
+    const keptIndexes = chunks.map((_, index) => index).filter(index => firstWord.has(index));
+
+    keptIndexes.forEach((chunkIndex, position) => {
+      const chunk = chunks[chunkIndex];
+      const startChar = position === 0 ? 0 : charStart(firstWord.get(chunkIndex));
+      const nextIndex = keptIndexes[position + 1];
+      const endChar = nextIndex === undefined ? originalScript.length : charStart(firstWord.get(nextIndex));
+      const content = originalScript.slice(startChar, endChar).trim();
+
+      if (content !== chunk.content.trim()) {
+        repairedChunkIds.push(chunk.id);
+      }
+
+      repairedChunks.push({ ...chunk, content });
+    });
+
+    // Chunks with nothing aligned (pure additions) are dropped; give their time to the previous chunk
+    chunks.forEach((chunk, index) => {
+      if (firstWord.has(index)) return;
+
+      repairedChunkIds.push(chunk.id);
+      const previous = [...repairedChunks].reverse().find(c => c.startTime <= chunk.startTime);
+      if (previous && chunk.endTime > previous.endTime) {
+        previous.endTime = chunk.endTime;
+      }
+    });
+
+    return { chunks: repairedChunks, repairedChunkIds };
+  }
+
+  /**
+   * Combine coverage reports from consecutive pieces of one script (windowed chunking)
+   * @param {Object|null} total - Report accumulated so far
+   * @param {Object} next - Report for the next piece
+   * @returns {Object} - Combined report
+   */
+  mergeCoverage(total, next) {
+    if (!total) return { ...next };
+
+    const samples = (key) => [...(total[key] || []), ...(next[key] || [])].slice(0, this.maxSamples);
+    const sum = (key) => (total[key] || 0) + (next[key] || 0);
+
+    return {
+      exact: total.exact && next.exact,
+      originalWordCount: sum('originalWordCount'),
+      chunkWordCount: sum('chunkWordCount'),
+      matchedWordCount: sum('matchedWordCount'),
+      missingWordCount: sum('missingWordCount'),
+      addedWordCount: sum('addedWordCount'),
+      reorderedWordCount: sum('reorderedWordCount'),
+      missingWords: samples('missingWords'),
+      addedWords: samples('addedWords'),
+      reorderedWords: samples('reorderedWords'),
+      mismatchedChunkIds: [...(total.mismatchedChunkIds || []), ...(next.mismatchedChunkIds || [])],
+      repaired: total.repaired || next.repaired,
+      repairedChunkIds: [...(total.repairedChunkIds || []), ...(next.repairedChunkIds || [])],
+      rechunkAttempts: sum('rechunkAttempts'),
+      exactAfterRepair: total.exactAfterRepair && next.exactAfterRepair,
+      editLimitExceeded: !!(total.editLimitExceeded || next.editLimitExceeded),
+      repairFailed: !!(total.repairFailed || next.repairFailed),
+      checkedAt: next.checkedAt
+    };
+  }
+
+  isSevere(report) {
+    if (report.originalWordCount === 0) return false;
+    return report.errorCount / report.originalWordCount > this.rechunkThreshold;
+  }
+
+  /**
+   * Verify chunk coverage, re-request badly broken results and repair whatever is left
+   * @param {string} originalScript - The script as submitted
+   * @param {Array} chunks - Chunks returned by the chunker
+   * @param {Object} options - { rechunk: async () => chunks, maxRechunks }
+   * @returns {Promise<Object>} - { chunks, coverage }; coverage.repairFailed is set when the repaired
+   *   chunks still don't match the script word for word
+   */
+  async verifyAndRepair(originalScript, chunks, options = {}) {
+    const { rechunk = null, maxRechunks = 1 } = options;
+
+    let report = this.verify(originalScript, chunks);
+    let rechunkAttempts = 0;
+
+    while (!report.exact && rechunk && rechunkAttempts < maxRechunks && this.isSevere(report)) {
+      rechunkAttempts++;
+      logger.warn('CHUNK_VERIFY', `Chunk coverage too far off, re-requesting chunks (attempt ${rechunkAttempts})`, {
+        missingWordCount: report.missingWordCount,
+        addedWordCount: report.addedWordCount,
+        reorderedWordCount: report.reorderedWordCount
+      });
+
+      try {
+        const retried = await rechunk();
+        const retriedReport = this.verify(originalScript, retried);
+        if (retriedReport.errorCount < report.errorCount) {
+          chunks = retried;
+          report = retriedReport;
+        }
+      } catch (error) {
+        logger.error('CHUNK_VERIFY', 'Re-requesting chunks failed, repairing original result', {
+          error: error.message
+        });
+        break;
+      }
+    }
+
+    let repairedChunkIds = [];
+    let exactAfterRepair = report.exact;
+
+    // Chunks too far off to align can't be repaired either; they end up reported as a failed repair
+    if (!report.exact && !report.editLimitExceeded) {
+      const repaired = this.repair(originalScript, chunks);
+      chunks = repaired.chunks;
+      repairedChunkIds = repaired.repairedChunkIds;
+      exactAfterRepair = this.verify(originalScript, chunks).exact;
+    }
+
+    const { errorCount, ...coverage } = report;
+
+    const repairFailed = !exactAfterRepair;
+    const logData = {
+      missingWordCount: coverage.missingWordCount,
+      addedWordCount: coverage.addedWordCount,
+      reorderedWordCount: coverage.reorderedWordCount,
+      repairedChunks: repairedChunkIds.length,
+      rechunkAttempts,
+      exactAfterRepair
+    };
+
+    if (repairFailed) {
+      logger.error('CHUNK_VERIFY', 'Chunk coverage could not be repaired, chunks still differ from the script', logData);
+    } else {
+      logger.info('CHUNK_VERIFY', `Chunk coverage ${report.exact ? 'exact' : 'repaired'}`, logData);
+    }
+
+    return {
+      chunks,
+      coverage: {
+        ...coverage,
+        repaired: repairedChunkIds.length > 0,
+        repairedChunkIds,
+        rechunkAttempts,
+        exactAfterRepair,
+        repairFailed,
+        checkedAt: new Date()
+      }
+    };
+  }
+}
+
+module.exports = ChunkVerifier;
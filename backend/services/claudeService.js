@@ -1,24 +1,37 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const logger = require('../utils/logger');
+const { withRetry } = require('../utils/retry');
+const { wrapProviderError } = require('../utils/providerErrors');
+const { DEFAULT_PACING, chunkRange, wordsPerSecond } = require('../utils/pacing');
+
+// Requests per batch of chunks before a miscounted topic answer fails topic generation
+const TOPIC_BATCH_ATTEMPTS = 3;
 
 class ClaudeService {
   constructor() {
     this.client = new Anthropic({
       apiKey: process.env.ANTHROPIC_API_KEY,
+      // Retries are handled by withRetry so they are classified and logged consistently
+      maxRetries: 0,
     });
   }
 
-  async chunkScript(script) {
+  async chunkScript(script, pacing = DEFAULT_PACING) {
     const startTime = Date.now();
 
     try {
+      const { minSeconds, maxSeconds } = chunkRange(pacing);
+      const rate = Math.round(wordsPerSecond(pacing) * 10) / 10;
+      const minWords = Math.round(minSeconds * wordsPerSecond(pacing));
+      const maxWords = Math.round(maxSeconds * wordsPerSecond(pacing));
+
       const prompt = `You are an expert at dividing scripts into meaningful time-based chunks for video production.
 
-Divide the following script into chunks of 5-8 seconds each. Each chunk should be a complete thought or phrase that makes sense on its own.
+Divide the following script into chunks of ${minSeconds}-${maxSeconds} seconds each. Each chunk should be a complete thought or phrase that makes sense on its own.
 
 CRITICAL REQUIREMENTS:
-- Each chunk must be 5-8 seconds long (assuming normal speaking pace of ~3 words per second)
-- This means approximately 15-24 words per chunk
+- Each chunk must be ${minSeconds}-${maxSeconds} seconds long (assuming a speaking pace of ~${rate} words per second)
+- This means approximately ${minWords}-${maxWords} words per chunk
 - **USE ONLY THE EXACT TEXT FROM THE SCRIPT - DO NOT ADD, REMOVE, OR MODIFY ANY WORDS**
 - **DO NOT PARAPHRASE OR REWRITE - COPY THE EXACT WORDS FROM THE ORIGINAL SCRIPT**
 - Don't break sentences or thoughts in unnatural places
@@ -31,7 +44,7 @@ CRITICAL REQUIREMENTS:
 Return a JSON array where each chunk has:
 - content: the EXACT text from the script (complete phrase/sentence) - NO MODIFICATIONS
 - startTime: start time in seconds
-- endTime: end time in seconds (should be startTime + 5 to 8 seconds)
+- endTime: end time in seconds (should be startTime + ${minSeconds} to ${maxSeconds} seconds)
 - topic: a brief description of what this chunk is about (for image generation)
 
 Script to chunk:
@@ -47,10 +60,11 @@ CRITICAL RULES:
       logger.info('CLAUDE', 'Starting script chunking request', {
         model: 'claude-sonnet-4-20250514',
         scriptLength: script.length,
+        pacing,
         operation: 'chunk_script'
       });
 
-      const response = await this.client.messages.create({
+      const response = await withRetry(() => this.client.messages.create({
         model: 'claude-sonnet-4-20250514',
         max_tokens: 4096,
         messages: [
@@ -60,7 +74,7 @@ CRITICAL RULES:
           }
         ],
         temperature: 0.3,
-      });
+      }), { label: 'claude.chunkScript' });
 
       const duration = Date.now() - startTime;
       
@@ -100,9 +114,104 @@ CRITICAL RULES:
         duration,
         error: error.message
       });
-      throw new Error('Failed to chunk script with Claude: ' + error.message);
+      throw wrapProviderError('Failed to chunk script with Claude', error);
     }
   }
+
+  /**
+   * Write a short image-generation topic for each chunk, keeping chunk text untouched
+   * @param {Array} chunks - Chunks with content
+   * @returns {Promise<Array>} - One topic string per chunk, in order
+   */
+  async generateTopics(chunks) {
+    const startTime = Date.now();
+    const batchSize = 40;
+    const topics = [];
+
+    try {
+      logger.info('CLAUDE', 'Starting topic generation request', {
+        model: 'claude-sonnet-4-20250514',
+        chunkCount: chunks.length,
+        operation: 'generate_topics'
+      });
+
+      for (let offset = 0; offset < chunks.length; offset += batchSize) {
+        const batch = chunks.slice(offset, offset + batchSize);
+
+        // Topics are matched to chunks by position, so an answer with a topic dropped or added in the
+        // middle would put every later topic on the wrong chunk; ask again instead
+        let batchTopics;
+        for (let attempt = 1; ; attempt++) {
+          batchTopics = await this.requestTopicBatch(batch);
+          if (batchTopics.length === batch.length) break;
+
+          if (attempt >= TOPIC_BATCH_ATTEMPTS) {
+            throw new Error(`Claude returned ${batchTopics.length} topics for ${batch.length} chunks`);
+          }
+          logger.warn('CLAUDE', `Claude returned ${batchTopics.length} topics for ${batch.length} chunks, asking again (attempt ${attempt + 1}/${TOPIC_BATCH_ATTEMPTS})`);
+        }
+
+        topics.push(...batchTopics.map(topic => (typeof topic === 'string' ? topic.trim() : '')));
+      }
+
+      logger.info('CLAUDE', `Generated topics for ${topics.length} chunks`, {
+        duration: Date.now() - startTime
+      });
+      return topics;
+    } catch (error) {
+      logger.error('CLAUDE', 'Failed to generate topics', {
+        duration: Date.now() - startTime,
+        error: error.message
+      });
+      throw wrapProviderError('Failed to generate topics with Claude', error);
+    }
+  }
+
+  /**
+   * Ask for the topics of one batch of chunks
+   * @param {Array} batch - Chunks with content
+   * @returns {Promise<Array>} - The parsed answer; its length may not match the batch
+   */
+  async requestTopicBatch(batch) {
+    const numbered = batch.map((chunk, index) => `${index + 1}. ${chunk.content}`).join('\n');
+
+    const prompt = `You are helping plan visuals for a narrated video. For each numbered script chunk below, write a brief description of what the chunk is about, suitable as a topic for image generation (at most 12 words).
+
+Chunks:
+${numbered}
+
+Return ONLY a valid JSON array of ${batch.length} strings, one topic per chunk in the same order, no markdown formatting or extra text.`;
+
+    const response = await withRetry(() => this.client.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 4096,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.3,
+    }), { label: 'claude.generateTopics' });
+
+    const content = response.content[0].text;
+    let topics;
+    try {
+      topics = JSON.parse(content);
+    } catch (parseError) {
+      const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+      if (!jsonMatch) {
+        throw new Error('Could not parse JSON from Claude response');
+      }
+      topics = JSON.parse(jsonMatch[1]);
+    }
+
+    if (!Array.isArray(topics)) {
+      throw new Error('Claude did not return a JSON array of topics');
+    }
+
+    return topics;
+  }
 }
 
 module.exports = ClaudeService;
@@ -0,0 +1,140 @@
+const FairRateLimiter = require('../../utils/rateLimiter');
+
+const envInt = (name) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : undefined;
+};
+
+/**
+ * Base class for image providers. A provider is a module in this directory exporting a subclass;
+ * the registry in index.js picks it up automatically.
+ *
+ * Subclasses set their metadata in the constructor and implement generate(). Backing API clients
+ * should be created lazily so that listing providers never needs credentials.
+ */
+class BaseImageProvider {
+  /**
+   * @param {Object} definition
+   * @param {string} definition.id - Identifier used in requests and stored on chunks (imageProvider)
+   * @param {string} definition.name - Display name
+   * @param {string} definition.description - One line description
+   * @param {number} definition.priority - Higher wins when picking the default provider
+   * @param {Object} definition.capabilities - See DEFAULT_CAPABILITIES
+   * @param {Object} definition.limits - Default { maxConcurrent, requestsPerMinute }, see DEFAULT_LIMITS
+   */
+  constructor(definition) {
+    this.id = definition.id;
+    this.name = definition.name || definition.id;
+    this.description = definition.description || '';
+    this.priority = definition.priority || 0;
+    this.capabilities = { ...BaseImageProvider.DEFAULT_CAPABILITIES, ...definition.capabilities };
+    this.limits = { ...BaseImageProvider.DEFAULT_LIMITS, ...definition.limits };
+    this.limiter = null;
+  }
+
+  /**
+   * Whether the provider is configured (API key, endpoint...) and can be used
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Whether a style produces a main and a secondary image
+   */
+  isDualImage(style) {
+    return this.capabilities.dualImageStyles.includes(style);
+  }
+
+  /**
+   * Check provider specific generation parameters (capabilities.parameters)
+   * @param {Object} params - { seed, steps, negativePrompt }
+   * @returns {string|null} - Error message, or null when valid
+   */
+  validateParameters(params) {
+    return null;
+  }
+
+  /**
+   * Generate the image(s) for a chunk
+   * @param {Object} request - { content, color, quality, style, size } plus any capabilities.parameters,
+   *   scriptId / chunkId of the chunk being illustrated when there is one, and for dual image styles the
+   *   variants to produce ('scene', 'symbol'; both when omitted). prompt (and secondaryPrompt for the
+   *   symbol image) replace the prompts the provider would build, skipping any scene/symbol analysis
+   * @returns {Promise<Object>} - { imageUrl, prompt } for single image styles; dual image styles return
+   *   the variants they produced with { imageUrl, sceneDescription, prompt } for 'scene' and
+   *   { secondaryImageUrl, symbolDescription, secondaryPrompt } for 'symbol'. prompt is the text sent to
+   *   the image model. Providers add what they know of the request as sent: model, size, seed, taskId
+   *   (secondaryTaskId for the symbol image) and providerMetadata with other response details
+   */
+  async generate(request) {
+    throw new Error(`Image provider '${this.id}' does not implement generate()`);
+  }
+
+  /**
+   * Request limits: the definition's defaults, overridden by PROVIDER_MAX_CONCURRENT_<ID> and
+   * PROVIDER_RPM_<ID> (e.g. PROVIDER_RPM_OPENAI=15)
+   * @returns {Object} - { maxConcurrent, requestsPerMinute }
+   */
+  getLimits() {
+    const suffix = this.id.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    return {
+      maxConcurrent: envInt(`PROVIDER_MAX_CONCURRENT_${suffix}`) ?? this.limits.maxConcurrent,
+      requestsPerMinute: envInt(`PROVIDER_RPM_${suffix}`) ?? this.limits.requestsPerMinute
+    };
+  }
+
+  /**
+   * Limiter every generate() call goes through, shared by jobs and single image requests
+   * @returns {FairRateLimiter}
+   */
+  getLimiter() {
+    if (!this.limiter) {
+      this.limiter = new FairRateLimiter(this.getLimits());
+    }
+    return this.limiter;
+  }
+
+  /**
+   * Account or credit information, for providers with capabilities.accountInfo
+   * @returns {Promise<Object>}
+   */
+  async getAccountInfo() {
+    throw new Error(`Account info not supported for provider: ${this.id}`);
+  }
+
+  /**
+   * Public description returned by GET /api/scripts/providers
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      available: this.isAvailable(),
+      capabilities: this.capabilities,
+      limits: this.getLimits()
+    };
+  }
+}
+
+BaseImageProvider.DEFAULT_CAPABILITIES = {
+  styles: ['infographic'],
+  qualities: [],
+  sizes: ['1024x1024'],
+  dualImage: false,
+  dualImageStyles: [],
+  // Extra request parameters the provider accepts, e.g. seed, steps, negativePrompt
+  parameters: [],
+  accountInfo: false
+};
+
+// A generate() call counts as one request, even when it produces a dual image
+BaseImageProvider.DEFAULT_LIMITS = {
+  maxConcurrent: 2,
+  // 0 for no per-minute limit
+  requestsPerMinute: 0
+};
+
+module.exports = BaseImageProvider;
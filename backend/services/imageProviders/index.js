@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const BaseImageProvider = require('./baseProvider');
+const logger = require('../../utils/logger');
+const { isMockMode } = require('../../utils/mockMode');
+
+const NON_PROVIDER_MODULES = ['index.js', 'baseProvider.js'];
+
+/**
+ * Image providers keyed by id. Every module in this directory (except this file and the base class)
+ * exports a BaseImageProvider subclass and is registered on load. Set IMAGE_PROVIDERS to a comma
+ * separated list of ids to enable only some of them; in mock mode only the mock provider is loaded
+ * unless IMAGE_PROVIDERS says otherwise.
+ */
+class ImageProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider instance, replacing any provider with the same id
+   * @param {BaseImageProvider} provider
+   */
+  register(provider) {
+    if (!(provider instanceof BaseImageProvider)) {
+      throw new Error('Image providers must extend BaseImageProvider');
+    }
+    if (!provider.id) {
+      throw new Error('Image providers must have an id');
+    }
+
+    this.providers.set(provider.id, provider);
+    return provider;
+  }
+
+  /**
+   * Instantiate and register every provider module in a directory
+   * @param {string} directory
+   * @param {Array} enabledIds - Only register these ids (all when empty)
+   */
+  loadDirectory(directory = __dirname, enabledIds = []) {
+    const files = fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js') && !NON_PROVIDER_MODULES.includes(file))
+      .sort();
+
+    for (const file of files) {
+      try {
+        const ProviderClass = require(path.join(directory, file));
+        const provider = new ProviderClass();
+
+        if (enabledIds.length > 0 && !enabledIds.includes(provider.id)) {
+          continue;
+        }
+
+        this.register(provider);
+      } catch (error) {
+        // One broken provider module shouldn't take the others down
+        logger.error('IMAGE_SERVICE', `Failed to load image provider module ${file}`, { error: error.message });
+      }
+    }
+
+    return this;
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  list() {
+    return [...this.providers.values()];
+  }
+
+  ids() {
+    return [...this.providers.keys()];
+  }
+
+  available() {
+    return this.list().filter(provider => provider.isAvailable());
+  }
+
+  /**
+   * DEFAULT_IMAGE_PROVIDER when it is available, otherwise the available provider with the highest priority
+   * @returns {string|null}
+   */
+  defaultId() {
+    const configured = this.get(process.env.DEFAULT_IMAGE_PROVIDER);
+    if (configured && configured.isAvailable()) {
+      return configured.id;
+    }
+
+    const [best] = this.available().sort((a, b) => b.priority - a.priority);
+    return best ? best.id : null;
+  }
+}
+
+const configuredIds = (process.env.IMAGE_PROVIDERS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+const enabledIds = configuredIds.length === 0 && isMockMode() ? ['mock'] : configuredIds;
+
+// Shared registry; providers create their API clients lazily, so loading them is cheap
+const registry = new ImageProviderRegistry().loadDirectory(__dirname, enabledIds);
+
+module.exports = registry;
+module.exports.ImageProviderRegistry = ImageProviderRegistry;
+module.exports.BaseImageProvider = BaseImageProvider;
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const BaseImageProvider = require('./baseProvider');
+const MockLLMService = require('../mockLLMService');
+const logger = require('../../utils/logger');
+const { isMockMode, mockDelay } = require('../../utils/mockMode');
+const { renderPlaceholderPng } = require('../../utils/placeholderImage');
+const { IMAGE_VARIANTS } = require('../../utils/chunkImages');
+
+/**
+ * Offline provider for development and tests: draws the chunk text on a placeholder PNG.
+ * Only available with MOCK_PROVIDERS set. Mirrors NanoBanana's dual image infographic style so
+ * the scene + symbol path can be exercised too.
+ */
+class MockImageProvider extends BaseImageProvider {
+  constructor() {
+    super({
+      id: 'mock',
+      name: 'Mock (offline placeholders)',
+      description: 'Placeholder images with the chunk text, no API calls',
+      priority: 100,
+      capabilities: {
+        styles: ['infographic', 'drawing', 'illustration', 'abstract'],
+        qualities: ['low', 'medium', 'high', 'auto'],
+        sizes: ['1024x1024', '512x512', '768x768', '1024x576', '576x1024'],
+        dualImage: true,
+        dualImageStyles: ['infographic'],
+        parameters: ['seed', 'steps', 'negativePrompt'],
+        accountInfo: true
+      },
+      limits: { maxConcurrent: 4, requestsPerMinute: 0 }
+    });
+    this.analysis = new MockLLMService();
+    this.uploadsDir = path.join(__dirname, '../../uploads');
+  }
+
+  isAvailable() {
+    return isMockMode();
+  }
+
+  async generate({ content, style, size = '1024x1024', variants = IMAGE_VARIANTS, prompt, secondaryPrompt }) {
+    await mockDelay();
+    const [width, height] = size.split('x').map(Number);
+    const details = { model: 'mock-placeholder', size, providerMetadata: { renderer: 'placeholder', width, height } };
+
+    if (!this.isDualImage(style)) {
+      const imagePrompt = prompt || `Mock ${style}: ${content}`;
+      return { imageUrl: this.saveImage(prompt || content, `Mock ${style}`, width, height), prompt: imagePrompt, ...details };
+    }
+
+    const result = { variants, ...details };
+    if (variants.includes('scene')) {
+      if (!prompt) {
+        result.sceneDescription = await this.analysis.analyzeSceneDescription(content);
+      }
+      result.prompt = prompt || `Mock ${style} scene: ${result.sceneDescription}`;
+      result.imageUrl = this.saveImage(result.sceneDescription || result.prompt, `Mock ${style} scene`, width, height);
+    }
+    if (variants.includes('symbol')) {
+      if (!secondaryPrompt) {
+        result.symbolDescription = await this.analysis.analyzeSymbolsAndObjects(content);
+      }
+      result.secondaryPrompt = secondaryPrompt || `Mock ${style} symbol: ${result.symbolDescription}`;
+      result.secondaryImageUrl = this.saveImage(result.symbolDescription || result.secondaryPrompt, `Mock ${style} symbol`, width, height, 'mock_symbol');
+    }
+    return result;
+  }
+
+  async getAccountInfo() {
+    return { credits: 9999, message: 'Mock provider: no account needed' };
+  }
+
+  saveImage(text, label, width, height, prefix = 'mock') {
+    if (!fs.existsSync(this.uploadsDir)) {
+      fs.mkdirSync(this.uploadsDir, { recursive: true });
+    }
+
+    const lastTwoWords = text.trim().split(/\s+/).filter(Boolean).slice(-2).join('_')
+      .replace(/[^a-zA-Z0-9_]/g, '')
+      .toLowerCase()
+      .substring(0, 20);
+    const filename = `${prefix}_${uuidv4().substring(0, 8)}_${lastTwoWords || 'chunk'}.png`;
+
+    fs.writeFileSync(path.join(this.uploadsDir, filename), renderPlaceholderPng({ text, label, width, height }));
+    logger.info('MOCK', `Placeholder image saved: /api/images/${filename}`);
+
+    return `/api/images/${filename}`;
+  }
+}
+
+module.exports = MockImageProvider;
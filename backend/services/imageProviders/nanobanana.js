@@ -0,0 +1,92 @@
+const BaseImageProvider = require('./baseProvider');
+const logger = require('../../utils/logger');
+const { IMAGE_VARIANTS } = require('../../utils/chunkImages');
+
+class NanoBananaImageProvider extends BaseImageProvider {
+  constructor() {
+    super({
+      id: 'nanobanana',
+      name: 'NanoBanana AI',
+      description: 'Fast and efficient image generation with NanoBanana API',
+      priority: 20,
+      capabilities: {
+        styles: ['infographic', 'drawing', 'illustration', 'abstract'],
+        sizes: ['1024x1024'],
+        dualImage: true,
+        dualImageStyles: ['infographic'],
+        accountInfo: true
+      },
+      limits: { maxConcurrent: 4, requestsPerMinute: 20 }
+    });
+    this.service = null;
+    this.analysisService = null;
+  }
+
+  isAvailable() {
+    return !!process.env.NANOBANANA_API_KEY;
+  }
+
+  getService() {
+    if (!this.service) {
+      const NanoBananaService = require('../nanoBananaService');
+      this.service = new NanoBananaService();
+    }
+    return this.service;
+  }
+
+  // Scene and symbol analysis for the dual image path runs on OpenAI
+  getAnalysisService() {
+    if (!this.analysisService) {
+      const { createTextService } = require('../serviceFactory');
+      this.analysisService = createTextService();
+    }
+    return this.analysisService;
+  }
+
+  async generate({ content, color, quality, style, variants = IMAGE_VARIANTS, prompt, secondaryPrompt, scriptId, chunkId }) {
+    // Lets a callback that arrives after a restart find the chunk its image belongs to
+    const context = { scriptId, chunkId };
+
+    if (!this.isDualImage(style)) {
+      return await this.getService().generateImage(content, color, quality, style, context, prompt);
+    }
+
+    // Infographic style: one image of the scene's characters and one of the symbol behind the idea
+    logger.info('IMAGE_SERVICE', 'Using OpenAI for scene and symbol analysis before NanoBanana generation');
+
+    const analysis = this.getAnalysisService();
+    const service = this.getService();
+    const result = { variants, model: 'nanobanana' };
+
+    if (variants.includes('scene')) {
+      // An edited prompt is sent as it is, without a new analysis
+      if (!prompt) {
+        result.sceneDescription = await analysis.analyzeSceneDescription(content);
+        logger.info('IMAGE_SERVICE', `Scene analysis result: "${result.sceneDescription}"`);
+      }
+      const scene = await service.generateImageWithScene(result.sceneDescription, color, quality, style, context, prompt);
+      result.imageUrl = scene.imageUrl;
+      result.prompt = scene.prompt;
+      result.taskId = scene.taskId;
+    }
+
+    if (variants.includes('symbol')) {
+      if (!secondaryPrompt) {
+        result.symbolDescription = await analysis.analyzeSymbolsAndObjects(content);
+        logger.info('IMAGE_SERVICE', `Symbol analysis result: "${result.symbolDescription}"`);
+      }
+      const symbol = await service.generateSymbolImage(result.symbolDescription, color, quality, style, context, secondaryPrompt);
+      result.secondaryImageUrl = symbol.imageUrl;
+      result.secondaryPrompt = symbol.prompt;
+      result.secondaryTaskId = symbol.taskId;
+    }
+
+    return result;
+  }
+
+  async getAccountInfo() {
+    return await this.getService().getAccountCredits();
+  }
+}
+
+module.exports = NanoBananaImageProvider;
@@ -0,0 +1,37 @@
+const BaseImageProvider = require('./baseProvider');
+
+class OpenAIImageProvider extends BaseImageProvider {
+  constructor() {
+    super({
+      id: 'openai',
+      name: 'OpenAI GPT-Image-1',
+      description: 'High-quality image generation using OpenAI\'s latest model',
+      priority: 10,
+      capabilities: {
+        styles: ['infographic', 'drawing', 'illustration', 'abstract'],
+        qualities: ['low', 'medium', 'high', 'auto'],
+        sizes: ['1024x1024']
+      },
+      limits: { maxConcurrent: 3, requestsPerMinute: 15 }
+    });
+    this.service = null;
+  }
+
+  isAvailable() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+
+  getService() {
+    if (!this.service) {
+      const OpenAIService = require('../openaiService');
+      this.service = new OpenAIService();
+    }
+    return this.service;
+  }
+
+  async generate({ content, color, quality, style, prompt }) {
+    return await this.getService().generateImage(content, color, quality, style, { prompt });
+  }
+}
+
+module.exports = OpenAIImageProvider;
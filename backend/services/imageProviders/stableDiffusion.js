@@ -0,0 +1,52 @@
+const BaseImageProvider = require('./baseProvider');
+
+const SIZES = ['1024x1024', '512x512', '768x768', '1024x576', '576x1024', '1152x896', '896x1152'];
+const MAX_STEPS = 150;
+
+class StableDiffusionImageProvider extends BaseImageProvider {
+  constructor() {
+    super({
+      id: 'stablediffusion',
+      name: 'Stable Diffusion (self-hosted)',
+      description: 'Local Automatic1111 or ComfyUI server; prompts never leave your network',
+      priority: 5,
+      capabilities: {
+        styles: ['infographic', 'drawing', 'illustration', 'abstract'],
+        qualities: ['low', 'medium', 'high'],
+        sizes: SIZES,
+        parameters: ['seed', 'steps', 'negativePrompt']
+      },
+      limits: { maxConcurrent: 1, requestsPerMinute: 0 }
+    });
+    this.service = null;
+  }
+
+  isAvailable() {
+    return !!process.env.SD_API_URL;
+  }
+
+  getService() {
+    if (!this.service) {
+      const StableDiffusionService = require('../stableDiffusionService');
+      this.service = new StableDiffusionService();
+    }
+    return this.service;
+  }
+
+  validateParameters({ seed, steps }) {
+    if (seed !== undefined && seed !== null && seed !== '' && !(Number.isInteger(Number(seed)) && Number(seed) >= -1)) {
+      return 'seed must be an integer (-1 for random)';
+    }
+    if (steps !== undefined && steps !== null && steps !== '' &&
+        !(Number.isInteger(Number(steps)) && Number(steps) >= 1 && Number(steps) <= MAX_STEPS)) {
+      return `steps must be an integer between 1 and ${MAX_STEPS}`;
+    }
+    return null;
+  }
+
+  async generate({ content, color, quality, style, size, seed, steps, negativePrompt, prompt }) {
+    return await this.getService().generateImage(content, { color, quality, style, size, seed, steps, negativePrompt, prompt });
+  }
+}
+
+module.exports = StableDiffusionImageProvider;
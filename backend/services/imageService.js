@@ -1,163 +1,199 @@
-const OpenAIService = require('./openaiService');
-const NanoBananaService = require('./nanoBananaService');
+const providerRegistry = require('./imageProviders');
 const logger = require('../utils/logger');
+const { ERROR_TYPES, DEFAULT_FALLBACK_ERRORS, classifyProviderError } = require('../utils/providerErrors');
 
 class ImageService {
-  constructor() {
-    this.openaiService = new OpenAIService();
-    this.nanoBananaService = new NanoBananaService();
-    this.providers = {
-      openai: this.openaiService,
-      nanobanana: this.nanoBananaService
-    };
+  constructor(registry = providerRegistry) {
+    this.registry = registry;
   }
 
   /**
-   * Generate an image using the specified provider
+   * Generate image(s) for chunk content, falling back along a provider chain on failure
    * @param {string} chunkContent - The content to generate an image for
-   * @param {string} provider - The provider to use ('openai' or 'nanobanana')
-   * @param {string} color - The primary color for the image
-   * @param {string} quality - The quality setting
-   * @param {string} style - The style of the image
-   * @returns {Promise<string>} - The URL of the generated image
+   * @param {string} provider - Provider id from the registry, tried first
+   * @param {Object} options - { color, quality, style, size } plus the provider's capabilities.parameters,
+   *   and optionally fallbackProviders (ids tried in order when the previous one fails) and fallbackOn
+   *   (error types that trigger a fallback, default DEFAULT_FALLBACK_ERRORS). scriptId and chunkId are
+   *   passed on so asynchronous providers can attach late results to the chunk; variants picks the images
+   *   of a dual image style (see utils/chunkImages); prompt / secondaryPrompt replace the provider's prompts
+   * @returns {Promise<Object>} - { imageUrl, secondaryImageUrl?, sceneDescription?, symbolDescription?,
+   *   prompt?, secondaryPrompt?, variants?, seed?, model?, size?, taskId?, secondaryTaskId?,
+   *   providerMetadata?, provider, attempts } where provider produced the image and attempts lists the
+   *   earlier failures. variants is only set for dual image styles
+   */
+  async generate(chunkContent, provider = 'openai', options = {}) {
+    const { fallbackProviders = [], fallbackOn = DEFAULT_FALLBACK_ERRORS, ...generationOptions } = options;
+    const chain = [...new Set([provider, ...fallbackProviders])];
+    const attempts = [];
+
+    for (const [index, providerId] of chain.entries()) {
+      try {
+        const result = await this.generateWithProvider(chunkContent, providerId, generationOptions);
+        return { ...result, provider: providerId, attempts };
+      } catch (error) {
+        const errorType = error.errorType || classifyProviderError(error);
+        attempts.push({ provider: providerId, error: error.message, errorType });
+
+        const nextProvider = chain[index + 1];
+        if (!nextProvider || !fallbackOn.includes(errorType)) {
+          throw this.chainError(error, errorType, attempts);
+        }
+
+        logger.warn('IMAGE_SERVICE', `Falling back from ${providerId} to ${nextProvider} after ${errorType} error`, {
+          provider: providerId,
+          nextProvider,
+          errorType,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Generate several candidates for the same chunk, each through generate() and its fallback chain.
+   * A fixed seed is offset per candidate so they differ. Failed candidates are left out; the call only
+   * fails when every candidate does.
+   * @param {string} chunkContent - The content to generate images for
+   * @param {string} provider - Provider id from the registry, tried first
+   * @param {Object} options - Same as generate()
+   * @param {number} count - Number of candidates
+   * @returns {Promise<Array>} - generate() results of the candidates that succeeded, in request order,
+   *   with the seed each one asked for when the provider takes a seed but didn't report the one it used
    */
-  async generateImage(chunkContent, provider = 'openai', color = 'white', quality = 'high', style = 'infographic') {
+  async generateCandidates(chunkContent, provider = 'openai', options = {}, count = 1) {
+    const seed = parseInt(options.seed, 10);
+    const settled = await Promise.allSettled(Array.from({ length: count }, (_, index) => {
+      const candidateOptions = index > 0 && seed >= 0 ? { ...options, seed: seed + index } : options;
+      return this.generate(chunkContent, provider, candidateOptions).then(result => (
+        this.registry.get(result.provider)?.capabilities.parameters.includes('seed')
+          ? { seed: candidateOptions.seed, ...result }
+          : result
+      ));
+    }));
+
+    const results = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+    if (results.length === 0) {
+      throw settled[0].reason;
+    }
+
+    if (results.length < count) {
+      logger.warn('IMAGE_SERVICE', `${count - results.length} of ${count} image candidates failed`, {
+        provider,
+        chunkId: options.chunkId,
+        errors: settled.filter(outcome => outcome.status === 'rejected').map(outcome => outcome.reason.message)
+      });
+    }
+    return results;
+  }
+
+  async generateWithProvider(chunkContent, provider, options = {}) {
+    const { color = 'white', quality = 'high', style = 'infographic', size, ...parameters } = options;
     const startTime = Date.now();
-    
+
     try {
-      // TEMPORARY DEBUG: Force nanobanana if it was requested
-      if (provider === 'nanobanana') {
-        console.log(`🚨 [FORCE DEBUG] NanoBanana was requested, forcing it!`);
+      const service = this.registry.get(provider);
+      if (!service) {
+        throw new Error(`Invalid image provider: ${provider}. Available providers: ${this.registry.ids().join(', ')}`);
       }
-      
-      // Validate provider
-      if (!this.providers[provider]) {
-        throw new Error(`Invalid image provider: ${provider}. Available providers: ${Object.keys(this.providers).join(', ')}`);
+      if (!service.isAvailable()) {
+        const error = new Error(`Image provider '${provider}' is not available`);
+        error.errorType = ERROR_TYPES.UNAVAILABLE;
+        throw error;
       }
 
-      console.log(`🔧 [DEBUG] ImageService.generateImage called with:`, {
-        provider,
-        color,
-        quality,
-        style,
-        contentLength: chunkContent.length
-      });
-      
-      console.log(`🔧 [CRITICAL DEBUG] About to check provider logic for: ${provider} with style: ${style}`);
-      
       logger.info('IMAGE_SERVICE', `Generating image with provider: ${provider}`, {
         provider,
         color,
         quality,
         style,
+        dualImage: service.isDualImage(style),
         contentLength: chunkContent.length
       });
 
-      // For NanoBanana provider with infographic style, use OpenAI for scene analysis first
-      if (provider === 'nanobanana' && style === 'infographic') {
-        console.log(`🎯 [NANOBANANA PATH] Taking NanoBanana + infographic path!`);
-        logger.info('IMAGE_SERVICE', 'Using OpenAI for scene and symbol analysis before NanoBanana generation');
-        
-        console.log('\n' + '='.repeat(100));
-        console.log('🤖 [OPENAI SCENE ANALYSIS] Analyzing chunk content:');
-        console.log('📝 Chunk Content:', chunkContent);
-        console.log('='.repeat(100));
-        
-        // Generate scene description for main image
-        const sceneDescription = await this.openaiService.analyzeSceneDescription(chunkContent);
-        
-        console.log('\n' + '='.repeat(100));
-        console.log('✨ [OPENAI SCENE DESCRIPTION OUTPUT]:');
-        console.log('🎬 Scene Description:', sceneDescription);
-        console.log('📏 Length:', sceneDescription.length, 'characters');
-        console.log('='.repeat(100) + '\n');
-        
-        logger.info('IMAGE_SERVICE', `Scene analysis result: "${sceneDescription}"`);
-        
-        // Generate symbol description for secondary image
-        console.log('\n' + '='.repeat(100));
-        console.log('🔣 [OPENAI SYMBOL ANALYSIS] Analyzing chunk content for symbols:');
-        console.log('📝 Chunk Content:', chunkContent);
-        console.log('='.repeat(100));
-        
-        const symbolDescription = await this.openaiService.analyzeSymbolsAndObjects(chunkContent);
-        
-        console.log('\n' + '='.repeat(100));
-        console.log('✨ [OPENAI SYMBOL DESCRIPTION OUTPUT]:');
-        console.log('🔣 Symbol Description:', symbolDescription);
-        console.log('📏 Length:', symbolDescription.length, 'characters');
-        console.log('='.repeat(100) + '\n');
-        
-        logger.info('IMAGE_SERVICE', `Symbol analysis result: "${symbolDescription}"`);
-        
-        console.log(`🎯 [NANOBANANA PATH] About to call NanoBanana for both images`);
-        const service = this.providers[provider];
-        
-        // Generate main image (scene with characters)
-        const mainImageUrl = await service.generateImageWithScene(sceneDescription, color, quality, style);
-        
-        // Generate secondary image (symbol/object)
-        const secondaryImageUrl = await service.generateSymbolImage(symbolDescription, color, quality, style);
-        
-        const duration = Date.now() - startTime;
-        logger.info('IMAGE_SERVICE', `Both images generated successfully with ${provider}`, {
-          provider,
-          mainImageUrl,
-          secondaryImageUrl,
-          duration,
-          sceneDescription,
-          symbolDescription
-        });
+      // Waits for a free slot under the provider's limits; scripts take turns when several are queued
+      const result = await service.getLimiter().run(parameters.scriptId || 'default', () => (
+        service.generate({ content: chunkContent, color, quality, style, size, ...parameters })
+      ));
 
-        return {
-          mainImageUrl,
-          secondaryImageUrl,
-          sceneDescription,
-          symbolDescription
-        };
-      } else {
-        console.log(`🔄 [STANDARD PATH] Taking standard path for provider: ${provider}, style: ${style}`);
-        // Use the provider's standard generation method
-        const service = this.providers[provider];
-        const imageUrl = await service.generateImage(chunkContent, color, quality, style);
-
-        const duration = Date.now() - startTime;
-        logger.info('IMAGE_SERVICE', `Image generated successfully with ${provider}`, {
-          provider,
-          imageUrl,
-          duration
-        });
+      logger.info('IMAGE_SERVICE', `Image generated successfully with ${provider}`, {
+        provider,
+        imageUrl: result.imageUrl,
+        secondaryImageUrl: result.secondaryImageUrl,
+        duration: Date.now() - startTime
+      });
 
-        return imageUrl;
-      }
+      return result;
     } catch (error) {
-      const duration = Date.now() - startTime;
       logger.error('IMAGE_SERVICE', `Failed to generate image with ${provider}`, {
         provider,
         error: error.message,
-        duration
+        duration: Date.now() - startTime
       });
       throw error;
     }
   }
 
   /**
-   * Get available providers and their status
-   * @returns {Object} - Object containing provider information
+   * Whether a provider produces a main and a secondary image for a style
+   * @param {string} provider
+   * @param {string} style
+   * @returns {boolean}
+   */
+  isDualImage(provider, style) {
+    return !!this.registry.get(provider)?.isDualImage(style);
+  }
+
+  /**
+   * Concurrency and rate limits of a provider
+   * @param {string} provider
+   * @returns {Object|null} - { maxConcurrent, requestsPerMinute }
+   */
+  getProviderLimits(provider) {
+    return this.registry.get(provider)?.getLimits() || null;
+  }
+
+  // Error thrown when the chain gives up; keeps every attempt for the caller to record
+  chainError(lastError, errorType, attempts) {
+    const error = attempts.length > 1
+      ? new Error(`All image providers failed: ${attempts.map(attempt => `${attempt.provider} (${attempt.errorType}): ${attempt.error}`).join('; ')}`)
+      : lastError;
+    error.errorType = errorType;
+    error.attempts = attempts;
+    return error;
+  }
+
+  /**
+   * Generate an image using the specified provider
+   * @param {string} chunkContent - The content to generate an image for
+   * @param {string} provider - The provider to use
+   * @param {string} color - The primary color for the image
+   * @param {string} quality - The quality setting
+   * @param {string} style - The style of the image
+   * @param {Object} generationParams - Optional { size, seed, steps, negativePrompt, fallbackProviders, fallbackOn }
+   * @returns {Promise<string|Object>} - The URL of the generated image, or
+   *   { mainImageUrl, secondaryImageUrl, sceneDescription, symbolDescription } for dual image styles
+   */
+  async generateImage(chunkContent, provider = 'openai', color = 'white', quality = 'high', style = 'infographic', generationParams = {}) {
+    const result = await this.generate(chunkContent, provider, { ...generationParams, color, quality, style });
+
+    if (result.secondaryImageUrl) {
+      return {
+        mainImageUrl: result.imageUrl,
+        secondaryImageUrl: result.secondaryImageUrl,
+        sceneDescription: result.sceneDescription,
+        symbolDescription: result.symbolDescription
+      };
+    }
+
+    return result.imageUrl;
+  }
+
+  /**
+   * Get registered providers, their status and capabilities
+   * @returns {Object} - Provider information keyed by provider id
    */
   getProviderInfo() {
-    return {
-      openai: {
-        name: 'OpenAI GPT-Image-1',
-        available: !!process.env.OPENAI_API_KEY,
-        description: 'High-quality image generation using OpenAI\'s latest model'
-      },
-      nanobanana: {
-        name: 'NanoBanana AI',
-        available: !!process.env.NANOBANANA_API_KEY,
-        description: 'Fast and efficient image generation with NanoBanana API'
-      }
-    };
+    return Object.fromEntries(this.registry.list().map(provider => [provider.id, provider.toJSON()]));
   }
 
   /**
@@ -165,8 +201,15 @@ class ImageService {
    * @returns {Array} - Array of available provider names
    */
   getAvailableProviders() {
-    const providerInfo = this.getProviderInfo();
-    return Object.keys(providerInfo).filter(provider => providerInfo[provider].available);
+    return this.registry.available().map(provider => provider.id);
+  }
+
+  /**
+   * Provider to preselect in the UI
+   * @returns {string|null}
+   */
+  getDefaultProvider() {
+    return this.registry.defaultId();
   }
 
   /**
@@ -175,8 +218,61 @@ class ImageService {
    * @returns {boolean} - Whether the provider is available
    */
   isProviderAvailable(provider) {
-    const providerInfo = this.getProviderInfo();
-    return providerInfo[provider]?.available || false;
+    const service = this.registry.get(provider);
+    return !!service && service.isAvailable();
+  }
+
+  /**
+   * Check style, quality, size and generation parameters against the provider's capabilities
+   * @returns {string|null} - Error message, or null when supported
+   */
+  validateOptions(provider, { style, quality, size, ...parameters } = {}) {
+    const service = this.registry.get(provider);
+    if (!service) {
+      return `Invalid image provider: ${provider}`;
+    }
+
+    const { styles, qualities, sizes } = service.capabilities;
+    if (style && !styles.includes(style)) {
+      return `Provider '${provider}' does not support style '${style}'. Supported styles: ${styles.join(', ')}`;
+    }
+    if (quality && qualities.length > 0 && !qualities.includes(quality)) {
+      return `Provider '${provider}' does not support quality '${quality}'. Supported qualities: ${qualities.join(', ')}`;
+    }
+    if (size && !sizes.includes(size)) {
+      return `Provider '${provider}' does not support size '${size}'. Supported sizes: ${sizes.join(', ')}`;
+    }
+    return service.validateParameters(parameters);
+  }
+
+  /**
+   * Check a fallback chain: every provider must be available and support the request's options
+   * @param {Array} fallbackProviders - Provider ids tried after the primary provider
+   * @param {Array} fallbackOn - Error types that trigger a fallback (optional)
+   * @param {Object} options - { style, quality, size, ... } as passed to validateOptions
+   * @returns {string|null} - Error message, or null when valid
+   */
+  validateFallback(fallbackProviders, fallbackOn, options = {}) {
+    if (fallbackProviders !== undefined && !Array.isArray(fallbackProviders)) {
+      return 'fallbackProviders must be an array of provider ids';
+    }
+    if (fallbackOn !== undefined) {
+      const errorTypes = Object.values(ERROR_TYPES);
+      if (!Array.isArray(fallbackOn) || fallbackOn.some(type => !errorTypes.includes(type))) {
+        return `fallbackOn must be an array of error types: ${errorTypes.join(', ')}`;
+      }
+    }
+
+    for (const provider of fallbackProviders || []) {
+      if (!this.isProviderAvailable(provider)) {
+        return `Fallback provider '${provider}' is not available. Available providers: ${this.getAvailableProviders().join(', ')}`;
+      }
+      const optionsError = this.validateOptions(provider, options);
+      if (optionsError) {
+        return `Fallback ${optionsError.charAt(0).toLowerCase()}${optionsError.slice(1)}`;
+      }
+    }
+    return null;
   }
 
   /**
@@ -186,22 +282,16 @@ class ImageService {
    */
   async getAccountInfo(provider) {
     try {
-      if (!this.providers[provider]) {
+      const service = this.registry.get(provider);
+      if (!service) {
         throw new Error(`Invalid provider: ${provider}`);
       }
 
-      const service = this.providers[provider];
-      
-      if (provider === 'nanobanana' && service.getAccountCredits) {
-        return await service.getAccountCredits();
-      }
-      
-      // OpenAI doesn't have a direct credits endpoint in our current implementation
-      if (provider === 'openai') {
-        return { message: 'Account info not available for OpenAI provider' };
+      if (!service.capabilities.accountInfo) {
+        return { message: `Account info not available for ${service.name}` };
       }
 
-      throw new Error(`Account info not supported for provider: ${provider}`);
+      return await service.getAccountInfo();
     } catch (error) {
       logger.error('IMAGE_SERVICE', `Failed to get account info for ${provider}`, {
         provider,
@@ -1,13 +1,22 @@
 const Job = require('../models/Job');
 const Script = require('../models/Script');
 const ImageService = require('./imageService');
+const WindowedChunker = require('./windowedChunker');
+const AnimaticRenderer = require('./animaticRenderer');
 const logger = require('../utils/logger');
+const { classifyProviderError } = require('../utils/providerErrors');
+const { emitJobEvent } = require('../utils/jobEvents');
+const { IMAGE_VARIANTS, chunkNeedsImages, generationFields, deleteUnusedImageFiles } = require('../utils/chunkImages');
 
 class JobManager {
   constructor() {
     this.imageService = new ImageService();
+    this.windowedChunker = new WindowedChunker();
+    this.animaticRenderer = new AnimaticRenderer();
     this.isProcessing = false;
-    this.currentJob = null;
+    // Jobs run in parallel up to JOB_CONCURRENCY; provider limiters keep the image calls in check
+    this.maxConcurrentJobs = parseInt(process.env.JOB_CONCURRENCY, 10) || 3;
+    this.activeJobs = new Map();
   }
 
   // Start the job processor
@@ -35,8 +44,10 @@ class JobManager {
       
       for (const job of incompleteJobs) {
         // Reset processing status to pending so they get picked up
-        job.status = 'pending';
-        await job.save();
+        await Job.updateOne(
+          { _id: job._id, status: { $in: ['pending', 'processing'] } },
+          { $set: { status: 'pending', updatedAt: new Date() } }
+        );
         console.log(`🔄 Resumed job ${job._id} for script ${job.scriptId}`);
       }
     } catch (error) {
@@ -44,15 +55,21 @@ class JobManager {
     }
   }
 
-  // Main job processing loop
+  // Main job processing loop: keeps up to maxConcurrentJobs jobs running
   async processJobs() {
     while (this.isProcessing) {
       try {
-        // Get next pending job
-        const job = await Job.findOne({ status: 'pending' }).sort({ createdAt: 1 });
+        if (this.activeJobs.size >= this.maxConcurrentJobs) {
+          // Wait for a slot to free up
+          await Promise.race(this.activeJobs.values());
+          continue;
+        }
+
+        const job = await this.claimNextJob();
         
         if (job) {
-          await this.processJob(job);
+          const running = this.processJob(job).finally(() => this.activeJobs.delete(String(job._id)));
+          this.activeJobs.set(String(job._id), running);
         } else {
           // No jobs to process, wait a bit
           await this.sleep(5000); // Check every 5 seconds
@@ -64,156 +81,577 @@ class JobManager {
     }
   }
 
-  // Process a single job
+  // Atomically take the oldest pending job, so it's never picked up twice. Jobs still winding down
+  // here (paused and resumed before their in-flight chunks finished) wait until they're done.
+  async claimNextJob() {
+    return await Job.findOneAndUpdate(
+      { status: 'pending', _id: { $nin: [...this.activeJobs.keys()] } },
+      // $min keeps the first start when a paused or retried job is picked up again
+      { $set: { status: 'processing', updatedAt: new Date() }, $min: { startedAt: new Date() } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  // Process a single job that claimNextJob marked as processing
   async processJob(job) {
-    this.currentJob = job;
-    
     try {
       console.log(`🎨 Starting job ${job._id}: ${job.type}`);
-      
-      // Mark job as processing
-      job.status = 'processing';
-      await job.save();
+      emitJobEvent('job:started', job);
 
       if (job.type === 'batch_image_generation') {
         await this.processBatchImageGeneration(job);
+      } else if (job.type === 'script_chunking') {
+        await this.processScriptChunking(job);
+      } else if (job.type === 'animatic_render') {
+        await this.processAnimaticRender(job);
       }
 
-      // Mark job as completed
-      job.status = 'completed';
-      job.completedAt = new Date();
-      await job.save();
+      // Mark job as completed, unless it was paused or cancelled meanwhile
+      const { modifiedCount } = await Job.updateOne(
+        { _id: job._id, status: 'processing' },
+        { $set: { status: 'completed', completedAt: new Date(), updatedAt: new Date() } }
+      );
       
-      console.log(`✅ Completed job ${job._id}`);
+      console.log(modifiedCount > 0 ? `✅ Completed job ${job._id}` : `🛑 Stopped job ${job._id}`);
+      if (modifiedCount > 0) {
+        emitJobEvent('job:completed', job, { status: 'completed' });
+      }
       
     } catch (error) {
       console.error(`❌ Error processing job ${job._id}:`, error);
       
       // Mark job as failed
-      job.status = 'failed';
-      job.error = error.message;
-      await job.save();
-    } finally {
-      this.currentJob = null;
+      const { modifiedCount } = await Job.updateOne(
+        { _id: job._id, status: 'processing' },
+        { $set: { status: 'failed', error: error.message, updatedAt: new Date() } }
+      ).catch(saveError => {
+        console.error(`❌ Error marking job ${job._id} as failed:`, saveError.message);
+        return {};
+      });
+      if (modifiedCount > 0) {
+        emitJobEvent('job:failed', job, { status: 'failed', error: error.message });
+      }
     }
   }
 
-  // Process batch image generation job
+  // Images a job's settings produce per chunk: the variants for a dual image style, null for a single image
+  imageVariantsFor({ provider, style, imageVariants }) {
+    if (!this.imageService.isDualImage(provider || 'openai', style || 'infographic')) {
+      return null;
+    }
+    return imageVariants?.length ? imageVariants : IMAGE_VARIANTS;
+  }
+
+  // Current status of a job, e.g. to notice it was paused or cancelled while running
+  async getCurrentJobStatus(jobId) {
+    const currentJob = await Job.findById(jobId).select('status');
+    return currentJob?.status || null;
+  }
+
+  // Process batch image generation job: chunks run in parallel, as many as the provider allows
   async processBatchImageGeneration(job) {
     const script = await Script.findById(job.scriptId);
     if (!script) {
       throw new Error('Script not found');
     }
 
-    // Get chunks that still need processing
-    const pendingChunks = job.chunksToProcess.filter(chunk => 
-      chunk.status === 'pending' || chunk.status === 'failed'
+    // Get chunks that still need processing ('processing' ones were interrupted by a restart)
+    const queue = job.chunksToProcess.filter(chunk => 
+      chunk.status === 'pending' || chunk.status === 'failed' || chunk.status === 'processing'
     );
 
-    console.log(`🎨 Processing ${pendingChunks.length} chunks for job ${job._id}`);
+    const limits = this.imageService.getProviderLimits(job.config.provider || 'openai');
+    const workers = Math.max(1, Math.min(queue.length, limits?.maxConcurrent || 1));
+
+    console.log(`🎨 Processing ${queue.length} chunks for job ${job._id} (${workers} at a time)`);
+
+    let stopped = false;
+    const worker = async () => {
+      while (!stopped && queue.length > 0) {
+        // Take the chunk before awaiting anything, so two workers never race for the last one
+        const chunkItem = queue.shift();
+
+        // Check if job has been paused or cancelled; chunks already in flight still finish
+        const status = await this.getCurrentJobStatus(job._id);
+        if (status !== 'processing') {
+          if (!stopped) {
+            console.log(`${status === 'paused' ? '⏸️' : '🛑'} Job ${job._id} was ${status || 'deleted'}, stopping processing`);
+          }
+          stopped = true;
+          return;
+        }
+
+        // One chunk that can't even be recorded as failed must not stop the other workers
+        try {
+          await this.processBatchChunk(job, script, chunkItem);
+        } catch (error) {
+          console.error(`❌ Error recording chunk ${chunkItem.chunkId} of job ${job._id}:`, error.message);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: workers }, worker));
+  }
+
+  // Generate the image(s) for one chunk of a batch job and record the outcome
+  async processBatchChunk(job, script, chunkItem) {
+    const startedAt = new Date();
+    try {
+      // Find the actual chunk in the script
+      const scriptChunk = script.chunks.find(c => c.id === chunkItem.chunkId);
+      if (!scriptChunk) {
+        throw new Error(`Chunk ${chunkItem.chunkId} not found in script`);
+      }
+
+      // A retried chunk no longer counts as failed
+      const retryIncrement = chunkItem.status === 'failed' ? { failedChunks: -1 } : {};
+
+      // Skip if chunk already has up-to-date images
+      if (!chunkNeedsImages(scriptChunk, this.imageVariantsFor(job.config))) {
+        await this.updateChunkItem(job, chunkItem, { status: 'completed', processedAt: new Date() }, {
+          ...retryIncrement,
+          processedChunks: 1
+        });
+        return;
+      }
+
+      console.log(`🎨 Generating image for chunk ${chunkItem.chunkId}`);
+      
+      // Mark chunk as processing
+      await this.updateChunkItem(job, chunkItem, { status: 'processing' }, retryIncrement);
+      emitJobEvent('chunk:started', job, { chunkId: chunkItem.chunkId });
+
+      // Generate the candidate image(s) with the specified provider; the provider's limiter paces the calls
+      const results = await this.imageService.generateCandidates(scriptChunk.content, job.config.provider || 'openai', {
+        color: job.config.color,
+        quality: job.config.quality,
+        style: job.config.style || 'infographic',
+        size: job.config.size,
+        seed: job.config.seed,
+        steps: job.config.steps,
+        negativePrompt: job.config.negativePrompt,
+        fallbackProviders: job.config.fallbackProviders,
+        fallbackOn: job.config.fallbackOn?.length ? job.config.fallbackOn : undefined,
+        variants: job.config.imageVariants?.length ? job.config.imageVariants : undefined,
+        scriptId: job.scriptId,
+        chunkId: chunkItem.chunkId
+      }, job.config.candidates || 1);
+      const result = results[0];
+
+      // Update script with every candidate, the first one selected, the provider that produced it and
+      // the new versions in the chunk's image history. The chunk is read again, as single chunk
+      // generations or restores may have changed it since the job loaded the script.
+      const current = await Script.findOne(
+        { _id: job.scriptId, 'chunks.id': chunkItem.chunkId },
+        { 'chunks.$': 1 }
+      );
+      const currentChunk = current?.chunks[0];
+      if (!currentChunk) {
+        throw new Error(`Chunk ${chunkItem.chunkId} not found in script`);
+      }
+
+      const { fields: imageFields, prunedVersions } = generationFields(currentChunk, results, job.config);
+      await Script.updateOne(
+        { _id: job.scriptId, 'chunks.id': chunkItem.chunkId },
+        { $set: Object.fromEntries(Object.entries(imageFields).map(([key, value]) => [`chunks.$.${key}`, value])) }
+      );
+      Object.assign(scriptChunk, imageFields);
+      await deleteUnusedImageFiles(prunedVersions, { ...currentChunk.toObject(), ...imageFields });
+
+      if (result.attempts.length > 0) {
+        console.log(`↪️ Chunk ${chunkItem.chunkId} fell back to ${result.provider} after: ${result.attempts.map(attempt => `${attempt.provider} (${attempt.errorType})`).join(', ')}`);
+      }
+
+      // Mark chunk as completed
+      await this.updateChunkItem(job, chunkItem, {
+        status: 'completed',
+        processedAt: new Date(),
+        provider: result.provider,
+        attempts: result.attempts,
+        error: null,
+        errorType: null
+      }, { processedChunks: 1 }, {
+        provider: result.provider,
+        style: job.config.style,
+        status: 'completed',
+        attempts: result.attempts,
+        startedAt,
+        finishedAt: new Date()
+      });
+      
+      console.log(`✅ Generated image for chunk ${chunkItem.chunkId} (${job.progress.processedChunks}/${job.progress.totalChunks})`);
+      emitJobEvent('chunk:completed', job, { chunkId: chunkItem.chunkId, chunk: imageFields });
+
+    } catch (error) {
+      const errorType = classifyProviderError(error);
+      console.error(`❌ Error processing chunk ${chunkItem.chunkId} (${errorType}):`, error.message);
+      
+      // Mark chunk as failed; a retry that failed before it started is still counted once
+      await this.updateChunkItem(job, chunkItem, {
+        status: 'failed',
+        error: error.message,
+        errorType,
+        attempts: error.attempts || []
+      }, chunkItem.status === 'failed' ? {} : { failedChunks: 1 }, {
+        provider: job.config.provider || 'openai',
+        style: job.config.style,
+        status: 'failed',
+        error: error.message,
+        errorType,
+        attempts: error.attempts || [],
+        startedAt,
+        finishedAt: new Date()
+      });
+      emitJobEvent('chunk:failed', job, { chunkId: chunkItem.chunkId, error: error.message, errorType });
+    }
+  }
+
+  /**
+   * Update one chunksToProcess entry and the progress counters in a single atomic write, so parallel
+   * chunks never overwrite each other's progress. Mirrors the change on the in-memory job.
+   * @param {Object} job
+   * @param {Object} chunkItem - Entry of job.chunksToProcess
+   * @param {Object} fields - Entry fields to set
+   * @param {Object} increments - Progress counters to change, e.g. { processedChunks: 1 }
+   * @param {Object} run - Optional entry to append to the chunk's history
+   */
+  async updateChunkItem(job, chunkItem, fields, increments = {}, run = null) {
+    const update = {
+      $set: Object.fromEntries([
+        ...Object.entries(fields).map(([key, value]) => [`chunksToProcess.$.${key}`, value]),
+        ['updatedAt', new Date()]
+      ])
+    };
+    if (Object.keys(increments).length > 0) {
+      update.$inc = Object.fromEntries(Object.entries(increments).map(([key, value]) => [`progress.${key}`, value]));
+    }
+    if (run) {
+      update.$push = { 'chunksToProcess.$.history': run };
+    }
+
+    await Job.updateOne({ _id: job._id, 'chunksToProcess._id': chunkItem._id }, update);
+
+    Object.assign(chunkItem, fields);
+    if (run) {
+      chunkItem.history.push(run);
+    }
+    for (const [key, value] of Object.entries(increments)) {
+      job.progress[key] += value;
+    }
+  }
+
+  // Process windowed chunking job: one window per chunksToProcess entry
+  async processScriptChunking(job) {
+    const script = await Script.findById(job.scriptId);
+    if (!script) {
+      throw new Error('Script not found');
+    }
+
+    const windows = this.windowedChunker.splitIntoWindows(script.originalScript, job.config.windowWords);
+
+    script.chunkingStatus = 'processing';
+    await script.save();
+
+    try {
+      for (const windowItem of job.chunksToProcess) {
+        if (windowItem.status === 'completed') continue;
 
-    for (const chunkItem of pendingChunks) {
-      try {
-        // Check if job has been cancelled
         const currentJob = await Job.findById(job._id);
         if (currentJob.status === 'cancelled') {
-          console.log(`🛑 Job ${job._id} was cancelled, stopping processing`);
+          console.log(`🛑 Job ${job._id} was cancelled, stopping chunking`);
+          script.chunkingStatus = 'failed';
+          script.chunkingError = 'Chunking job was cancelled';
+          await script.save();
           return;
         }
-        // Find the actual chunk in the script
-        const scriptChunk = script.chunks.find(c => c.id === chunkItem.chunkId);
-        if (!scriptChunk) {
-          throw new Error(`Chunk ${chunkItem.chunkId} not found in script`);
+
+        const windowIndex = parseInt(windowItem.chunkId.split('_').pop(), 10);
+        const window = windows[windowIndex];
+        if (!window) {
+          throw new Error(`Window ${windowIndex} not found in script`);
         }
 
-        // Skip if chunk already has an image
-        if (scriptChunk.imageUrl) {
-          chunkItem.status = 'completed';
-          chunkItem.processedAt = new Date();
-          job.progress.processedChunks++;
+        // Stored before a restart interrupted the job; only the window's own status was lost
+        if (windowIndex < script.chunkedWindows) {
+          console.log(`⏭️ Window ${windowIndex + 1}/${windows.length} already chunked for script ${script._id}`);
+          this.completeWindow(job, windowItem);
           await job.save();
           continue;
         }
 
-        console.log(`🎨 Generating image for chunk ${chunkItem.chunkId}`);
-        
-        // Mark chunk as processing
-        chunkItem.status = 'processing';
+        console.log(`✂️ Chunking window ${windowIndex + 1}/${windows.length} for script ${script._id}`);
+
+        windowItem.status = 'processing';
         await job.save();
 
-        // Generate image using the specified provider
-        console.log(`🔧 [DEBUG] Job config:`, {
-          provider: job.config.provider,
-          color: job.config.color,
-          quality: job.config.quality,
-          style: job.config.style,
-          jobId: job._id
+        const previousChunk = script.chunks[script.chunks.length - 1];
+        const { chunks, coverage } = await this.windowedChunker.chunkWindow(window.text, {
+          startTime: previousChunk ? previousChunk.endTime : 0,
+          startIndex: script.chunks.length,
+          pacing: script.toObject().pacing
         });
-        
-        const imageUrl = await this.imageService.generateImage(
-          scriptChunk.content,
-          job.config.provider || 'openai',
-          job.config.color, 
-          job.config.quality,
-          job.config.style || 'infographic'
-        );
 
-        // Update script with image URL and provider info
-        await Script.updateOne(
-          { _id: job.scriptId, 'chunks.id': chunkItem.chunkId },
-          { 
-            $set: { 
-              'chunks.$.imageUrl': imageUrl,
-              'chunks.$.imageProvider': job.config.provider || 'openai',
-              'chunks.$.imageGeneratedAt': new Date()
-            } 
-          }
-        );
+        const previousCoverage = windowIndex === 0 ? null : script.toObject().coverage;
+        script.chunks.push(...chunks);
+        script.coverage = this.windowedChunker.verifier.mergeCoverage(previousCoverage, coverage);
+        script.chunkedWindows = windowIndex + 1;
+        await script.save();
 
-        // Mark chunk as completed
-        chunkItem.status = 'completed';
-        chunkItem.processedAt = new Date();
-        job.progress.processedChunks++;
-        
-        console.log(`✅ Generated image for chunk ${chunkItem.chunkId} (${job.progress.processedChunks}/${job.progress.totalChunks})`);
+        this.completeWindow(job, windowItem);
+        await job.save();
+      }
 
-        // Rate limiting delay
-        await this.sleep(1000);
+      script.chunkingStatus = 'completed';
+      script.chunkingError = null;
+      await script.save();
 
-      } catch (error) {
-        console.error(`❌ Error processing chunk ${chunkItem.chunkId}:`, error.message);
-        
-        // Mark chunk as failed
-        chunkItem.status = 'failed';
-        chunkItem.error = error.message;
-        job.progress.failedChunks++;
+      logger.logBatchJob(job._id, 'chunking completed', {
+        scriptId: script._id,
+        windows: windows.length,
+        chunks: script.chunks.length
+      });
+    } catch (error) {
+      script.chunkingStatus = 'failed';
+      script.chunkingError = error.message;
+      await script.save();
+      throw error;
+    }
+  }
+
+  // Mark a window of a chunking job done; the caller saves the job
+  completeWindow(job, windowItem) {
+    windowItem.status = 'completed';
+    windowItem.processedAt = new Date();
+    job.progress.processedChunks++;
+  }
+
+  // Create a windowed chunking job for a long script
+  async createScriptChunkingJob(scriptId, windowWords = this.windowedChunker.windowWords) {
+    const script = await Script.findById(scriptId);
+    if (!script) {
+      throw new Error('Script not found');
+    }
+
+    const windows = this.windowedChunker.splitIntoWindows(script.originalScript, windowWords);
+
+    const job = new Job({
+      scriptId,
+      type: 'script_chunking',
+      status: 'pending',
+      progress: {
+        totalChunks: windows.length,
+        processedChunks: 0,
+        failedChunks: 0
+      },
+      config: { windowWords },
+      chunksToProcess: windows.map(window => ({
+        chunkId: `window_${window.index}`,
+        status: 'pending'
+      }))
+    });
+
+    await job.save();
+
+    script.chunkingStatus = 'pending';
+    await script.save();
+
+    logger.logBatchJob(job._id, 'chunking created', {
+      scriptId,
+      windows: windows.length,
+      windowWords
+    });
+
+    return job;
+  }
+
+  // Render an animatic MP4: one chunksToProcess entry per slide, completed as ffmpeg passes it
+  async processAnimaticRender(job) {
+    const script = await Script.findById(job.scriptId);
+    if (!script) {
+      throw new Error('Script not found');
+    }
+
+    const slides = this.animaticRenderer.buildSlides(script);
+    const slideEnds = slides.map(slide => slide.start + slide.duration);
+    let lastSaved = 0;
+    let pendingSave = null;
+
+    const result = await this.animaticRenderer.render(script, {
+      ...job.toObject().config.animatic,
+      outputName: `animatic_${script._id}_${job._id}.mp4`,
+      onProgress: (renderedSeconds) => {
+        const rendered = slideEnds.filter(end => end <= renderedSeconds + 0.001).length;
+        // Mongoose rejects parallel saves of one document, so skip updates while one is in flight
+        if (pendingSave || rendered === job.progress.processedChunks || Date.now() - lastSaved < 2000) return;
+
+        lastSaved = Date.now();
+        job.chunksToProcess.forEach((item, index) => {
+          if (index < rendered && item.status !== 'completed') {
+            item.status = 'completed';
+            item.processedAt = new Date();
+          }
+        });
+        job.progress.processedChunks = rendered;
+        pendingSave = job.save()
+          .catch(error => console.error(`❌ Error saving animatic progress for job ${job._id}:`, error.message))
+          .finally(() => { pendingSave = null; });
+      },
+      shouldCancel: async () => {
+        const currentJob = await Job.findById(job._id).select('status');
+        return currentJob?.status === 'cancelled';
+      }
+    }).catch(error => {
+      if (error.cancelled) {
+        console.log(`🛑 Job ${job._id} was cancelled, render stopped`);
+        return null;
       }
+      throw error;
+    });
 
-      // Save progress after each chunk
-      await job.save();
+    if (pendingSave) await pendingSave;
+    if (!result) return;
+
+    job.chunksToProcess.forEach(item => {
+      item.status = 'completed';
+      item.processedAt = item.processedAt || new Date();
+    });
+    job.progress.processedChunks = job.progress.totalChunks;
+    job.result = {
+      filename: result.filename,
+      sizeBytes: result.sizeBytes,
+      durationSeconds: result.durationSeconds
+    };
+    await job.save();
+
+    logger.logBatchJob(job._id, 'animatic rendered', {
+      scriptId: script._id,
+      slides: slides.length,
+      ...job.result
+    });
+  }
+
+  // Create an animatic render job for a script
+  async createAnimaticJob(scriptId, options = {}) {
+    const script = await Script.findById(scriptId);
+    if (!script) {
+      throw new Error('Script not found');
     }
+
+    if (!script.chunks.some(chunk => chunk.imageUrl)) {
+      throw new Error('Generate images before rendering an animatic');
+    }
+
+    const existingJob = await Job.findOne({
+      scriptId,
+      type: 'animatic_render',
+      status: { $in: ['pending', 'processing'] }
+    });
+
+    if (existingJob) {
+      return existingJob;
+    }
+
+    const config = this.animaticRenderer.normalizeOptions(options);
+    const slides = this.animaticRenderer.buildSlides(script);
+
+    const job = new Job({
+      scriptId,
+      type: 'animatic_render',
+      status: 'pending',
+      progress: {
+        totalChunks: slides.length,
+        processedChunks: 0,
+        failedChunks: 0
+      },
+      config: { animatic: config },
+      chunksToProcess: slides.map((slide, index) => ({
+        chunkId: slide.chunkId || `lead_in_${index}`,
+        status: 'pending'
+      }))
+    });
+
+    await job.save();
+
+    logger.logBatchJob(job._id, 'animatic created', {
+      scriptId,
+      slides: slides.length,
+      ...config
+    });
+
+    return job;
+  }
+
+  // Get status of the latest animatic job for a script
+  async getAnimaticJobStatus(scriptId) {
+    const job = await Job.findOne({
+      scriptId,
+      type: 'animatic_render'
+    }).sort({ createdAt: -1 });
+
+    if (!job) {
+      return null;
+    }
+
+    return {
+      jobId: job._id,
+      status: job.status,
+      progress: job.progress,
+      completionPercentage: job.completionPercentage,
+      isComplete: job.isComplete,
+      config: job.toObject().config.animatic,
+      result: job.result,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt,
+      error: job.error
+    };
+  }
+
+  // Get status of the latest chunking job for a script
+  async getChunkingJobStatus(scriptId) {
+    const job = await Job.findOne({
+      scriptId,
+      type: 'script_chunking'
+    }).sort({ createdAt: -1 });
+
+    if (!job) {
+      return null;
+    }
+
+    return {
+      jobId: job._id,
+      status: job.status,
+      progress: job.progress,
+      completionPercentage: job.completionPercentage,
+      isComplete: job.isComplete,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt,
+      error: job.error
+    };
   }
 
   // Create a new batch image generation job
-  async createBatchImageJob(scriptId, color, quality, style = 'infographic', provider = 'openai') {
+  async createBatchImageJob(scriptId, color, quality, style = 'infographic', provider = 'openai', generationParams = {}) {
     const script = await Script.findById(scriptId);
     if (!script) {
       throw new Error('Script not found');
     }
 
-    // Check if there's already a pending/processing job for this script
+    // Check if there's already a pending/processing/paused job for this script
     const existingJob = await Job.findOne({
       scriptId,
       type: 'batch_image_generation',
-      status: { $in: ['pending', 'processing'] }
+      status: { $in: ['pending', 'processing', 'paused'] }
     });
 
     if (existingJob) {
       return existingJob;
     }
 
-    // Find chunks without images
-    const chunksWithoutImages = script.chunks.filter(chunk => !chunk.imageUrl);
+    // Find chunks missing one of the requested images, or whose images are stale after a text edit
+    const variants = this.imageVariantsFor({ provider, style, ...generationParams });
+    const chunksWithoutImages = script.chunks.filter(chunk => chunkNeedsImages(chunk, variants));
     
     if (chunksWithoutImages.length === 0) {
       throw new Error('All chunks already have images');
@@ -229,7 +667,7 @@ class JobManager {
         processedChunks: 0,
         failedChunks: 0
       },
-      config: { color, quality, style, provider },
+      config: { color, quality, style, provider, ...generationParams },
       chunksToProcess: chunksWithoutImages.map(chunk => ({
         chunkId: chunk.id,
         status: 'pending'
@@ -244,7 +682,10 @@ class JobManager {
       color,
       quality,
       style,
-      provider
+      provider,
+      fallbackProviders: generationParams.fallbackProviders,
+      imageVariants: generationParams.imageVariants,
+      candidates: generationParams.candidates
     });
     
     return job;
@@ -267,6 +708,27 @@ class JobManager {
       progress: job.progress,
       completionPercentage: job.completionPercentage,
       isComplete: job.isComplete,
+      config: job.config,
+      pausedAt: job.pausedAt,
+      // Chunks that failed, with how many times they've been tried
+      failures: job.chunksToProcess
+        .filter(chunk => chunk.status === 'failed')
+        .map(chunk => ({
+          chunkId: chunk.chunkId,
+          error: chunk.error,
+          errorType: chunk.errorType,
+          runs: chunk.history?.length || 0
+        })),
+      // Chunks whose image came from a fallback provider
+      fallbackChunks: job.chunksToProcess.filter(chunk => chunk.status === 'completed' && chunk.attempts?.length > 0).length,
+      // Failed chunks per error type, e.g. { rate_limit: 2, content_policy: 1 }
+      failedErrorTypes: job.chunksToProcess
+        .filter(chunk => chunk.status === 'failed')
+        .reduce((counts, chunk) => {
+          const errorType = chunk.errorType || 'unknown';
+          counts[errorType] = (counts[errorType] || 0) + 1;
+          return counts;
+        }, {}),
       createdAt: job.createdAt,
       updatedAt: job.updatedAt,
       completedAt: job.completedAt,
@@ -288,21 +750,22 @@ class JobManager {
   // Cancel/stop a batch job
   async cancelBatchJob(scriptId) {
     try {
-      const job = await Job.findOne({
-        scriptId,
-        type: 'batch_image_generation',
-        status: { $in: ['pending', 'processing'] }
-      });
+      // Atomic so it can't race the workers' progress updates; running chunks finish, no new ones start
+      const job = await Job.findOneAndUpdate(
+        {
+          scriptId,
+          type: 'batch_image_generation',
+          status: { $in: ['pending', 'processing', 'paused'] }
+        },
+        { $set: { status: 'cancelled', updatedAt: new Date() } },
+        { new: true }
+      );
 
       if (!job) {
         throw new Error('No active batch job found for this script');
       }
 
-      // Update job status to cancelled
-      job.status = 'cancelled';
-      job.progress.cancelledAt = new Date();
-      await job.save();
-
+      emitJobEvent('job:cancelled', job);
       logger.info('JOB_MANAGER', `Batch job cancelled for script ${scriptId}`, {
         jobId: job._id,
         processedChunks: job.progress.processedChunks,
@@ -324,6 +787,152 @@ class JobManager {
     }
   }
 
+  /**
+   * Requeue the failed chunks of a finished batch job, leaving completed ones alone. Their history
+   * is kept, so every retry adds a run to it.
+   * @param {Object} job - Finished batch job with failed chunks
+   * @param {Object} overrides - Optional config changes for the retry (provider, style, quality,
+   *   color, fallbackProviders, fallbackOn, imageVariants, candidates)
+   */
+  async retryFailedChunks(job, overrides = {}) {
+    const failedCount = job.chunksToProcess.filter(chunk => chunk.status === 'failed').length;
+    if (failedCount === 0) {
+      throw new Error('Job has no failed chunks to retry');
+    }
+
+    const configUpdate = Object.fromEntries(
+      Object.entries(overrides)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [`config.${key}`, value])
+    );
+
+    // Only a finished job can be requeued; the status filter makes a concurrent retry a no-op
+    const updated = await Job.findOneAndUpdate(
+      { _id: job._id, status: { $in: ['completed', 'failed'] } },
+      {
+        $set: {
+          ...configUpdate,
+          status: 'pending',
+          error: null,
+          completedAt: null,
+          updatedAt: new Date(),
+          'chunksToProcess.$[failed].status': 'pending'
+        },
+        $inc: { 'progress.failedChunks': -failedCount }
+      },
+      { arrayFilters: [{ 'failed.status': 'failed' }], new: true }
+    );
+
+    if (!updated) {
+      throw new Error('Only finished batch jobs can be retried');
+    }
+
+    emitJobEvent('job:retrying', updated);
+    logger.logBatchJob(updated._id, 'retrying failed chunks', {
+      scriptId: updated.scriptId,
+      failedChunks: failedCount,
+      provider: updated.config.provider,
+      style: updated.config.style
+    });
+
+    return {
+      message: `Retrying ${failedCount} failed chunks`,
+      jobId: updated._id,
+      status: updated.status,
+      retriedChunks: failedCount,
+      config: updated.config
+    };
+  }
+
+  // Pause a batch job: chunks in flight finish, the rest stay pending until it's resumed
+  async pauseBatchJob(scriptId) {
+    const job = await Job.findOneAndUpdate(
+      {
+        scriptId,
+        type: 'batch_image_generation',
+        status: { $in: ['pending', 'processing'] }
+      },
+      { $set: { status: 'paused', pausedAt: new Date(), updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!job) {
+      throw new Error('No active batch job found for this script');
+    }
+
+    emitJobEvent('job:paused', job);
+    logger.info('JOB_MANAGER', `Batch job paused for script ${scriptId}`, {
+      jobId: job._id,
+      processedChunks: job.progress.processedChunks,
+      totalChunks: job.progress.totalChunks
+    });
+
+    return {
+      message: 'Batch job paused',
+      jobId: job._id,
+      status: job.status,
+      processedChunks: job.progress.processedChunks,
+      totalChunks: job.progress.totalChunks
+    };
+  }
+
+  // Resume a paused batch job; the processor picks it up again like a new job
+  async resumeBatchJob(scriptId) {
+    const job = await Job.findOneAndUpdate(
+      {
+        scriptId,
+        type: 'batch_image_generation',
+        status: 'paused'
+      },
+      { $set: { status: 'pending', updatedAt: new Date() }, $unset: { pausedAt: 1 } },
+      { new: true }
+    );
+
+    if (!job) {
+      throw new Error('No paused batch job found for this script');
+    }
+
+    emitJobEvent('job:resumed', job);
+    logger.info('JOB_MANAGER', `Batch job resumed for script ${scriptId}`, {
+      jobId: job._id,
+      processedChunks: job.progress.processedChunks,
+      totalChunks: job.progress.totalChunks
+    });
+
+    return {
+      message: 'Batch job resumed',
+      jobId: job._id,
+      status: job.status,
+      processedChunks: job.progress.processedChunks,
+      totalChunks: job.progress.totalChunks
+    };
+  }
+
+  // Cancel a running animatic render; the renderer stops ffmpeg on its next progress check
+  async cancelAnimaticJob(scriptId) {
+    const job = await Job.findOneAndUpdate(
+      {
+        scriptId,
+        type: 'animatic_render',
+        status: { $in: ['pending', 'processing'] }
+      },
+      { $set: { status: 'cancelled', updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!job) {
+      throw new Error('No active animatic render found for this script');
+    }
+
+    emitJobEvent('job:cancelled', job);
+    logger.info('JOB_MANAGER', `Animatic render cancelled for script ${scriptId}`, { jobId: job._id });
+
+    return {
+      message: 'Animatic render cancelled successfully',
+      jobId: job._id
+    };
+  }
+
   // Get current batch job status
   async getBatchJobStatus(scriptId) {
     try {
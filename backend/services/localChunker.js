@@ -0,0 +1,213 @@
+const logger = require('../utils/logger');
+
+const DEFAULT_OPTIONS = {
+  wordsPerSecond: 3,
+  minSeconds: 5,
+  maxSeconds: 8
+};
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be',
+  'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'each', 'even',
+  'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'i', 'if', 'in', 'into',
+  'is', 'it', 'its', 'just', 'many', 'me', 'more', 'most', 'much', 'my', 'no', 'not', 'now', 'of',
+  'on', 'one', 'only', 'or', 'other', 'our', 'out', 'over', 'she', 'so', 'some', 'such', 'than',
+  'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'too', 'up',
+  'us', 'very', 'was', 'we', 'well', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Rule-based chunker that needs no network access. Produces the same chunk shape as
+ * ClaudeService.chunkScript: { id, content, startTime, endTime, topic }.
+ */
+class LocalChunker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Chunk a script by sentence and clause boundaries
+   * @param {string} script - The script text
+   * @param {Object} options - { wordsPerSecond, minSeconds, maxSeconds }
+   * @returns {Array} - Chunks with content sliced verbatim from the script
+   */
+  chunkScript(script, options = {}) {
+    const { wordsPerSecond, minSeconds, maxSeconds } = { ...this.options, ...options };
+
+    if (!(wordsPerSecond > 0) || !(minSeconds >= 0) || !(maxSeconds > 0) || minSeconds > maxSeconds) {
+      throw new Error('Invalid local chunker options: need wordsPerSecond > 0 and 0 <= minSeconds <= maxSeconds');
+    }
+
+    const maxWords = Math.max(1, Math.floor(maxSeconds * wordsPerSecond));
+    const minWords = Math.max(1, Math.ceil(minSeconds * wordsPerSecond));
+
+    const pieces = [];
+    for (const sentence of this.splitSentences(script)) {
+      if (sentence.words <= maxWords) {
+        pieces.push(sentence);
+      } else {
+        pieces.push(...this.splitLongSegment(script, sentence, maxWords));
+      }
+    }
+
+    const groups = this.groupSegments(pieces, minWords, maxWords);
+    const timestamp = Date.now();
+    let wordsBefore = 0;
+
+    const chunks = groups.map((group, index) => {
+      const startTime = Math.round(wordsBefore / wordsPerSecond);
+      wordsBefore += group.words;
+      const content = script.slice(group.start, group.end).trim();
+
+      return {
+        id: `chunk_${timestamp}_${index}`,
+        content,
+        startTime,
+        endTime: Math.max(startTime + 1, Math.round(wordsBefore / wordsPerSecond)),
+        topic: this.extractTopic(content)
+      };
+    });
+
+    logger.info('LOCAL_CHUNKER', `Script chunked locally into ${chunks.length} chunks`, {
+      scriptLength: script.length,
+      wordsPerSecond,
+      minSeconds,
+      maxSeconds
+    });
+
+    return chunks;
+  }
+
+  /**
+   * Find sentence spans (character offsets plus word counts). Paragraph breaks always end a sentence.
+   */
+  splitSentences(text) {
+    return this.splitSpans(text, 0, text.length, (word, gap) =>
+      /[.!?…]["'”’)\]]*$/.test(word) || /\n\s*\n/.test(gap)
+    );
+  }
+
+  /**
+   * Break an over-long sentence on clause punctuation, then on word counts as a last resort
+   */
+  splitLongSegment(text, segment, maxWords) {
+    const clauses = this.splitSpans(text, segment.start, segment.end, (word) =>
+      /[,;:—–]["'”’)\]]*$/.test(word) || /^[-–—]+$/.test(word)
+    );
+
+    const result = [];
+    for (const clause of clauses) {
+      if (clause.words <= maxWords) {
+        result.push(clause);
+        continue;
+      }
+
+      // No usable punctuation: cut into evenly sized runs of words
+      const words = [...text.slice(clause.start, clause.end).matchAll(/\S+/g)];
+      const parts = Math.ceil(words.length / maxWords);
+      const size = Math.ceil(words.length / parts);
+      for (let i = 0; i < words.length; i += size) {
+        const last = words[Math.min(i + size, words.length) - 1];
+        result.push({
+          start: clause.start + words[i].index,
+          end: clause.start + last.index + last[0].length,
+          words: Math.min(size, words.length - i)
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Split text[start, end) into spans, closing a span after any word for which isBoundary is true
+   */
+  splitSpans(text, start, end, isBoundary) {
+    const slice = text.slice(start, end);
+    const words = [...slice.matchAll(/\S+/g)];
+    const spans = [];
+    let spanStart = null;
+    let count = 0;
+
+    words.forEach((match, index) => {
+      if (spanStart === null) spanStart = match.index;
+      count++;
+
+      const wordEnd = match.index + match[0].length;
+      const next = words[index + 1];
+      const gap = slice.slice(wordEnd, next ? next.index : slice.length);
+
+      if (!next || isBoundary(match[0], gap)) {
+        spans.push({ start: start + spanStart, end: start + wordEnd, words: count });
+        spanStart = null;
+        count = 0;
+      }
+    });
+
+    return spans;
+  }
+
+  /**
+   * Greedily pack consecutive segments into chunks between minWords and maxWords
+   */
+  groupSegments(segments, minWords, maxWords) {
+    const groups = [];
+    let current = null;
+
+    for (const segment of segments) {
+      if (current && current.words + segment.words > maxWords && current.words >= minWords) {
+        groups.push(current);
+        current = null;
+      }
+
+      if (!current) {
+        current = { ...segment };
+      } else {
+        current.end = segment.end;
+        current.words += segment.words;
+      }
+    }
+
+    if (current) {
+      const previous = groups[groups.length - 1];
+      // A short tail reads better attached to the chunk before it
+      if (previous && current.words < minWords && previous.words + current.words <= maxWords + minWords) {
+        previous.end = current.end;
+        previous.words += current.words;
+      } else {
+        groups.push(current);
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Pick the most prominent content words as a short topic for image generation
+   */
+  extractTopic(content) {
+    const counts = new Map();
+    const order = [];
+
+    for (const raw of content.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []) {
+      const word = raw.replace(/^'+|'+$/g, '');
+      if (word.length < 3 || STOP_WORDS.has(word)) continue;
+      if (!counts.has(word)) order.push(word);
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+
+    const ranked = order
+      .map((word, index) => ({ word, index, count: counts.get(word) }))
+      .sort((a, b) => b.count - a.count || b.word.length - a.word.length || a.index - b.index)
+      .slice(0, 3)
+      .sort((a, b) => a.index - b.index)
+      .map(entry => entry.word);
+
+    return ranked.length > 0 ? ranked.join(', ') : null;
+  }
+}
+
+LocalChunker.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = LocalChunker;
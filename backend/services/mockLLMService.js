@@ -0,0 +1,71 @@
+const LocalChunker = require('./localChunker');
+const logger = require('../utils/logger');
+const { DEFAULT_PACING, toLocalChunkerOptions } = require('../utils/pacing');
+const { mockDelay } = require('../utils/mockMode');
+
+const firstWords = (text, count) => {
+  const words = (text || '').trim().split(/\s+/).filter(Boolean);
+  return words.slice(0, count).join(' ') + (words.length > count ? '...' : '');
+};
+
+const titleCase = (text) => text.replace(/\b\p{L}/gu, letter => letter.toUpperCase());
+
+/**
+ * Offline stand-in for OpenAIService/ClaudeService used when MOCK_PROVIDERS is set.
+ * Same method names and return shapes; every answer is derived from the input text, so repeated
+ * runs produce the same output.
+ */
+class MockLLMService {
+  constructor() {
+    this.localChunker = new LocalChunker();
+  }
+
+  async chunkScript(script, pacing = DEFAULT_PACING) {
+    await mockDelay();
+    logger.info('MOCK', 'Chunking script with the local chunker');
+    return this.localChunker.chunkScript(script, toLocalChunkerOptions(pacing));
+  }
+
+  async generateTopics(chunks) {
+    await mockDelay();
+    return chunks.map(chunk => this.localChunker.extractTopic(chunk.content) || firstWords(chunk.content, 4));
+  }
+
+  // Regenerated text has to stay a faithful copy of the script, so the mock returns it unchanged
+  async regenerateChunk(originalChunk, context = '') {
+    await mockDelay();
+    return originalChunk.content;
+  }
+
+  async analyzeSceneDescription(chunkContent) {
+    await mockDelay();
+    return `A person reacting to: ${firstWords(chunkContent, 8)}`;
+  }
+
+  async analyzeSymbolsAndObjects(chunkContent) {
+    await mockDelay();
+    const topic = this.localChunker.extractTopic(chunkContent) || firstWords(chunkContent, 3);
+    return `A simple icon representing ${topic}`;
+  }
+
+  async generateYouTubeTitle(script, options = {}) {
+    await mockDelay();
+    const { maxLength = 60 } = options;
+    const topic = this.localChunker.extractTopic(script) || firstWords(script, 5) || 'Untitled';
+    return titleCase(`[Mock] ${topic}`).substring(0, maxLength);
+  }
+
+  async generateYouTubeDescription(script, title, options = {}) {
+    await mockDelay();
+    const { includeHashtags = true, maxLength = 2000, callToAction = 'Subscribe for more content like this!' } = options;
+
+    const parts = [title, '', firstWords(script, 40), '', callToAction];
+    if (includeHashtags) {
+      const tags = (this.localChunker.extractTopic(script) || '').split(', ').filter(Boolean);
+      parts.push('', ['#mock', ...tags.map(tag => `#${tag.replace(/[^\p{L}\p{N}]/gu, '')}`)].join(' '));
+    }
+    return parts.join('\n').substring(0, maxLength);
+  }
+}
+
+module.exports = MockLLMService;
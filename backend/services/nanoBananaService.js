@@ -1,8 +1,28 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const GenerationTask = require('../models/GenerationTask');
+const Script = require('../models/Script');
 const logger = require('../utils/logger');
+const { withRetry } = require('../utils/retry');
+const { classifyProviderError, wrapProviderError } = require('../utils/providerErrors');
+const { callbacksEnabled, buildCallbackUrl } = require('../utils/callbacks');
+const { generationFields, deleteUnusedImageFiles } = require('../utils/chunkImages');
+
+const PLACEHOLDER_CALLBACK_URL = 'https://placeholder-callback.com/callback';
+const POLL_INTERVAL_MS = 5000;
+// With callbacks configured, polling only catches callbacks that never arrive
+const CALLBACK_POLL_INTERVAL_MS = 30000;
+const TASK_TIMEOUT_MS = 150000;
+// Pending tasks older than this are given up on at startup
+const RECOVERY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Resolvers for tasks this process is waiting on, keyed by callbackRef
+const taskWaiters = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class NanoBananaService {
   constructor() {
@@ -14,7 +34,9 @@ class NanoBananaService {
     }
   }
 
-  async generateImage(chunkContent, color = 'white', quality = 'high', style = 'infographic') {
+  // Resolves to { imageUrl, prompt, model, taskId } with the prompt sent to NanoBanana; customPrompt
+  // replaces the style's prompt
+  async generateImage(chunkContent, color = 'white', quality = 'high', style = 'infographic', context = {}, customPrompt = null) {
     const startTime = Date.now();
     const chunkId = `chunk_${Date.now()}`;
 
@@ -80,7 +102,7 @@ Style requirements:
 - No text or words in the image`
       };
 
-      const prompt = stylePrompts[style] || stylePrompts.infographic;
+      const prompt = customPrompt || stylePrompts[style] || stylePrompts.infographic;
 
       logger.info('NANOBANANA', 'Calling image generation API', {
         model: 'nanobanana',
@@ -93,36 +115,26 @@ Style requirements:
       console.log('='.repeat(80));
 
       // Step 1: Submit generation task
-      const generateResponse = await axios.post(`${this.baseUrl}/generate`, {
-        prompt: prompt,
-        numImages: 1,
-        type: 'TEXTTOIAMGE',
-        callBackUrl: 'https://placeholder-callback.com/callback' // We'll poll instead
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const task = await this.submitTask(prompt, { kind: 'image', content: chunkContent, ...context });
+      logger.info('NANOBANANA', `Task created with ID: ${task.taskId}`);
 
-      const taskId = generateResponse.data.data.taskId;
-      logger.info('NANOBANANA', `Task created with ID: ${taskId}`);
-
-      // Step 2: Poll for completion
-      const imageUrl = await this.pollTaskCompletion(taskId, chunkContent);
+      // Step 2: Wait for the callback, or poll when callbacks aren't configured
+      const imageUrl = await this.waitForTask(task);
 
       const totalDuration = Date.now() - startTime;
       logger.logImageGeneration(chunkId, color, quality, style, imageUrl, totalDuration);
 
-      return imageUrl;
+      return { imageUrl, prompt, model: 'nanobanana', taskId: task.taskId };
     } catch (error) {
       const totalDuration = Date.now() - startTime;
       logger.logImageGeneration(chunkId, color, quality, style, null, totalDuration, error);
-      throw new Error('Failed to generate image with NanoBanana: ' + error.message);
+      throw wrapProviderError('Failed to generate image with NanoBanana', error);
     }
   }
 
-  async generateImageWithScene(sceneDescription, color = 'white', quality = 'high', style = 'infographic') {
+  // Resolves to { imageUrl, prompt, model, taskId } with the prompt sent to NanoBanana; customPrompt
+  // replaces the prompt built from the scene description
+  async generateImageWithScene(sceneDescription, color = 'white', quality = 'high', style = 'infographic', context = {}, customPrompt = null) {
     const startTime = Date.now();
     const chunkId = `scene_${Date.now()}`;
 
@@ -136,11 +148,11 @@ Style requirements:
         color,
         quality,
         style,
-        sceneDescription: sceneDescription.substring(0, 100) + '...'
+        sceneDescription: (sceneDescription || customPrompt).substring(0, 100) + '...'
       });
 
       // Create prompt based on the analyzed scene description from GPT
-      const prompt = `Create a pictogram-style illustration of: ${sceneDescription}
+      const prompt = customPrompt || `Create a pictogram-style illustration of: ${sceneDescription}
 - Only one character in the frame.
 - Pictogram/icon style with simple geometric shapes
 - Pure black background (solid #000000)
@@ -163,36 +175,26 @@ Style requirements:
       console.log('='.repeat(80));
 
       // Step 1: Submit generation task
-      const generateResponse = await axios.post(`${this.baseUrl}/generate`, {
-        prompt: prompt,
-        numImages: 1,
-        type: 'TEXTTOIAMGE',
-        callBackUrl: 'https://placeholder-callback.com/callback' // We'll poll instead
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const taskId = generateResponse.data.data.taskId;
-      logger.info('NANOBANANA', `Scene-based task created with ID: ${taskId}`);
+      const task = await this.submitTask(prompt, { kind: 'scene', content: sceneDescription || prompt, ...context });
+      logger.info('NANOBANANA', `Scene-based task created with ID: ${task.taskId}`);
 
-      // Step 2: Poll for completion
-      const imageUrl = await this.pollTaskCompletion(taskId, sceneDescription);
+      // Step 2: Wait for the callback, or poll when callbacks aren't configured
+      const imageUrl = await this.waitForTask(task);
 
       const totalDuration = Date.now() - startTime;
       logger.logImageGeneration(chunkId, color, quality, style, imageUrl, totalDuration);
 
-      return imageUrl;
+      return { imageUrl, prompt, model: 'nanobanana', taskId: task.taskId };
     } catch (error) {
       const totalDuration = Date.now() - startTime;
       logger.logImageGeneration(chunkId, color, quality, style, null, totalDuration, error);
-      throw new Error('Failed to generate image with scene analysis: ' + error.message);
+      throw wrapProviderError('Failed to generate image with scene analysis', error);
     }
   }
 
-  async generateSymbolImage(symbolDescription, color = 'white', quality = 'high', style = 'infographic') {
+  // Resolves to { imageUrl, prompt, model, taskId } with the prompt sent to NanoBanana; customPrompt
+  // replaces the prompt built from the symbol description
+  async generateSymbolImage(symbolDescription, color = 'white', quality = 'high', style = 'infographic', context = {}, customPrompt = null) {
     const startTime = Date.now();
     const chunkId = `symbol_${Date.now()}`;
 
@@ -206,11 +208,11 @@ Style requirements:
         color,
         quality,
         style,
-        symbolDescription: symbolDescription.substring(0, 100) + '...'
+        symbolDescription: (symbolDescription || customPrompt).substring(0, 100) + '...'
       });
 
       // Create prompt for symbol/object based on the analyzed description from GPT
-      const prompt = `Create a pictogram-style icon of: ${symbolDescription}
+      const prompt = customPrompt || `Create a pictogram-style icon of: ${symbolDescription}
 - Single iconic symbol or object only
 - NO people, NO characters, NO human figures
 - Pictogram/icon style with simple geometric shapes
@@ -234,139 +236,377 @@ Style requirements:
       console.log('='.repeat(80));
 
       // Step 1: Submit generation task
-      const generateResponse = await axios.post(`${this.baseUrl}/generate`, {
+      const task = await this.submitTask(prompt, { kind: 'symbol', content: symbolDescription || prompt, ...context });
+      logger.info('NANOBANANA', `Symbol-based task created with ID: ${task.taskId}`);
+
+      // Step 2: Wait for the callback, or poll when callbacks aren't configured
+      const imageUrl = await this.waitForTask(task);
+
+      const totalDuration = Date.now() - startTime;
+      logger.logImageGeneration(chunkId, color, quality, style, imageUrl, totalDuration);
+
+      return { imageUrl, prompt, model: 'nanobanana', taskId: task.taskId };
+    } catch (error) {
+      const totalDuration = Date.now() - startTime;
+      logger.logImageGeneration(chunkId, color, quality, style, null, totalDuration, error);
+      throw wrapProviderError('Failed to generate symbol image', error);
+    }
+  }
+
+  /**
+   * Submit a generation task. The task is persisted before the request so a callback can be matched
+   * to it even if it arrives before the response, or after a restart.
+   * @param {string} prompt
+   * @param {Object} details - { kind, content, scriptId?, chunkId? }
+   * @returns {Promise<Object>} - The GenerationTask (a plain object when the database isn't connected)
+   */
+  async submitTask(prompt, { kind, content, scriptId, chunkId }) {
+    const task = await this.createTask({ kind, content, prompt, scriptId, chunkId });
+    const callBackUrl = this.usesCallback(task) ? buildCallbackUrl('nanobanana', task.callbackRef) : null;
+
+    try {
+      const generateResponse = await withRetry(() => axios.post(`${this.baseUrl}/generate`, {
         prompt: prompt,
         numImages: 1,
         type: 'TEXTTOIAMGE',
-        callBackUrl: 'https://placeholder-callback.com/callback' // We'll poll instead
+        // The API requires a callback URL; without a public one we poll instead
+        callBackUrl: callBackUrl || PLACEHOLDER_CALLBACK_URL
       }, {
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json'
         }
-      });
-
-      const taskId = generateResponse.data.data.taskId;
-      logger.info('NANOBANANA', `Symbol-based task created with ID: ${taskId}`);
+      }), { label: 'nanobanana.generate' });
 
-      // Step 2: Poll for completion with symbol flag
-      const imageUrl = await this.pollTaskCompletionSymbol(taskId, symbolDescription);
-
-      const totalDuration = Date.now() - startTime;
-      logger.logImageGeneration(chunkId, color, quality, style, imageUrl, totalDuration);
-
-      return imageUrl;
+      task.taskId = generateResponse.data.data.taskId;
     } catch (error) {
-      const totalDuration = Date.now() - startTime;
-      logger.logImageGeneration(chunkId, color, quality, style, null, totalDuration, error);
-      throw new Error('Failed to generate symbol image: ' + error.message);
+      task.status = 'failed';
+      task.error = error.message;
+      task.errorType = classifyProviderError(error);
+      throw error;
+    } finally {
+      if (this.isPersisted(task)) {
+        await task.save();
+      }
     }
+
+    return task;
   }
 
-  async pollTaskCompletion(taskId, chunkContent, maxAttempts = 30, pollInterval = 5000) {
-    let attempts = 0;
+  // Tasks are persisted when the database is connected; standalone scripts get an in-memory task
+  async createTask(fields) {
+    const data = { callbackRef: uuidv4(), ...fields };
+    if (mongoose.connection.readyState !== 1) {
+      return { ...data, status: 'pending', createdAt: new Date() };
+    }
+    return await GenerationTask.create(data);
+  }
 
-    while (attempts < maxAttempts) {
-      try {
-        const response = await axios.get(`${this.baseUrl}/record-info`, {
-          params: { taskId },
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`
-          }
-        });
+  isPersisted(task) {
+    return task instanceof GenerationTask;
+  }
 
-        const taskData = response.data.data;
+  usesCallback(task) {
+    return this.isPersisted(task) && callbacksEnabled();
+  }
 
-        if (taskData.successFlag === 1) {
-          // Task completed successfully
-          logger.info('NANOBANANA', `Task ${taskId} completed successfully`);
+  /**
+   * Wait until the task completes. With callbacks configured the callback normally settles it and
+   * polling only runs every CALLBACK_POLL_INTERVAL_MS as a safety net for lost callbacks.
+   * @returns {Promise<string>} - Local URL of the saved image
+   */
+  async waitForTask(task) {
+    const label = task.kind === 'symbol' ? 'Symbol task' : 'Task';
+    const pollInterval = this.usesCallback(task) ? CALLBACK_POLL_INTERVAL_MS : POLL_INTERVAL_MS;
+    const maxAttempts = Math.ceil(TASK_TIMEOUT_MS / pollInterval);
+    const callback = this.usesCallback(task) ? this.waitForCallback(task.callbackRef) : null;
 
-          // Download and save the image
-          const imageUrl = await this.downloadAndSaveImage(
-            taskData.response.resultImageUrl || taskData.response.originImageUrl,
-            chunkContent,
-            false
-          );
+    try {
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const callbackImageUrl = await Promise.race([callback, sleep(pollInterval)].filter(Boolean));
+        if (callbackImageUrl) {
+          return callbackImageUrl;
+        }
 
+        const imageUrl = this.taskResult(await this.pollTask(task));
+        if (imageUrl) {
           return imageUrl;
-        } else if (taskData.successFlag === 2 || taskData.successFlag === 3) {
-          // Task failed
-          throw new Error(`NanoBanana task failed: ${taskData.errorMessage || 'Unknown error'}`);
         }
 
-        // Task still in progress (successFlag === 0)
-        logger.info('NANOBANANA', `Task ${taskId} still in progress, attempt ${attempts + 1}/${maxAttempts}`);
+        logger.info('NANOBANANA', `${label} ${task.taskId} still in progress, attempt ${attempt}/${maxAttempts}`);
+      }
+    } finally {
+      taskWaiters.delete(task.callbackRef);
+    }
 
-        attempts++;
-        if (attempts < maxAttempts) {
-          await new Promise(resolve => setTimeout(resolve, pollInterval));
-        }
-      } catch (error) {
-        if (error.response?.status === 404) {
-          throw new Error(`Task ${taskId} not found`);
+    throw new Error(`${label} ${task.taskId} did not complete within ${TASK_TIMEOUT_MS / 1000} seconds`);
+  }
+
+  waitForCallback(callbackRef) {
+    return new Promise((resolve, reject) => {
+      taskWaiters.set(callbackRef, { resolve, reject });
+    });
+  }
+
+  /**
+   * Check the task once through record-info
+   * @returns {Promise<Object|null>} - The settled task, or null while it's still running
+   */
+  async pollTask(task) {
+    let taskData;
+    try {
+      const response = await withRetry(() => axios.get(`${this.baseUrl}/record-info`, {
+        params: { taskId: task.taskId },
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`
         }
-        throw error;
+      }), { label: 'nanobanana.pollTask' });
+      taskData = response.data.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(`Task ${task.taskId} not found`);
+      }
+      throw error;
+    }
+
+    if (taskData.successFlag === 1) {
+      return await this.completeTask(task, {
+        resultImageUrl: taskData.response.resultImageUrl || taskData.response.originImageUrl
+      }, 'polling');
+    }
+    if (taskData.successFlag === 2 || taskData.successFlag === 3) {
+      return await this.completeTask(task, {
+        error: `NanoBanana ${task.kind === 'symbol' ? 'symbol task' : 'task'} failed: ${taskData.errorMessage || 'Unknown error'}`
+      }, 'polling');
+    }
+
+    // Task still in progress (successFlag === 0)
+    return null;
+  }
+
+  /**
+   * Record a task's outcome exactly once, whichever of the callback and polling sees it first
+   * @param {Object} task
+   * @param {Object} outcome - { resultImageUrl } or { error }
+   * @param {string} via - 'callback' or 'polling'
+   * @returns {Promise<Object|null>} - The settled task, or null while another caller is completing it
+   */
+  async completeTask(task, { resultImageUrl, error }, via) {
+    const claimed = await this.claimTask(task);
+    if (!claimed) {
+      const current = this.isPersisted(task)
+        ? await GenerationTask.findOne({ callbackRef: task.callbackRef })
+        : task;
+      return ['completed', 'failed'].includes(current?.status) ? current : null;
+    }
+
+    try {
+      if (error) {
+        throw new Error(error);
       }
+      claimed.resultImageUrl = resultImageUrl;
+      claimed.imageUrl = await this.downloadAndSaveImage(resultImageUrl, claimed.content, claimed.kind === 'symbol');
+      claimed.status = 'completed';
+    } catch (taskError) {
+      claimed.status = 'failed';
+      claimed.error = taskError.message;
+      claimed.errorType = classifyProviderError(taskError);
     }
+    claimed.completedVia = via;
+    claimed.completedAt = new Date();
 
-    throw new Error(`Task ${taskId} did not complete within ${maxAttempts * pollInterval / 1000} seconds`);
+    if (this.isPersisted(claimed)) {
+      await claimed.save();
+    }
+    return claimed;
   }
 
-  async pollTaskCompletionSymbol(taskId, symbolContent, maxAttempts = 30, pollInterval = 5000) {
-    let attempts = 0;
+  // Atomic pending -> completing switch, so a callback and a poll don't both download the image
+  async claimTask(task) {
+    if (!this.isPersisted(task)) {
+      if (task.status !== 'pending') return null;
+      task.status = 'completing';
+      return task;
+    }
+
+    return await GenerationTask.findOneAndUpdate(
+      { callbackRef: task.callbackRef, status: 'pending' },
+      { $set: { status: 'completing', updatedAt: new Date() } },
+      { new: true }
+    );
+  }
 
-    while (attempts < maxAttempts) {
+  // Image URL of a settled task; throws the task's error when it failed
+  taskResult(task) {
+    if (task?.status === 'failed') {
+      const error = new Error(task.error);
+      error.errorType = task.errorType;
+      throw error;
+    }
+    return task?.status === 'completed' ? task.imageUrl : null;
+  }
+
+  /**
+   * Apply a callback from NanoBanana ({ code, msg, data: { taskId, info: { resultImageUrl } } })
+   * @param {string} callbackRef - Reference from the signed callback URL
+   * @param {Object} payload - Callback body
+   * @returns {Promise<Object|null>} - The task, or null when the reference is unknown
+   */
+  async handleCallback(callbackRef, payload = {}) {
+    const task = await GenerationTask.findOne({ callbackRef });
+    const data = payload.data || {};
+
+    if (!task || (task.taskId && data.taskId && data.taskId !== task.taskId)) {
+      return null;
+    }
+    if (task.status !== 'pending') {
+      // Already settled by polling or an earlier delivery of the same callback
+      return task;
+    }
+
+    const resultImageUrl = data.info?.resultImageUrl || data.info?.originImageUrl ||
+      data.response?.resultImageUrl || data.response?.originImageUrl;
+    const outcome = payload.code === 200 && resultImageUrl
+      ? { resultImageUrl }
+      : { error: `NanoBanana task failed: ${payload.msg || 'Unknown error'}` };
+
+    const settled = await this.completeTask(task, outcome, 'callback');
+    if (!settled) {
+      return task;
+    }
+
+    logger.info('NANOBANANA', `Task ${settled.taskId || callbackRef} ${settled.status} via callback`);
+
+    const waiter = taskWaiters.get(callbackRef);
+    if (waiter) {
+      taskWaiters.delete(callbackRef);
       try {
-        const response = await axios.get(`${this.baseUrl}/record-info`, {
-          params: { taskId },
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`
-          }
+        waiter.resolve(this.taskResult(settled));
+      } catch (error) {
+        waiter.reject(error);
+      }
+    } else if (settled.status === 'completed') {
+      // Nobody in this process is waiting for it, e.g. the server restarted after submitting
+      await this.applyToChunk(settled);
+    }
+
+    return settled;
+  }
+
+  /**
+   * Store a result nobody is waiting for on its chunk, unless the chunk got a newer image meanwhile.
+   * Goes through the same chunk fields as a synchronous generation, so it adds a history version and
+   * resets the candidates and the stale flag.
+   * @returns {Promise<boolean>} - Whether the chunk was updated
+   */
+  async applyToChunk(task) {
+    if (!task.scriptId || !task.chunkId) {
+      return false;
+    }
+
+    const filter = {
+      _id: task.scriptId,
+      chunks: {
+        $elemMatch: {
+          id: task.chunkId,
+          $or: [{ imageGeneratedAt: null }, { imageGeneratedAt: { $lte: task.createdAt } }]
+        }
+      }
+    };
+
+    let applied = false;
+    const script = await Script.findOne(filter, { 'chunks.$': 1 });
+    const chunk = script?.chunks[0];
+
+    if (chunk) {
+      const result = { provider: task.provider, attempts: [], model: 'nanobanana' };
+      if (task.kind === 'symbol') {
+        Object.assign(result, {
+          variants: ['symbol'],
+          secondaryImageUrl: task.imageUrl,
+          symbolDescription: task.content,
+          secondaryPrompt: task.prompt,
+          secondaryTaskId: task.taskId
         });
+      } else {
+        Object.assign(result, { imageUrl: task.imageUrl, prompt: task.prompt, taskId: task.taskId });
+        if (task.kind === 'scene') {
+          Object.assign(result, { variants: ['scene'], sceneDescription: task.content });
+        }
+      }
 
-        const taskData = response.data.data;
+      const { fields, prunedVersions } = generationFields(chunk, [result]);
+      // The request time, so a symbol submitted right after its scene image still applies
+      fields.imageGeneratedAt = task.createdAt;
 
-        if (taskData.successFlag === 1) {
-          // Task completed successfully
-          logger.info('NANOBANANA', `Symbol task ${taskId} completed successfully`);
+      const update = await Script.updateOne(filter, {
+        $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`chunks.$.${key}`, value]))
+      });
+      applied = update.modifiedCount > 0;
 
-          // Download and save the symbol image
-          const imageUrl = await this.downloadAndSaveImage(
-            taskData.response.resultImageUrl || taskData.response.originImageUrl,
-            symbolContent,
-            true
-          );
+      if (applied) {
+        await deleteUnusedImageFiles(prunedVersions, { ...chunk.toObject(), ...fields });
+      }
+    }
 
-          return imageUrl;
-        } else if (taskData.successFlag === 2 || taskData.successFlag === 3) {
-          // Task failed
-          throw new Error(`NanoBanana symbol task failed: ${taskData.errorMessage || 'Unknown error'}`);
-        }
+    logger.info('NANOBANANA', applied
+      ? `Applied result of task ${task.taskId} to chunk ${task.chunkId}`
+      : `Skipped result of task ${task.taskId}: chunk ${task.chunkId} has a newer image or no longer exists`);
+    return applied;
+  }
+
+  /**
+   * Settle tasks a restart left behind: poll each pending task once and store finished results on
+   * their chunks. Tasks older than RECOVERY_WINDOW_MS, or never accepted by the API, are failed.
+   * @returns {Promise<Object>} - { recovered, failed, pending }
+   */
+  async recoverPendingTasks() {
+    // A task caught mid-download by the restart starts over
+    await GenerationTask.updateMany({ status: 'completing' }, { $set: { status: 'pending' } });
 
-        // Task still in progress (successFlag === 0)
-        logger.info('NANOBANANA', `Symbol task ${taskId} still in progress, attempt ${attempts + 1}/${maxAttempts}`);
+    const tasks = await GenerationTask.find({ status: 'pending' }).sort({ createdAt: 1 });
+    const summary = { recovered: 0, failed: 0, pending: 0 };
 
-        attempts++;
-        if (attempts < maxAttempts) {
-          await new Promise(resolve => setTimeout(resolve, pollInterval));
+    for (const task of tasks) {
+      try {
+        if (!task.taskId || task.createdAt < new Date(Date.now() - RECOVERY_WINDOW_MS)) {
+          task.status = 'failed';
+          task.error = task.taskId ? 'No result received before the task expired' : 'Task was never accepted by the API';
+          task.errorType = task.taskId ? 'timeout' : 'unknown';
+          task.completedAt = new Date();
+          await task.save();
+          summary.failed++;
+          continue;
         }
-      } catch (error) {
-        if (error.response?.status === 404) {
-          throw new Error(`Symbol task ${taskId} not found`);
+
+        const settled = await this.pollTask(task);
+        if (settled?.status === 'completed') {
+          await this.applyToChunk(settled);
+          summary.recovered++;
+        } else if (settled?.status === 'failed') {
+          summary.failed++;
+        } else {
+          // Still running; its callback (or the next restart) settles it
+          summary.pending++;
         }
-        throw error;
+      } catch (error) {
+        logger.warn('NANOBANANA', `Could not recover task ${task.taskId}`, { error: error.message });
+        summary.pending++;
       }
     }
 
-    throw new Error(`Symbol task ${taskId} did not complete within ${maxAttempts * pollInterval / 1000} seconds`);
+    if (tasks.length > 0) {
+      logger.info('NANOBANANA', 'Recovered pending generation tasks', summary);
+    }
+    return summary;
   }
 
   async downloadAndSaveImage(imageUrl, chunkContent, isSymbol = false) {
     try {
       // Download the image
-      const response = await axios.get(imageUrl, {
+      const response = await withRetry(() => axios.get(imageUrl, {
         responseType: 'arraybuffer'
-      });
+      }), { label: 'nanobanana.downloadImage' });
 
       // Create uploads directory if it doesn't exist
       const uploadsDir = path.join(__dirname, '../uploads');
@@ -409,7 +649,7 @@ Style requirements:
       return localImageUrl;
     } catch (error) {
       logger.error('NANOBANANA', `Failed to download and save image: ${error.message}`);
-      throw new Error('Failed to download and save image: ' + error.message);
+      throw wrapProviderError('Failed to download and save image', error);
     }
   }
 
@@ -419,15 +659,15 @@ Style requirements:
         throw new Error('NanoBanana API key not configured');
       }
 
-      const response = await axios.get('https://api.nanobananaapi.ai/api/v1/common/credits', {
+      const response = await withRetry(() => axios.get('https://api.nanobananaapi.ai/api/v1/common/credits', {
         headers: {
           'Authorization': `Bearer ${this.apiKey}`
         }
-      });
+      }), { label: 'nanobanana.credits' });
 
       return response.data.data;
     } catch (error) {
-      throw new Error('Failed to get account credits: ' + error.message);
+      throw wrapProviderError('Failed to get account credits', error);
     }
   }
 }
@@ -1,19 +1,29 @@
 const OpenAI = require('openai');
 const logger = require('../utils/logger');
+const { withRetry } = require('../utils/retry');
+const { wrapProviderError } = require('../utils/providerErrors');
 const ClaudeService = require('./claudeService');
 
 class OpenAIService {
   constructor() {
     this.openai = new OpenAI({
       apiKey: process.env.OPENAI_API_KEY,
+      // Retries are handled by withRetry so they are classified and logged consistently
+      maxRetries: 0,
     });
     this.claudeService = new ClaudeService();
   }
 
-  async chunkScript(script) {
+  async chunkScript(script, pacing) {
     // Use Claude Sonnet for script chunking
     logger.info('OPENAI', 'Delegating script chunking to Claude Sonnet');
-    return await this.claudeService.chunkScript(script);
+    return await this.claudeService.chunkScript(script, pacing);
+  }
+
+  async generateTopics(chunks) {
+    // Topics come from the same model that writes them during chunking
+    logger.info('OPENAI', 'Delegating topic generation to Claude Sonnet');
+    return await this.claudeService.generateTopics(chunks);
   }
 
   async regenerateChunk(originalChunk, context = '') {
@@ -29,7 +39,7 @@ class OpenAIService {
         Return only the new content text, no JSON formatting needed.
       `;
 
-      const response = await this.openai.chat.completions.create({
+      const response = await withRetry(() => this.openai.chat.completions.create({
         model: "gpt-4",
         messages: [
           {
@@ -42,12 +52,12 @@ class OpenAIService {
           }
         ],
         temperature: 0.7,
-      });
+      }), { label: 'openai.regenerateChunk' });
 
       return response.choices[0].message.content.trim();
     } catch (error) {
       console.error('Error regenerating chunk:', error);
-      throw new Error('Failed to regenerate chunk: ' + error.message);
+      throw wrapProviderError('Failed to regenerate chunk', error);
     }
   }
 
@@ -85,7 +95,7 @@ IMPORTANT:
         operation: 'analyze_scene'
       });
 
-      const response = await this.openai.chat.completions.create({
+      const response = await withRetry(() => this.openai.chat.completions.create({
         model: "gpt-4",
         messages: [
           {
@@ -99,7 +109,7 @@ IMPORTANT:
         ],
         temperature: 0.7,
         max_tokens: 150
-      });
+      }), { label: 'openai.analyzeSceneDescription' });
 
       const duration = Date.now() - startTime;
       logger.logOpenAI('analyze_scene', 'gpt-4', prompt, response, duration);
@@ -111,7 +121,7 @@ IMPORTANT:
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.logOpenAI('analyze_scene', 'gpt-4', null, null, duration, error);
-      throw new Error('Failed to analyze scene: ' + error.message);
+      throw wrapProviderError('Failed to analyze scene', error);
     }
   }
 
@@ -142,7 +152,7 @@ Output ONLY ONE symbol/object with a brief explanation in parentheses. Keep it s
         operation: 'analyze_symbols'
       });
 
-      const response = await this.openai.chat.completions.create({
+      const response = await withRetry(() => this.openai.chat.completions.create({
         model: "gpt-4",
         messages: [
           {
@@ -156,7 +166,7 @@ Output ONLY ONE symbol/object with a brief explanation in parentheses. Keep it s
         ],
         temperature: 0.7,
         max_tokens: 100
-      });
+      }), { label: 'openai.analyzeSymbolsAndObjects' });
 
       const duration = Date.now() - startTime;
       logger.logOpenAI('analyze_symbols', 'gpt-4', prompt, response, duration);
@@ -168,11 +178,13 @@ Output ONLY ONE symbol/object with a brief explanation in parentheses. Keep it s
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.logOpenAI('analyze_symbols', 'gpt-4', null, null, duration, error);
-      throw new Error('Failed to analyze symbols: ' + error.message);
+      throw wrapProviderError('Failed to analyze symbols', error);
     }
   }
 
-  async generateImage(chunkContent, color = 'white', quality = 'high', style = 'infographic') {
+  // Resolves to { imageUrl, prompt, model, size, providerMetadata } with the prompt sent to GPT-Image-1.
+  // options.prompt replaces the style's prompt and skips the scene analysis.
+  async generateImage(chunkContent, color = 'white', quality = 'high', style = 'infographic', options = {}) {
     const startTime = Date.now();
     const chunkId = `chunk_${Date.now()}`;
 
@@ -188,7 +200,7 @@ Output ONLY ONE symbol/object with a brief explanation in parentheses. Keep it s
 
       // First, get scene analysis from ChatGPT for infographic style
       let sceneDescription = '';
-      if (style === 'infographic') {
+      if (style === 'infographic' && !options.prompt) {
         logger.info('IMAGE_GEN', 'Getting scene analysis from ChatGPT');
         sceneDescription = await this.analyzeSceneDescription(chunkContent);
         logger.info('IMAGE_GEN', `Scene analysis result: "${sceneDescription}"`);
@@ -243,7 +255,7 @@ Style requirements:
 - No text or words in the image`
       };
 
-      const prompt = `${stylePrompts[style] || stylePrompts.infographic}`;
+      const prompt = options.prompt || `${stylePrompts[style] || stylePrompts.infographic}`;
 
       logger.info('OPENAI', 'Calling image generation API', {
         model: 'gpt-image-1',
@@ -253,13 +265,13 @@ Style requirements:
       });
 
       console.log(prompt)
-      const response = await this.openai.images.generate({
+      const response = await withRetry(() => this.openai.images.generate({
         model: "gpt-image-1",
         prompt: prompt,
         quality: quality,
         size: "1024x1024",
         output_format: "png"
-      });
+      }), { label: 'openai.generateImage' });
 
       const apiDuration = Date.now() - startTime;
       logger.logOpenAI('generate_image', 'gpt-image-1', prompt, response, apiDuration);
@@ -317,11 +329,21 @@ Style requirements:
 
       logger.logImageGeneration(chunkId, color, quality, style, imageUrl, totalDuration);
 
-      return imageUrl;
+      return {
+        imageUrl,
+        prompt,
+        model: 'gpt-image-1',
+        size: '1024x1024',
+        providerMetadata: {
+          created: response.created,
+          revisedPrompt: response.data[0].revised_prompt,
+          usage: response.usage
+        }
+      };
     } catch (error) {
       const totalDuration = Date.now() - startTime;
       logger.logImageGeneration(chunkId, color, quality, style, null, totalDuration, error);
-      throw new Error('Failed to generate image: ' + error.message);
+      throw wrapProviderError('Failed to generate image', error);
     }
   }
 
@@ -366,7 +388,7 @@ Style requirements:
         operation: 'generate_youtube_title'
       });
 
-      const response = await this.openai.chat.completions.create({
+      const response = await withRetry(() => this.openai.chat.completions.create({
         model: "gpt-4",
         messages: [
           {
@@ -380,7 +402,7 @@ Style requirements:
         ],
         temperature: 0.8,
         max_tokens: 100
-      });
+      }), { label: 'openai.generateYouTubeTitle' });
 
       const duration = Date.now() - startTime;
       logger.logOpenAI('generate_youtube_title', 'gpt-4', prompt, response, duration);
@@ -392,7 +414,7 @@ Style requirements:
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.logOpenAI('generate_youtube_title', 'gpt-4', null, null, duration, error);
-      throw new Error('Failed to generate YouTube title: ' + error.message);
+      throw wrapProviderError('Failed to generate YouTube title', error);
     }
   }
 
@@ -445,7 +467,7 @@ Style requirements:
         operation: 'generate_youtube_description'
       });
 
-      const response = await this.openai.chat.completions.create({
+      const response = await withRetry(() => this.openai.chat.completions.create({
         model: "gpt-4",
         messages: [
           {
@@ -459,7 +481,7 @@ Style requirements:
         ],
         temperature: 0.7,
         max_tokens: 800
-      });
+      }), { label: 'openai.generateYouTubeDescription' });
 
       const duration = Date.now() - startTime;
       logger.logOpenAI('generate_youtube_description', 'gpt-4', prompt, response, duration);
@@ -471,7 +493,7 @@ Style requirements:
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.logOpenAI('generate_youtube_description', 'gpt-4', null, null, duration, error);
-      throw new Error('Failed to generate YouTube description: ' + error.message);
+      throw wrapProviderError('Failed to generate YouTube description', error);
     }
   }
 }
@@ -0,0 +1,29 @@
+const { isMockMode } = require('../utils/mockMode');
+
+/**
+ * Text services with the OpenAIService interface (chunking, topics, analysis, metadata).
+ * Requires lazily so mock mode never loads or constructs the real API clients.
+ */
+function createTextService() {
+  if (isMockMode()) {
+    const MockLLMService = require('./mockLLMService');
+    return new MockLLMService();
+  }
+  const OpenAIService = require('./openaiService');
+  return new OpenAIService();
+}
+
+// Chunker used by background (windowed) chunking
+function createChunkingService() {
+  if (isMockMode()) {
+    const MockLLMService = require('./mockLLMService');
+    return new MockLLMService();
+  }
+  const ClaudeService = require('./claudeService');
+  return new ClaudeService();
+}
+
+module.exports = {
+  createTextService,
+  createChunkingService
+};
@@ -0,0 +1,315 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { withRetry } = require('../utils/retry');
+const { wrapProviderError } = require('../utils/providerErrors');
+
+const API_TYPES = ['automatic1111', 'comfyui'];
+const DEFAULT_SIZE = '1024x1024';
+const DEFAULT_CHECKPOINT = 'sd_xl_base_1.0.safetensors';
+const DEFAULT_NEGATIVE_PROMPT = 'text, words, letters, watermark, signature, blurry, low quality, deformed, extra limbs';
+const MAX_STEPS = 150;
+
+// Sampling steps used when the request doesn't set them
+const QUALITY_STEPS = {
+  low: 15,
+  medium: 25,
+  high: 35
+};
+
+// Stable Diffusion works best with short, comma separated prompts
+const STYLE_PROMPTS = {
+  infographic: (content) => `pictogram icon illustration of ${content}, simple geometric shapes, white figures on solid black background, stick figures with expressive faces, minimalist, high contrast, flat`,
+  drawing: (content, color) => `hand-drawn pencil sketch of ${content}, organic lines, expressive, ${color} ink on plain background`,
+  illustration: (content, color) => `minimalist cartoon illustration of ${content}, hand-drawn style, soft color palette with ${color} accents, simple lines and shapes, minimal shading, rounded edges`,
+  abstract: (content, color) => `abstract conceptual art representing ${content}, geometric and organic forms, modern abstract style, ${color} as primary color`
+};
+
+// Default ComfyUI workflow (API format): checkpoint -> prompts -> KSampler -> VAE decode -> save
+const DEFAULT_COMFYUI_WORKFLOW = {
+  '4': { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: '{{checkpoint}}' } },
+  '5': { class_type: 'EmptyLatentImage', inputs: { width: '{{width}}', height: '{{height}}', batch_size: 1 } },
+  '6': { class_type: 'CLIPTextEncode', inputs: { text: '{{prompt}}', clip: ['4', 1] } },
+  '7': { class_type: 'CLIPTextEncode', inputs: { text: '{{negative_prompt}}', clip: ['4', 1] } },
+  '3': {
+    class_type: 'KSampler',
+    inputs: {
+      seed: '{{seed}}',
+      steps: '{{steps}}',
+      cfg: 7,
+      sampler_name: 'euler',
+      scheduler: 'normal',
+      denoise: 1,
+      model: ['4', 0],
+      positive: ['6', 0],
+      negative: ['7', 0],
+      latent_image: ['5', 0]
+    }
+  },
+  '8': { class_type: 'VAEDecode', inputs: { samples: ['3', 0], vae: ['4', 2] } },
+  '9': { class_type: 'SaveImage', inputs: { filename_prefix: 'script-to-images', images: ['8', 0] } }
+};
+
+/**
+ * Replace {{placeholder}} strings in a ComfyUI workflow. A string that is exactly one placeholder
+ * takes the value's type (so seeds and sizes stay numbers); placeholders inside longer strings are
+ * substituted as text.
+ */
+const fillWorkflow = (node, values) => {
+  if (Array.isArray(node)) {
+    return node.map(item => fillWorkflow(item, values));
+  }
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fillWorkflow(value, values)]));
+  }
+  if (typeof node !== 'string') {
+    return node;
+  }
+
+  const exact = node.match(/^\{\{(\w+)\}\}$/);
+  if (exact && exact[1] in values) {
+    return values[exact[1]];
+  }
+  return node.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match));
+};
+
+const parseSize = (size) => {
+  const match = /^(\d+)x(\d+)$/.exec(size || DEFAULT_SIZE);
+  if (!match) {
+    throw new Error(`Invalid image size: ${size}`);
+  }
+  return { width: parseInt(match[1], 10), height: parseInt(match[2], 10) };
+};
+
+class StableDiffusionService {
+  constructor() {
+    this.baseUrl = (process.env.SD_API_URL || '').replace(/\/+$/, '');
+    this.apiType = (process.env.SD_API_TYPE || 'automatic1111').toLowerCase();
+    this.checkpoint = process.env.SD_CHECKPOINT || '';
+    this.workflowPath = process.env.SD_COMFYUI_WORKFLOW || '';
+    this.negativePrompt = process.env.SD_NEGATIVE_PROMPT || DEFAULT_NEGATIVE_PROMPT;
+    this.timeout = parseInt(process.env.SD_TIMEOUT_MS, 10) || 300000;
+    this.pollInterval = 1000;
+
+    if (!this.baseUrl) {
+      console.warn('SD_API_URL not found in environment variables');
+    }
+    if (!API_TYPES.includes(this.apiType)) {
+      console.warn(`Unknown SD_API_TYPE '${this.apiType}', expected one of: ${API_TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Generate an image with the self-hosted Stable Diffusion server and save it to uploads
+   * @param {string} chunkContent
+   * @param {Object} options - { color, quality, style, size, seed, steps, negativePrompt } and optionally
+   *   prompt to use instead of the style's prompt
+   * @returns {Promise<Object>} - { imageUrl, seed, prompt, model, size, providerMetadata }
+   */
+  async generateImage(chunkContent, options = {}) {
+    const { color = 'white', quality = 'high', style = 'infographic' } = options;
+    const startTime = Date.now();
+    const chunkId = `chunk_${Date.now()}`;
+
+    try {
+      if (!this.baseUrl) {
+        throw new Error('Stable Diffusion API URL not configured');
+      }
+
+      const params = this.buildParams(chunkContent, options);
+
+      logger.info('STABLE_DIFFUSION', 'Calling image generation API', {
+        apiType: this.apiType,
+        width: params.width,
+        height: params.height,
+        steps: params.steps,
+        seed: params.seed,
+        operation: 'generate_image'
+      });
+
+      const { imageBuffer, seed, model, promptId } = this.apiType === 'comfyui'
+        ? await this.generateWithComfyUI(params)
+        : await this.generateWithAutomatic1111(params);
+
+      const imageUrl = this.saveImage(imageBuffer, chunkContent);
+
+      logger.logImageGeneration(chunkId, color, quality, style, imageUrl, Date.now() - startTime);
+
+      return {
+        imageUrl,
+        seed,
+        prompt: params.prompt,
+        model,
+        size: `${params.width}x${params.height}`,
+        providerMetadata: { apiType: this.apiType, steps: params.steps, negativePrompt: params.negativePrompt, promptId }
+      };
+    } catch (error) {
+      logger.logImageGeneration(chunkId, color, quality, style, null, Date.now() - startTime, error);
+      error.message = this.describeError(error);
+      throw wrapProviderError('Failed to generate image with Stable Diffusion', error);
+    }
+  }
+
+  buildParams(chunkContent, { color = 'white', quality = 'high', style = 'infographic', size, seed, steps, negativePrompt, prompt } = {}) {
+    const stylePrompt = STYLE_PROMPTS[style] || STYLE_PROMPTS.infographic;
+    const { width, height } = parseSize(size);
+    const parsedSeed = seed === undefined || seed === null || seed === '' ? -1 : parseInt(seed, 10);
+    const parsedSteps = parseInt(steps, 10) || QUALITY_STEPS[quality] || QUALITY_STEPS.high;
+
+    return {
+      prompt: prompt || stylePrompt(chunkContent.trim(), color),
+      negativePrompt: negativePrompt || this.negativePrompt,
+      width,
+      height,
+      // -1 asks for a random seed; ComfyUI has no such value, so pick one here
+      seed: parsedSeed >= 0 || this.apiType !== 'comfyui'
+        ? parsedSeed
+        : Math.floor(Math.random() * 2 ** 32),
+      steps: Math.min(Math.max(parsedSteps, 1), MAX_STEPS)
+    };
+  }
+
+  async generateWithAutomatic1111(params) {
+    const body = {
+      prompt: params.prompt,
+      negative_prompt: params.negativePrompt,
+      seed: params.seed,
+      steps: params.steps,
+      width: params.width,
+      height: params.height,
+      batch_size: 1,
+      n_iter: 1
+    };
+    if (this.checkpoint) {
+      body.override_settings = { sd_model_checkpoint: this.checkpoint };
+    }
+
+    const response = await withRetry(() => axios.post(`${this.baseUrl}/sdapi/v1/txt2img`, body, { timeout: this.timeout }),
+      { label: 'stablediffusion.txt2img' });
+
+    const base64Data = response.data?.images?.[0];
+    if (!base64Data) {
+      throw new Error('No image data received from Automatic1111');
+    }
+
+    // info is a JSON string holding the seed and model that were actually used
+    let seed = params.seed;
+    let model = this.checkpoint || null;
+    try {
+      const info = typeof response.data.info === 'string' ? JSON.parse(response.data.info) : response.data.info;
+      if (Number.isInteger(info?.seed)) {
+        seed = info.seed;
+      }
+      model = info?.sd_model_name || model;
+    } catch (error) {
+      logger.warn('STABLE_DIFFUSION', 'Could not read seed from Automatic1111 response', { error: error.message });
+    }
+
+    // Some builds prefix the data with a data: URI header
+    return { imageBuffer: Buffer.from(base64Data.replace(/^data:image\/\w+;base64,/, ''), 'base64'), seed, model };
+  }
+
+  async generateWithComfyUI(params) {
+    const workflow = fillWorkflow(this.loadWorkflow(), {
+      prompt: params.prompt,
+      negative_prompt: params.negativePrompt,
+      seed: params.seed,
+      steps: params.steps,
+      width: params.width,
+      height: params.height,
+      checkpoint: this.checkpoint || DEFAULT_CHECKPOINT
+    });
+
+    const queueResponse = await withRetry(() => axios.post(`${this.baseUrl}/prompt`, {
+      prompt: workflow,
+      client_id: uuidv4()
+    }, { timeout: this.timeout }), { label: 'stablediffusion.queuePrompt' });
+
+    const promptId = queueResponse.data?.prompt_id;
+    if (!promptId) {
+      throw new Error('ComfyUI did not return a prompt id');
+    }
+    logger.info('STABLE_DIFFUSION', `ComfyUI prompt queued with ID: ${promptId}`);
+
+    const image = await this.pollComfyUIHistory(promptId);
+    const imageResponse = await withRetry(() => axios.get(`${this.baseUrl}/view`, {
+      params: { filename: image.filename, subfolder: image.subfolder || '', type: image.type || 'output' },
+      responseType: 'arraybuffer',
+      timeout: this.timeout
+    }), { label: 'stablediffusion.downloadImage' });
+
+    return { imageBuffer: Buffer.from(imageResponse.data), seed: params.seed, model: this.checkpoint || DEFAULT_CHECKPOINT, promptId };
+  }
+
+  async pollComfyUIHistory(promptId) {
+    const deadline = Date.now() + this.timeout;
+
+    while (Date.now() < deadline) {
+      const response = await withRetry(() => axios.get(`${this.baseUrl}/history/${promptId}`, { timeout: this.timeout }),
+        { label: 'stablediffusion.pollHistory' });
+      const entry = response.data?.[promptId];
+
+      if (entry) {
+        if (entry.status?.status_str === 'error') {
+          throw new Error(`ComfyUI prompt ${promptId} failed`);
+        }
+
+        const image = Object.values(entry.outputs || {})
+          .flatMap(output => output.images || [])
+          .find(output => output.type !== 'temp');
+        if (image) {
+          return image;
+        }
+        if (entry.status?.completed) {
+          throw new Error(`ComfyUI prompt ${promptId} finished without an output image`);
+        }
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+
+    throw new Error(`ComfyUI prompt ${promptId} did not complete within ${this.timeout / 1000} seconds`);
+  }
+
+  loadWorkflow() {
+    if (!this.workflowPath) {
+      return DEFAULT_COMFYUI_WORKFLOW;
+    }
+    return JSON.parse(fs.readFileSync(path.resolve(this.workflowPath), 'utf8'));
+  }
+
+  saveImage(imageBuffer, chunkContent) {
+    const uploadsDir = path.join(__dirname, '../uploads');
+    if (!fs.existsSync(uploadsDir)) {
+      fs.mkdirSync(uploadsDir, { recursive: true });
+    }
+
+    // Last two words of the chunk, like the other providers' filenames
+    const lastTwoWords = chunkContent.trim().split(/\s+/).filter(Boolean).slice(-2).join('_')
+      .replace(/[^a-zA-Z0-9_]/g, '')
+      .toLowerCase()
+      .substring(0, 20);
+
+    const filename = `sd_${uuidv4().substring(0, 8)}_${lastTwoWords || 'chunk'}.png`;
+    fs.writeFileSync(path.join(uploadsDir, filename), imageBuffer);
+
+    logger.info('STABLE_DIFFUSION', `Image saved successfully: /api/images/${filename}`);
+    return `/api/images/${filename}`;
+  }
+
+  // Surface the server's own message for HTTP errors (A1111 sends { error, detail }, ComfyUI { error: { message } })
+  describeError(error) {
+    const data = error.response?.data;
+    const detail = data?.error?.message || data?.detail || data?.error;
+    if (error.response && detail) {
+      return `Request failed with status code ${error.response.status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`;
+    }
+    return error.message;
+  }
+}
+
+StableDiffusionService.QUALITY_STEPS = QUALITY_STEPS;
+
+module.exports = StableDiffusionService;
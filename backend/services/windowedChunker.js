@@ -0,0 +1,159 @@
+const { createChunkingService } = require('./serviceFactory');
+const ChunkVerifier = require('./chunkVerifier');
+const logger = require('../utils/logger');
+const { newChunkId } = require('../utils/chunkEditing');
+
+// A 4096-token response holds roughly 900 words of chunk JSON, so stay well below that
+const DEFAULT_WINDOW_WORDS = 500;
+const WINDOWED_THRESHOLD_WORDS = 900;
+const MIN_SEAM_WORDS = 5;
+
+class WindowedChunker {
+  constructor(options = {}) {
+    this.chunker = options.chunker || createChunkingService();
+    this.verifier = options.verifier || new ChunkVerifier();
+    this.windowWords = options.windowWords || DEFAULT_WINDOW_WORDS;
+    this.thresholdWords = options.thresholdWords || WINDOWED_THRESHOLD_WORDS;
+  }
+
+  countWords(text) {
+    return (text.match(/\S+/g) || []).length;
+  }
+
+  /**
+   * Whether a script is too long to chunk in a single request
+   * @param {string} script - The script text
+   * @returns {boolean}
+   */
+  needsWindowing(script) {
+    return this.countWords(script) > this.thresholdWords;
+  }
+
+  /**
+   * Split a script into windows of at most maxWords words. Windows end on a paragraph break when
+   * one is close enough, otherwise on a sentence end, so chunks never straddle a window seam.
+   * @param {string} script - The script text
+   * @param {number} maxWords - Maximum words per window
+   * @returns {Array} - Array of { index, text, wordCount } with text sliced verbatim from the script
+   */
+  splitIntoWindows(script, maxWords = this.windowWords) {
+    const words = [...script.matchAll(/\S+/g)];
+    const windows = [];
+    let startWord = 0;
+
+    const endsSentence = (word) => /[.!?…]["'”’)\]]*$/.test(word);
+    const endsClause = (word) => /[,;:—–-]["'”’)\]]*$/.test(word);
+    const paragraphBreakAfter = (i) => {
+      const gapStart = words[i].index + words[i][0].length;
+      const gapEnd = i + 1 < words.length ? words[i + 1].index : script.length;
+      return /\n\s*\n/.test(script.slice(gapStart, gapEnd));
+    };
+
+    while (startWord < words.length) {
+      let endWord = words.length;
+
+      if (words.length - startWord > maxWords) {
+        const limit = startWord + maxWords - 1;
+        const preferParagraphFrom = startWord + Math.floor(maxWords / 2);
+        let paragraphEnd = -1;
+        let sentenceEnd = -1;
+        let clauseEnd = -1;
+
+        for (let i = limit; i >= startWord; i--) {
+          if (paragraphEnd === -1 && i >= preferParagraphFrom && paragraphBreakAfter(i)) paragraphEnd = i;
+          if (sentenceEnd === -1 && endsSentence(words[i][0])) sentenceEnd = i;
+          if (clauseEnd === -1 && endsClause(words[i][0])) clauseEnd = i;
+          if (paragraphEnd !== -1) break;
+        }
+
+        const breakAfter = [paragraphEnd, sentenceEnd, clauseEnd].find(i => i !== -1);
+        endWord = (breakAfter === undefined ? limit : breakAfter) + 1;
+      }
+
+      const charStart = windows.length === 0 ? 0 : words[startWord].index;
+      const charEnd = endWord === words.length
+        ? script.length
+        : words[endWord - 1].index + words[endWord - 1][0].length;
+
+      windows.push({
+        index: windows.length,
+        text: script.slice(charStart, charEnd).trim(),
+        wordCount: endWord - startWord
+      });
+
+      startWord = endWord;
+    }
+
+    return windows;
+  }
+
+  /**
+   * Chunk one window and place its chunks on the script timeline
+   * @param {string} windowText - Text of the window
+   * @param {Object} options - { startTime, startIndex, pacing }
+   * @returns {Promise<Object>} - { chunks, coverage }
+   */
+  async chunkWindow(windowText, options = {}) {
+    const { startTime = 0, startIndex = 0, pacing } = options;
+
+    const rawChunks = await this.chunker.chunkScript(windowText, pacing);
+    const { chunks: verified, coverage } = await this.verifier.verifyAndRepair(windowText, rawChunks, {
+      rechunk: () => this.chunker.chunkScript(windowText, pacing)
+    });
+
+    const merged = this.mergeSeamFragments(verified);
+    let cursor = startTime;
+
+    const chunks = merged.map((chunk) => {
+      const duration = Math.max(0, (chunk.endTime || 0) - (chunk.startTime || 0));
+      const placed = {
+        ...chunk,
+        id: newChunkId(),
+        startTime: cursor,
+        endTime: cursor + duration
+      };
+      cursor = placed.endTime;
+      return placed;
+    });
+
+    // Point the coverage report at the ids the chunks are stored under
+    const idMap = new Map(merged.map((chunk, index) => [chunk.id, chunks[index].id]));
+    const remapIds = (ids) => ids.map(id => idMap.get(id)).filter(Boolean);
+
+    logger.info('CHUNKING', `Window chunked into ${chunks.length} chunks`, {
+      startTime,
+      endTime: cursor,
+      startIndex
+    });
+
+    return {
+      chunks,
+      coverage: {
+        ...coverage,
+        mismatchedChunkIds: remapIds(coverage.mismatchedChunkIds),
+        repairedChunkIds: remapIds(coverage.repairedChunkIds)
+      }
+    };
+  }
+
+  /**
+   * Fold a short trailing chunk into its neighbour so a window never ends on a fragment
+   */
+  mergeSeamFragments(chunks) {
+    if (chunks.length < 2) return chunks;
+
+    const result = chunks.map(chunk => ({ ...chunk }));
+    const last = result[result.length - 1];
+
+    if (this.countWords(last.content) < MIN_SEAM_WORDS) {
+      const previous = result[result.length - 2];
+      previous.content = `${previous.content} ${last.content}`;
+      previous.endTime = Math.max(previous.endTime, last.endTime);
+      result.pop();
+    }
+
+    return result;
+  }
+}
+
+module.exports = WindowedChunker;
@@ -0,0 +1,144 @@
+// Batch image job run end to end through the mock provider (MOCK_PROVIDERS=1), with the models stubbed
+// so no MongoDB is needed
+
+process.env.MOCK_PROVIDERS = '1';
+process.env.MOCK_DELAY_MS = '0';
+delete process.env.IMAGE_PROVIDERS;
+
+// The job processor logs every chunk; the test runner reports what matters
+console.log = console.warn = console.error = () => {};
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Job = require('../models/Job');
+const Script = require('../models/Script');
+const JobManager = require('../services/jobManager');
+
+const uploadsDir = path.join(__dirname, '../uploads');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+let script;
+let jobStatus;
+let jobUpdates;
+
+const imagePath = (imageUrl) => path.join(uploadsDir, path.basename(imageUrl));
+
+beforeEach(() => {
+  script = new Script({
+    title: 'Mock batch',
+    originalScript: 'First chunk. Second chunk. Third chunk.',
+    chunks: [
+      { id: 'c1', content: 'The first chunk of the script', startTime: 0, endTime: 3 },
+      { id: 'c2', content: 'The second chunk already has an image', startTime: 3, endTime: 6, imageUrl: '/api/images/existing.png' },
+      { id: 'c3', content: 'The third chunk of the script', startTime: 6, endTime: 9 }
+    ]
+  });
+  jobStatus = 'processing';
+  jobUpdates = [];
+
+  Script.findById = async () => script;
+  Script.findOne = async (filter) => ({ chunks: script.chunks.filter(chunk => chunk.id === filter['chunks.id']) });
+  Script.updateOne = async (filter, update) => {
+    const chunk = script.chunks.find(item => item.id === filter['chunks.id']);
+    for (const [key, value] of Object.entries(update.$set)) {
+      chunk.set(key.replace('chunks.$.', ''), value);
+    }
+    return { modifiedCount: 1 };
+  };
+
+  Job.findOne = async () => null;
+  Job.findById = () => ({ select: async () => ({ status: jobStatus }) });
+  Job.updateOne = async (filter, update) => {
+    jobUpdates.push(update);
+    return { modifiedCount: 1 };
+  };
+  Job.prototype.save = async function () { return this; };
+});
+
+// Remove the placeholder images the job saved
+afterEach(() => {
+  for (const chunk of script.chunks) {
+    for (const version of chunk.imageHistory) {
+      [version.imageUrl, version.secondaryImageUrl]
+        .filter(Boolean)
+        .forEach(url => fs.rmSync(imagePath(url), { force: true }));
+    }
+  }
+});
+
+const runBatch = async (style, generationParams = {}) => {
+  const jobManager = new JobManager();
+  const job = await jobManager.createBatchImageJob(script._id, 'white', 'low', style, 'mock', generationParams);
+  await jobManager.processJob(job);
+  return job;
+};
+
+test('generates a placeholder image for every chunk that needs one', async () => {
+  const job = await runBatch('drawing');
+
+  assert.deepStrictEqual(job.chunksToProcess.map(item => item.chunkId), ['c1', 'c3']);
+  assert.deepStrictEqual(job.chunksToProcess.map(item => item.status), ['completed', 'completed']);
+  assert.strictEqual(job.progress.processedChunks, 2);
+  assert.strictEqual(job.progress.failedChunks, 0);
+  assert.strictEqual(jobUpdates[jobUpdates.length - 1].$set.status, 'completed');
+
+  for (const chunk of [script.chunks[0], script.chunks[2]]) {
+    assert.strictEqual(chunk.imageProvider, 'mock');
+    assert.strictEqual(chunk.secondaryImageUrl, null);
+    assert.deepStrictEqual(fs.readFileSync(imagePath(chunk.imageUrl)).subarray(0, 4), PNG_SIGNATURE);
+    assert.strictEqual(chunk.imageHistory.length, 1);
+    assert.strictEqual(chunk.imageHistory[0].imageUrl, chunk.imageUrl);
+    assert.strictEqual(chunk.imageHistory[0].content, chunk.content);
+  }
+  assert.strictEqual(script.chunks[1].imageUrl, '/api/images/existing.png');
+});
+
+test('produces the scene and symbol pair for the infographic style', async () => {
+  const job = await runBatch('infographic');
+
+  // The chunk with only a main image is missing its symbol
+  assert.strictEqual(job.progress.processedChunks, 3);
+  const chunk = script.chunks[0];
+  assert.ok(chunk.sceneDescription);
+  assert.ok(chunk.symbolDescription);
+  assert.ok(fs.existsSync(imagePath(chunk.imageUrl)));
+  assert.ok(fs.existsSync(imagePath(chunk.secondaryImageUrl)));
+});
+
+test('stores every candidate and selects the first', async () => {
+  await runBatch('drawing', { candidates: 2 });
+
+  const chunk = script.chunks[0];
+  assert.strictEqual(chunk.imageCandidates.length, 2);
+  assert.strictEqual(chunk.selectedImageCandidate, 0);
+  assert.strictEqual(chunk.imageUrl, chunk.imageCandidates[0].imageUrl);
+  assert.strictEqual(chunk.imageHistory.length, 2);
+});
+
+test('stops when the job is cancelled', async () => {
+  jobStatus = 'cancelled';
+  const job = await runBatch('drawing');
+
+  assert.deepStrictEqual(job.chunksToProcess.map(item => item.status), ['pending', 'pending']);
+  assert.strictEqual(script.chunks[0].imageUrl, null);
+});
+
+test('runs more chunks than the provider allows at once through every worker', async () => {
+  // Five chunks for four workers: two of them go for the last chunk at the same time
+  script.chunks.push(...Array.from({ length: 3 }, (_, index) => ({
+    id: `extra${index}`,
+    content: `Extra chunk number ${index}`,
+    startTime: 9 + index * 3,
+    endTime: 12 + index * 3
+  })));
+
+  const job = await runBatch('drawing');
+
+  assert.strictEqual(job.chunksToProcess.length, 5);
+  assert.strictEqual(jobUpdates[jobUpdates.length - 1].$set.status, 'completed');
+  assert.strictEqual(job.progress.processedChunks, 5);
+  assert.strictEqual(job.progress.failedChunks, 0);
+  assert.ok(job.chunksToProcess.every(item => item.status === 'completed'));
+});
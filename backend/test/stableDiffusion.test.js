@@ -0,0 +1,204 @@
+// Stable Diffusion provider against a local stub of the Automatic1111 and ComfyUI APIs
+
+process.env.PROVIDER_MAX_RETRIES = '2';
+process.env.PROVIDER_RETRY_BASE_MS = '1';
+process.env.PROVIDER_RETRY_MAX_MS = '5';
+
+// The services log every call; the test runner reports what matters
+console.log = console.warn = console.error = () => {};
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const StableDiffusionService = require('../services/stableDiffusionService');
+const StableDiffusionImageProvider = require('../services/imageProviders/stableDiffusion');
+
+const IMAGE = Buffer.from('stub image bytes');
+const uploadsDir = path.join(__dirname, '../uploads');
+
+let server;
+let baseUrl;
+let requests;
+// Responses the stub sends in order for each route; the last one repeats
+let routes;
+
+const respond = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': Buffer.isBuffer(body) ? 'image/png' : 'application/json' });
+  res.end(Buffer.isBuffer(body) ? body : JSON.stringify(body));
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (data) => { body += data; });
+    req.on('end', () => {
+      const route = req.url.split('?')[0];
+      requests.push({ method: req.method, route, body: body ? JSON.parse(body) : null });
+
+      const queue = routes[route];
+      if (!queue) {
+        return respond(res, 404, { detail: 'Not Found' });
+      }
+      const [status, response] = queue.length > 1 ? queue.shift() : queue[0];
+      respond(res, status, response);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  routes = {};
+  process.env.SD_API_URL = baseUrl;
+  process.env.SD_API_TYPE = 'automatic1111';
+});
+
+const createService = () => {
+  const service = new StableDiffusionService();
+  service.pollInterval = 1;
+  return service;
+};
+
+// Read and delete a generated image
+const takeImage = (imageUrl) => {
+  const file = path.join(uploadsDir, path.basename(imageUrl));
+  const data = fs.readFileSync(file);
+  fs.unlinkSync(file);
+  return data;
+};
+
+const txt2imgResponse = {
+  images: [IMAGE.toString('base64')],
+  info: JSON.stringify({ seed: 1234, sd_model_name: 'stub_model' })
+};
+
+test('Automatic1111: saves the image and reports the seed and model used', async () => {
+  routes['/sdapi/v1/txt2img'] = [[200, txt2imgResponse]];
+
+  const result = await createService().generateImage('A cat on a mat', {
+    style: 'drawing',
+    size: '512x512',
+    steps: 20,
+    seed: -1
+  });
+
+  assert.deepStrictEqual(takeImage(result.imageUrl), IMAGE);
+  assert.strictEqual(result.seed, 1234);
+  assert.strictEqual(result.model, 'stub_model');
+  assert.strictEqual(result.size, '512x512');
+
+  assert.strictEqual(requests.length, 1);
+  const { body } = requests[0];
+  assert.match(body.prompt, /A cat on a mat/);
+  assert.strictEqual(body.steps, 20);
+  assert.strictEqual(body.seed, -1);
+  assert.strictEqual(body.width, 512);
+});
+
+test('Automatic1111: retries server errors and rate limits', async () => {
+  routes['/sdapi/v1/txt2img'] = [[500, { error: 'CUDA out of memory' }], [429, {}], [200, txt2imgResponse]];
+
+  const result = await createService().generateImage('Retry me');
+
+  takeImage(result.imageUrl);
+  assert.strictEqual(requests.length, 3);
+});
+
+test('Automatic1111: gives up after the retries and classifies the failure as a server error', async () => {
+  routes['/sdapi/v1/txt2img'] = [[503, { detail: 'Model loading' }]];
+
+  await assert.rejects(createService().generateImage('Never works'), (error) => {
+    assert.strictEqual(error.errorType, 'server');
+    assert.strictEqual(error.status, 503);
+    assert.strictEqual(error.retryAttempts, 3);
+    assert.match(error.message, /Failed to generate image with Stable Diffusion: .*503: Model loading/);
+    return true;
+  });
+  assert.strictEqual(requests.length, 3);
+});
+
+test('Automatic1111: does not retry invalid requests', async () => {
+  routes['/sdapi/v1/txt2img'] = [[422, { detail: 'width must be a multiple of 8' }]];
+
+  await assert.rejects(createService().generateImage('Bad size'), (error) => {
+    assert.strictEqual(error.errorType, 'invalid_request');
+    assert.match(error.message, /width must be a multiple of 8/);
+    return true;
+  });
+  assert.strictEqual(requests.length, 1);
+});
+
+test('Automatic1111: a response without image data fails', async () => {
+  routes['/sdapi/v1/txt2img'] = [[200, { images: [] }]];
+
+  await assert.rejects(createService().generateImage('Empty'), /No image data received from Automatic1111/);
+});
+
+test('unreachable server is a network error', async () => {
+  process.env.SD_API_URL = 'http://127.0.0.1:1';
+
+  await assert.rejects(createService().generateImage('Nobody home'), (error) => {
+    assert.strictEqual(error.errorType, 'network');
+    return true;
+  });
+});
+
+test('ComfyUI: queues the workflow, polls the history and downloads the output', async () => {
+  process.env.SD_API_TYPE = 'comfyui';
+  routes['/prompt'] = [[200, { prompt_id: 'p1' }]];
+  routes['/history/p1'] = [
+    [200, {}],
+    [200, { p1: { status: { completed: true }, outputs: { 9: { images: [{ filename: 'out.png', type: 'output' }] } } } }]
+  ];
+  routes['/view'] = [[200, IMAGE]];
+
+  const result = await createService().generateImage('A dog', { seed: 7, steps: 10 });
+
+  assert.deepStrictEqual(takeImage(result.imageUrl), IMAGE);
+  assert.strictEqual(result.seed, 7);
+  assert.strictEqual(result.providerMetadata.promptId, 'p1');
+
+  const workflow = requests.find(request => request.route === '/prompt').body.prompt;
+  assert.strictEqual(workflow['3'].inputs.seed, 7);
+  assert.strictEqual(workflow['3'].inputs.steps, 10);
+  assert.match(workflow['6'].inputs.text, /A dog/);
+  assert.strictEqual(requests.filter(request => request.route === '/history/p1').length, 2);
+});
+
+test('ComfyUI: a failed prompt is reported', async () => {
+  process.env.SD_API_TYPE = 'comfyui';
+  routes['/prompt'] = [[200, { prompt_id: 'p2' }]];
+  routes['/history/p2'] = [[200, { p2: { status: { status_str: 'error' }, outputs: {} } }]];
+
+  await assert.rejects(createService().generateImage('Broken'), /ComfyUI prompt p2 failed/);
+});
+
+test('provider passes the request settings through to the server', async () => {
+  routes['/sdapi/v1/txt2img'] = [[200, txt2imgResponse]];
+
+  const provider = new StableDiffusionImageProvider();
+  assert.strictEqual(provider.isAvailable(), true);
+  assert.strictEqual(provider.validateParameters({ steps: 500 }), 'steps must be an integer between 1 and 150');
+
+  const result = await provider.generate({
+    content: 'ignored',
+    prompt: 'custom prompt',
+    negativePrompt: 'no text',
+    seed: 99,
+    steps: 12,
+    quality: 'low'
+  });
+
+  takeImage(result.imageUrl);
+  assert.strictEqual(result.prompt, 'custom prompt');
+  const { body } = requests[0];
+  assert.strictEqual(body.prompt, 'custom prompt');
+  assert.strictEqual(body.negative_prompt, 'no text');
+  assert.strictEqual(body.seed, 99);
+  assert.strictEqual(body.steps, 12);
+});
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+/**
+ * Signed callback URLs for providers that report results by calling us back (NanoBanana).
+ * Callbacks are used when PUBLIC_BASE_URL (where providers can reach this server) and
+ * CALLBACK_SECRET are both set; otherwise callers fall back to polling.
+ *
+ * Each URL carries a per-task reference and an HMAC of it, so a leaked URL can only ever complete
+ * the one task it was issued for.
+ */
+
+const getPublicBaseUrl = () => (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+const callbacksEnabled = () => !!(getPublicBaseUrl() && process.env.CALLBACK_SECRET);
+
+const signCallbackRef = (ref) => crypto
+  .createHmac('sha256', process.env.CALLBACK_SECRET || '')
+  .update(String(ref))
+  .digest('hex');
+
+/**
+ * @param {string} routePath - Path under /api/callbacks, e.g. 'nanobanana'
+ * @param {string} ref - Reference of the task the callback completes
+ * @returns {string|null} - Public URL, or null when callbacks aren't configured
+ */
+function buildCallbackUrl(routePath, ref) {
+  if (!callbacksEnabled()) return null;
+
+  const query = new URLSearchParams({ ref, signature: signCallbackRef(ref) });
+  return `${getPublicBaseUrl()}/api/callbacks/${routePath}?${query}`;
+}
+
+/**
+ * Constant-time check of a callback's signature
+ * @param {string} ref
+ * @param {string} signature - Hex HMAC from the callback URL
+ * @returns {boolean}
+ */
+function verifyCallbackSignature(ref, signature) {
+  if (!callbacksEnabled() || typeof ref !== 'string' || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signCallbackRef(ref), 'hex');
+  const received = Buffer.from(signature, 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = {
+  callbacksEnabled,
+  buildCallbackUrl,
+  verifyCallbackSignature
+};
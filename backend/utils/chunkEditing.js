@@ -0,0 +1,85 @@
+// Helpers for manual chunk edits. Untouched chunks keep their durations; the timeline is
+// laid out again from the first chunk's start time after every structural change.
+
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_PACING, normalizePacing, wordsPerSecond, countWords } = require('./pacing');
+
+// Shortest half a split leaves, in seconds, so neither chunk ends up with startTime === endTime
+const MIN_SPLIT_SECONDS = 0.5;
+
+function newChunkId() {
+  return `chunk_${Date.now()}_${uuidv4().substring(0, 8)}`;
+}
+
+function chunkDuration(chunk) {
+  return Math.max(0, chunk.endTime - chunk.startTime);
+}
+
+/**
+ * Spoken duration of a piece of text at the script's pacing, in whole seconds
+ */
+function durationForText(content, pacing = DEFAULT_PACING) {
+  const rate = wordsPerSecond(normalizePacing(pacing));
+  return Math.max(1, Math.round(countWords(content) / rate));
+}
+
+/**
+ * Place chunks back to back, keeping each chunk's duration
+ * @param {Array} chunks - Chunks (plain objects or subdocuments), modified in place
+ * @param {number} startTime - Start of the first chunk
+ */
+function relayout(chunks, startTime = 0) {
+  let cursor = startTime;
+
+  for (const chunk of chunks) {
+    const duration = chunkDuration(chunk);
+    chunk.startTime = cursor;
+    chunk.endTime = cursor + duration;
+    cursor = chunk.endTime;
+  }
+}
+
+/**
+ * Duration of the first half when a chunk is split after wordOffset words, shared by word count and
+ * rounded to milliseconds. Both halves get at least MIN_SPLIT_SECONDS, or half the chunk when it is
+ * shorter than two of those.
+ */
+function splitDuration(duration, wordOffset, totalWords) {
+  const minimum = Math.min(MIN_SPLIT_SECONDS, duration / 2);
+  const byWords = duration * wordOffset / totalWords;
+  const firstDuration = Math.min(duration - minimum, Math.max(minimum, byWords));
+  return Math.round(firstDuration * 1000) / 1000;
+}
+
+/**
+ * Flag a chunk's images as out of date after its text changed
+ */
+function markImagesStale(chunk) {
+  if (chunk.imageUrl || chunk.secondaryImageUrl) {
+    chunk.imageStale = true;
+  }
+}
+
+/**
+ * Split text after the given number of words, preserving the original spacing of each half
+ * @returns {Array} - [before, after] or null when the offset is out of range
+ */
+function splitTextAtWord(content, wordOffset) {
+  const words = [...content.matchAll(/\S+/g)];
+  if (!Number.isInteger(wordOffset) || wordOffset < 1 || wordOffset >= words.length) {
+    return null;
+  }
+
+  const splitAt = words[wordOffset].index;
+  return [content.slice(0, splitAt).trim(), content.slice(splitAt).trim()];
+}
+
+module.exports = {
+  newChunkId,
+  chunkDuration,
+  durationForText,
+  relayout,
+  markImagesStale,
+  splitDuration,
+  splitTextAtWord
+};
@@ -0,0 +1,331 @@
+/**
+ * How generated images land on a chunk, shared by the single chunk route and batch jobs.
+ *
+ * Dual image styles (a provider's capabilities.dualImageStyles) produce up to two variants: 'scene',
+ * the chunk's main image (imageUrl, sceneDescription), and 'symbol', its secondary image
+ * (secondaryImageUrl, symbolDescription). Other styles produce a single main image.
+ *
+ * A generation can ask for several candidates. All of them are kept in chunk.imageCandidates and the
+ * selected one is copied into the fields above, which is all that exports read.
+ *
+ * Every generated image is also added to chunk.imageHistory with the settings and prompt that made it,
+ * so earlier versions can be restored. Only the newest IMAGE_HISTORY_LIMIT versions are kept; the files
+ * of removed versions are deleted from uploads once nothing refers to them.
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+const { localImagePath } = require('./timelineExport');
+
+const IMAGE_VARIANTS = ['scene', 'symbol'];
+const MAX_IMAGE_CANDIDATES = 4;
+const MAX_PROMPT_LENGTH = 4000;
+// Never below the candidate limit, so a single generation can't push out its own candidates
+const IMAGE_HISTORY_LIMIT = Math.max(MAX_IMAGE_CANDIDATES, parseInt(process.env.IMAGE_HISTORY_LIMIT, 10) || 20);
+
+/**
+ * @param {*} variants - Requested variants, e.g. ['scene']; undefined for all of them
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateImageVariants(variants) {
+  if (variants === undefined || variants === null) return null;
+
+  if (!Array.isArray(variants) || variants.length === 0 || variants.some(variant => !IMAGE_VARIANTS.includes(variant))) {
+    return `imageVariants must be a non-empty array of: ${IMAGE_VARIANTS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * @param {*} candidates - Requested number of candidates; undefined for one
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateCandidateCount(candidates) {
+  if (candidates === undefined || candidates === null) return null;
+
+  if (!Number.isInteger(candidates) || candidates < 1 || candidates > MAX_IMAGE_CANDIDATES) {
+    return `candidates must be an integer from 1 to ${MAX_IMAGE_CANDIDATES}`;
+  }
+  return null;
+}
+
+/**
+ * @param {Object} prompts - { prompt, secondaryPrompt } to send instead of the provider's own prompts
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validatePrompts(prompts) {
+  for (const [name, value] of Object.entries(prompts)) {
+    if (value === undefined || value === null) continue;
+
+    if (typeof value !== 'string' || !value.trim()) {
+      return `${name} must be a non-empty string`;
+    }
+    if (value.length > MAX_PROMPT_LENGTH) {
+      return `${name} must be at most ${MAX_PROMPT_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a chunk is missing one of the images a generation would produce, or has outdated ones
+ * @param {Object} chunk - Script chunk
+ * @param {Array|null} variants - Variants of a dual image style, null for single image styles
+ * @returns {boolean}
+ */
+function chunkNeedsImages(chunk, variants = null) {
+  if (chunk.imageStale) return true;
+  if (!variants) return !chunk.imageUrl;
+
+  return (variants.includes('scene') && !chunk.imageUrl) ||
+    (variants.includes('symbol') && !chunk.secondaryImageUrl);
+}
+
+/**
+ * Chunk fields to set for a generation result. A single image replaces both images of an earlier dual
+ * image; a dual image result only replaces the variants it produced.
+ * @param {Object} result - ImageService.generate() result
+ * @returns {Object} - Chunk fields, e.g. { imageUrl, imageProvider, ... }
+ */
+function imageResultFields(result) {
+  const fields = {
+    imageProvider: result.provider,
+    imageAttempts: result.attempts,
+    imageStale: false,
+    imageGeneratedAt: new Date()
+  };
+
+  if (!result.variants) {
+    return {
+      ...fields,
+      imageUrl: result.imageUrl,
+      secondaryImageUrl: null,
+      sceneDescription: null,
+      symbolDescription: null
+    };
+  }
+
+  // A result generated from a recorded prompt has no descriptions; the stored ones stay
+  if (result.variants.includes('scene')) {
+    fields.imageUrl = result.imageUrl;
+    if (result.sceneDescription) fields.sceneDescription = result.sceneDescription;
+  }
+  if (result.variants.includes('symbol')) {
+    fields.secondaryImageUrl = result.secondaryImageUrl;
+    if (result.symbolDescription) fields.symbolDescription = result.symbolDescription;
+  }
+  return fields;
+}
+
+/**
+ * Chunk fields to set for the candidates of one generation. They replace the earlier candidates and
+ * the first one is selected.
+ * @param {Array} results - ImageService.generateCandidates() results
+ * @returns {Object} - imageResultFields() of the first result plus imageCandidates and selectedImageCandidate
+ */
+function candidateResultFields(results) {
+  const generatedAt = new Date();
+
+  return {
+    ...imageResultFields(results[0]),
+    imageGeneratedAt: generatedAt,
+    imageCandidates: results.map(result => ({
+      imageUrl: result.imageUrl || null,
+      secondaryImageUrl: result.secondaryImageUrl || null,
+      sceneDescription: result.sceneDescription || null,
+      symbolDescription: result.symbolDescription || null,
+      variants: result.variants,
+      provider: result.provider,
+      attempts: result.attempts,
+      generatedAt
+    })),
+    selectedImageCandidate: 0
+  };
+}
+
+/**
+ * Chunk fields to set when a stored candidate is selected. imageStale is left alone, the candidate is
+ * exactly as old as the rest of its generation.
+ * @param {Object} candidate - Entry of chunk.imageCandidates
+ * @param {number} index - Its position in chunk.imageCandidates
+ * @returns {Object}
+ */
+function selectedCandidateFields(candidate, index) {
+  const fields = imageResultFields({
+    imageUrl: candidate.imageUrl,
+    secondaryImageUrl: candidate.secondaryImageUrl,
+    sceneDescription: candidate.sceneDescription,
+    symbolDescription: candidate.symbolDescription,
+    variants: candidate.variants?.length ? candidate.variants : undefined,
+    provider: candidate.provider,
+    attempts: candidate.attempts
+  });
+  delete fields.imageStale;
+
+  return { ...fields, imageGeneratedAt: candidate.generatedAt, selectedImageCandidate: index };
+}
+
+const plain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// URLs of the images a chunk shows or offers as candidates
+function imageUrlsInUse(chunk) {
+  const urls = [chunk.imageUrl, chunk.secondaryImageUrl];
+  for (const candidate of chunk.imageCandidates || []) {
+    urls.push(candidate.imageUrl, candidate.secondaryImageUrl);
+  }
+  return new Set(urls.filter(Boolean));
+}
+
+/**
+ * Chunk fields to set for a new generation: candidateResultFields() plus the chunk's image history with
+ * a version for every candidate, trimmed to IMAGE_HISTORY_LIMIT. Versions still in use are kept.
+ * @param {Object} chunk - The chunk as it was before the generation
+ * @param {Array} results - ImageService.generateCandidates() results
+ * @param {Object} settings - Request settings { color, quality, style, size, steps, negativePrompt }
+ * @returns {Object} - { fields, prunedVersions } where prunedVersions are the versions left out
+ */
+function generationFields(chunk, results, settings = {}) {
+  // Images regenerated from a recorded prompt skip analysis; keep the descriptions that prompt came from
+  results = results.map(result => (result.variants ? {
+    ...result,
+    sceneDescription: result.sceneDescription || (result.variants.includes('scene') ? chunk.sceneDescription : null),
+    symbolDescription: result.symbolDescription || (result.variants.includes('symbol') ? chunk.symbolDescription : null)
+  } : result));
+
+  const fields = candidateResultFields(results);
+  const versions = results.map(result => ({
+    imageUrl: result.imageUrl || null,
+    secondaryImageUrl: result.secondaryImageUrl || null,
+    sceneDescription: result.sceneDescription || null,
+    symbolDescription: result.symbolDescription || null,
+    variants: result.variants,
+    prompt: result.prompt || null,
+    secondaryPrompt: result.secondaryPrompt || null,
+    content: chunk.content,
+    provider: result.provider,
+    attempts: result.attempts,
+    model: result.model,
+    taskId: result.taskId,
+    secondaryTaskId: result.secondaryTaskId,
+    providerMetadata: result.providerMetadata,
+    style: settings.style,
+    quality: settings.quality,
+    color: settings.color,
+    size: settings.size || result.size,
+    seed: Number.isInteger(parseInt(result.seed, 10)) ? parseInt(result.seed, 10) : undefined,
+    steps: settings.steps,
+    negativePrompt: settings.negativePrompt,
+    generatedAt: fields.imageGeneratedAt
+  }));
+
+  // A dual image result for one variant leaves the chunk's other image in place
+  const inUse = imageUrlsInUse({
+    imageUrl: 'imageUrl' in fields ? fields.imageUrl : chunk.imageUrl,
+    secondaryImageUrl: 'secondaryImageUrl' in fields ? fields.secondaryImageUrl : chunk.secondaryImageUrl,
+    imageCandidates: fields.imageCandidates
+  });
+
+  const history = [...(chunk.imageHistory || []).map(plain), ...versions];
+  const prunedVersions = [];
+  let excess = history.length - IMAGE_HISTORY_LIMIT;
+
+  const imageHistory = history.filter(version => {
+    if (excess > 0 && !inUse.has(version.imageUrl) && !inUse.has(version.secondaryImageUrl)) {
+      excess--;
+      prunedVersions.push(version);
+      return false;
+    }
+    return true;
+  });
+
+  return { fields: { ...fields, imageHistory }, prunedVersions };
+}
+
+/**
+ * Chunk fields to set when an earlier version from chunk.imageHistory is restored. The images are
+ * outdated when the chunk text changed since that version was generated.
+ * @param {Object} chunk
+ * @param {Object} version - Entry of chunk.imageHistory
+ * @returns {Object}
+ */
+function restoredVersionFields(chunk, version) {
+  const fields = imageResultFields({
+    imageUrl: version.imageUrl,
+    secondaryImageUrl: version.secondaryImageUrl,
+    sceneDescription: version.sceneDescription,
+    symbolDescription: version.symbolDescription,
+    variants: version.variants?.length ? version.variants : undefined,
+    provider: version.provider,
+    attempts: version.attempts
+  });
+
+  const imageUrl = 'imageUrl' in fields ? fields.imageUrl : chunk.imageUrl;
+  const secondaryImageUrl = 'secondaryImageUrl' in fields ? fields.secondaryImageUrl : chunk.secondaryImageUrl;
+  const candidateIndex = (chunk.imageCandidates || []).findIndex(candidate => (
+    candidate.imageUrl === imageUrl && candidate.secondaryImageUrl === secondaryImageUrl
+  ));
+
+  return {
+    ...fields,
+    imageStale: version.content !== chunk.content,
+    imageGeneratedAt: version.generatedAt,
+    selectedImageCandidate: candidateIndex === -1 ? null : candidateIndex
+  };
+}
+
+/**
+ * Delete the files of versions removed from a chunk's history, unless the chunk still refers to them
+ * @param {Array} versions - prunedVersions from generationFields()
+ * @param {Object} chunk - The chunk after the update
+ * @returns {Promise<number>} - Number of files deleted
+ */
+async function deleteUnusedImageFiles(versions, chunk) {
+  if (versions.length === 0) return 0;
+
+  const referenced = imageUrlsInUse(chunk);
+  for (const version of chunk.imageHistory || []) {
+    referenced.add(version.imageUrl);
+    referenced.add(version.secondaryImageUrl);
+  }
+
+  const paths = new Set();
+  for (const version of versions) {
+    [version.imageUrl, version.secondaryImageUrl]
+      .filter(url => url && !referenced.has(url))
+      .forEach(url => paths.add(localImagePath(url)));
+  }
+  paths.delete(null);
+
+  let deleted = 0;
+  for (const filePath of paths) {
+    try {
+      await fs.promises.unlink(filePath);
+      deleted++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('IMAGES', `Could not delete old image version ${filePath}`, { error: error.message });
+      }
+    }
+  }
+
+  if (deleted > 0) {
+    logger.info('IMAGES', `Deleted ${deleted} image file(s) past the history limit of ${IMAGE_HISTORY_LIMIT}`, { chunkId: chunk.id });
+  }
+  return deleted;
+}
+
+module.exports = {
+  IMAGE_VARIANTS,
+  MAX_IMAGE_CANDIDATES,
+  IMAGE_HISTORY_LIMIT,
+  validateImageVariants,
+  validateCandidateCount,
+  validatePrompts,
+  chunkNeedsImages,
+  imageResultFields,
+  candidateResultFields,
+  selectedCandidateFields,
+  generationFields,
+  restoredVersionFields,
+  deleteUnusedImageFiles
+};
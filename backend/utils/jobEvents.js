@@ -0,0 +1,42 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process bus for job progress, streamed to browsers by GET /api/jobs/events.
+ *
+ * Every event is a plain object { type, jobId, scriptId, jobType, status, progress, timestamp, ... }
+ * where type is one of:
+ * - job:started, job:completed, job:failed, job:paused, job:resumed, job:retrying, job:cancelled
+ * - chunk:started, chunk:completed (with the chunk's new image fields), chunk:failed (with error
+ *   and errorType)
+ */
+const jobEvents = new EventEmitter();
+
+// One listener per open event stream
+jobEvents.setMaxListeners(0);
+
+/**
+ * @param {string} type - Event type, e.g. 'chunk:completed'
+ * @param {Object} job - Job the event belongs to
+ * @param {Object} data - Extra fields for the event
+ */
+function emitJobEvent(type, job, data = {}) {
+  jobEvents.emit('event', {
+    type,
+    jobId: String(job._id),
+    scriptId: String(job.scriptId),
+    jobType: job.type,
+    status: job.status,
+    progress: job.progress && {
+      totalChunks: job.progress.totalChunks,
+      processedChunks: job.progress.processedChunks,
+      failedChunks: job.progress.failedChunks
+    },
+    timestamp: new Date().toISOString(),
+    ...data
+  });
+}
+
+module.exports = {
+  jobEvents,
+  emitJobEvent
+};
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { classifyProviderError } = require('./providerErrors');
 
 class Logger {
   constructor() {
@@ -118,7 +119,7 @@ class Logger {
       imageUrl,
       duration: `${duration}ms`,
       success: !error,
-      ...(error && { error: error.message })
+      ...(error && { error: error.message, errorType: classifyProviderError(error) })
     };
 
     const message = error 
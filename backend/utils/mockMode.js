@@ -0,0 +1,18 @@
+/**
+ * MOCK_PROVIDERS=true swaps every external API (OpenAI, Anthropic, NanoBanana, Stable Diffusion)
+ * for deterministic offline fakes, so the app and the job processor run without keys or network.
+ */
+function isMockMode() {
+  return ['1', 'true', 'yes', 'on'].includes(String(process.env.MOCK_PROVIDERS || '').toLowerCase());
+}
+
+// Optional artificial latency (MOCK_DELAY_MS) so progress UIs have something to show
+function mockDelay() {
+  const ms = parseInt(process.env.MOCK_DELAY_MS, 10) || 0;
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+module.exports = {
+  isMockMode,
+  mockDelay
+};
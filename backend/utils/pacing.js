@@ -0,0 +1,119 @@
+// Speaking rate and chunk length settings shared by every chunker and by re-timing
+
+const DEFAULT_PACING = {
+  wordsPerMinute: 180,
+  minChunkSeconds: 5,
+  maxChunkSeconds: 8,
+  imagesPerMinute: null
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Merge user supplied pacing over the defaults and validate it
+ * @param {Object} input - Partial pacing settings
+ * @param {Object} base - Settings to fill missing values from
+ * @returns {Object} - Complete pacing settings
+ */
+function normalizePacing(input = {}, base = DEFAULT_PACING) {
+  const pacing = { ...DEFAULT_PACING, ...base };
+
+  for (const key of Object.keys(DEFAULT_PACING)) {
+    if (input && input[key] !== undefined) {
+      pacing[key] = toNumber(input[key]);
+    }
+  }
+
+  if (!(pacing.wordsPerMinute > 0)) {
+    throw new Error('wordsPerMinute must be a positive number');
+  }
+  if (!(pacing.minChunkSeconds > 0) || !(pacing.maxChunkSeconds > 0)) {
+    throw new Error('minChunkSeconds and maxChunkSeconds must be positive numbers');
+  }
+  if (pacing.minChunkSeconds > pacing.maxChunkSeconds) {
+    throw new Error('minChunkSeconds cannot be greater than maxChunkSeconds');
+  }
+  if (pacing.imagesPerMinute !== null && !(pacing.imagesPerMinute > 0)) {
+    throw new Error('imagesPerMinute must be a positive number or empty');
+  }
+
+  return pacing;
+}
+
+function wordsPerSecond(pacing) {
+  return pacing.wordsPerMinute / 60;
+}
+
+/**
+ * Chunk length range to aim for. A target images-per-minute narrows the range around its
+ * implied chunk length, clamped to the min/max seconds.
+ * @param {Object} pacing - Normalized pacing
+ * @returns {Object} - { minSeconds, maxSeconds, targetSeconds }
+ */
+function chunkRange(pacing) {
+  const { minChunkSeconds, maxChunkSeconds, imagesPerMinute } = pacing;
+
+  if (!imagesPerMinute) {
+    return {
+      minSeconds: minChunkSeconds,
+      maxSeconds: maxChunkSeconds,
+      targetSeconds: (minChunkSeconds + maxChunkSeconds) / 2
+    };
+  }
+
+  const targetSeconds = Math.min(maxChunkSeconds, Math.max(minChunkSeconds, 60 / imagesPerMinute));
+  return {
+    minSeconds: Math.max(minChunkSeconds, Math.round(targetSeconds * 0.8 * 10) / 10),
+    maxSeconds: Math.min(maxChunkSeconds, Math.round(targetSeconds * 1.2 * 10) / 10),
+    targetSeconds
+  };
+}
+
+/**
+ * Options for LocalChunker derived from pacing
+ */
+function toLocalChunkerOptions(pacing) {
+  const { minSeconds, maxSeconds } = chunkRange(pacing);
+  return {
+    wordsPerSecond: wordsPerSecond(pacing),
+    minSeconds,
+    maxSeconds
+  };
+}
+
+function countWords(text) {
+  return ((text || '').match(/\S+/g) || []).length;
+}
+
+/**
+ * Recompute startTime/endTime from each chunk's word count, keeping chunk order and text
+ * @param {Array} chunks - Chunks with content
+ * @param {Object} pacing - Normalized pacing
+ * @param {number} startTime - Time of the first chunk
+ * @returns {Array} - Array of { id, startTime, endTime }
+ */
+function retimeChunks(chunks, pacing, startTime = 0) {
+  const rate = wordsPerSecond(pacing);
+  let wordsBefore = 0;
+  let previousEnd = startTime;
+
+  return chunks.map(chunk => {
+    const chunkStart = previousEnd;
+    wordsBefore += countWords(chunk.content);
+    // Round the running total rather than each chunk so rounding error never accumulates
+    const chunkEnd = Math.max(chunkStart + 1, startTime + Math.round(wordsBefore / rate));
+    previousEnd = chunkEnd;
+
+    return { id: chunk.id, startTime: chunkStart, endTime: chunkEnd };
+  });
+}
+
+module.exports = {
+  DEFAULT_PACING,
+  normalizePacing,
+  wordsPerSecond,
+  chunkRange,
+  toLocalChunkerOptions,
+  countWords,
+  retimeChunks
+};
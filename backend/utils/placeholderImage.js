@@ -0,0 +1,293 @@
+const zlib = require('zlib');
+
+/**
+ * Deterministic placeholder PNGs with text drawn on them, used by the mock image provider.
+ * Pure JS (zlib only) so it works without any image library.
+ */
+
+// 5x7 bitmap font, one string of five pixels per row
+const GLYPHS = {
+  A: '01110 10001 10001 11111 10001 10001 10001',
+  B: '11110 10001 10001 11110 10001 10001 11110',
+  C: '01110 10001 10000 10000 10000 10001 01110',
+  D: '11110 10001 10001 10001 10001 10001 11110',
+  E: '11111 10000 10000 11110 10000 10000 11111',
+  F: '11111 10000 10000 11110 10000 10000 10000',
+  G: '01110 10001 10000 10111 10001 10001 01111',
+  H: '10001 10001 10001 11111 10001 10001 10001',
+  I: '01110 00100 00100 00100 00100 00100 01110',
+  J: '00111 00010 00010 00010 00010 10010 01100',
+  K: '10001 10010 10100 11000 10100 10010 10001',
+  L: '10000 10000 10000 10000 10000 10000 11111',
+  M: '10001 11011 10101 10101 10001 10001 10001',
+  N: '10001 10001 11001 10101 10011 10001 10001',
+  O: '01110 10001 10001 10001 10001 10001 01110',
+  P: '11110 10001 10001 11110 10000 10000 10000',
+  Q: '01110 10001 10001 10001 10101 10010 01101',
+  R: '11110 10001 10001 11110 10100 10010 10001',
+  S: '01111 10000 10000 01110 00001 00001 11110',
+  T: '11111 00100 00100 00100 00100 00100 00100',
+  U: '10001 10001 10001 10001 10001 10001 01110',
+  V: '10001 10001 10001 10001 10001 01010 00100',
+  W: '10001 10001 10001 10101 10101 10101 01010',
+  X: '10001 10001 01010 00100 01010 10001 10001',
+  Y: '10001 10001 01010 00100 00100 00100 00100',
+  Z: '11111 00001 00010 00100 01000 10000 11111',
+  0: '01110 10001 10011 10101 11001 10001 01110',
+  1: '00100 01100 00100 00100 00100 00100 01110',
+  2: '01110 10001 00001 00010 00100 01000 11111',
+  3: '11111 00010 00100 00010 00001 10001 01110',
+  4: '00010 00110 01010 10010 11111 00010 00010',
+  5: '11111 10000 11110 00001 00001 10001 01110',
+  6: '00110 01000 10000 11110 10001 10001 01110',
+  7: '11111 00001 00010 00100 01000 01000 01000',
+  8: '01110 10001 10001 01110 10001 10001 01110',
+  9: '01110 10001 10001 01111 00001 00010 01100',
+  ' ': '00000 00000 00000 00000 00000 00000 00000',
+  '.': '00000 00000 00000 00000 00000 01100 01100',
+  ',': '00000 00000 00000 00000 01100 00100 01000',
+  '!': '00100 00100 00100 00100 00100 00000 00100',
+  '?': '01110 10001 00001 00010 00100 00000 00100',
+  '\'': '00100 00100 01000 00000 00000 00000 00000',
+  '"': '01010 01010 01010 00000 00000 00000 00000',
+  '-': '00000 00000 00000 11111 00000 00000 00000',
+  ':': '00000 01100 01100 00000 01100 01100 00000',
+  ';': '00000 01100 01100 00000 01100 00100 01000',
+  '(': '00010 00100 01000 01000 01000 00100 00010',
+  ')': '01000 00100 00010 00010 00010 00100 01000',
+  '/': '00000 00001 00010 00100 01000 10000 00000',
+  '&': '01100 10010 10100 01000 10101 10010 01101',
+  '%': '11000 11001 00010 00100 01000 10011 00011',
+  '$': '00100 01111 10100 01110 00101 11110 00100',
+  '#': '01010 01010 11111 01010 11111 01010 01010',
+  '+': '00000 00100 00100 11111 00100 00100 00000',
+  '=': '00000 00000 11111 00000 11111 00000 00000'
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+// Cell size including one column / two rows of spacing
+const CELL_WIDTH = GLYPH_WIDTH + 1;
+const CELL_HEIGHT = GLYPH_HEIGHT + 2;
+const MAX_SCALE = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+};
+
+// FNV-1a, so the same text always gets the same colors
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+const hslToRgb = (h, s, l) => {
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+  };
+  return [channel(0), channel(8), channel(4)];
+};
+
+// Uppercase, strip accents and replace characters the font doesn't have
+const normalizeText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\u2018\u2019]/g, '\'')
+  .replace(/[\u201c\u201d]/g, '"')
+  .replace(/[\u2013\u2014]/g, '-')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toUpperCase()
+  .replace(/./g, (char) => (GLYPHS[char] ? char : '?'));
+
+const wrapText = (text, maxChars) => {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(' ').filter(Boolean)) {
+    // Hard-break words longer than a line
+    for (let start = 0; start < word.length; start += maxChars) {
+      const piece = word.slice(start, start + maxChars);
+      if (!line) {
+        line = piece;
+      } else if (line.length + 1 + piece.length <= maxChars) {
+        line += ` ${piece}`;
+      } else {
+        lines.push(line);
+        line = piece;
+      }
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+};
+
+/**
+ * Largest scale at which the text fits the box, with the wrapped lines. Falls back to scale 1 and
+ * truncates with "..." when even that overflows.
+ */
+const layoutText = (text, boxWidth, boxHeight) => {
+  for (let scale = MAX_SCALE; scale >= 1; scale--) {
+    const maxChars = Math.floor(boxWidth / (CELL_WIDTH * scale));
+    const maxLines = Math.floor(boxHeight / (CELL_HEIGHT * scale));
+    if (maxChars < 1 || maxLines < 1) continue;
+
+    const lines = wrapText(text, maxChars);
+    if (lines.length <= maxLines) {
+      return { scale, lines };
+    }
+    if (scale === 1) {
+      const kept = lines.slice(0, maxLines);
+      kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, Math.max(0, maxChars - 3))}...`;
+      return { scale, lines: kept };
+    }
+  }
+  return { scale: 1, lines: [] };
+};
+
+class Canvas {
+  constructor(width, height, color) {
+    this.width = width;
+    this.height = height;
+    // One filter byte (0 = none) at the start of every row, as PNG expects
+    this.stride = width * 3 + 1;
+    this.data = Buffer.alloc(this.stride * height);
+    this.fillRect(0, 0, width, height, color);
+  }
+
+  fillRect(x, y, width, height, [r, g, b]) {
+    const x0 = Math.max(0, x);
+    const y0 = Math.max(0, y);
+    const x1 = Math.min(this.width, x + width);
+    const y1 = Math.min(this.height, y + height);
+
+    for (let row = y0; row < y1; row++) {
+      let offset = row * this.stride + 1 + x0 * 3;
+      for (let col = x0; col < x1; col++) {
+        this.data[offset++] = r;
+        this.data[offset++] = g;
+        this.data[offset++] = b;
+      }
+    }
+  }
+
+  drawText(line, x, y, scale, color) {
+    [...line].forEach((char, index) => {
+      const rows = GLYPHS[char].split(' ');
+      rows.forEach((bits, row) => {
+        [...bits].forEach((bit, col) => {
+          if (bit === '1') {
+            this.fillRect(x + (index * CELL_WIDTH + col) * scale, y + row * scale, scale, scale, color);
+          }
+        });
+      });
+    });
+  }
+
+  // Lines centered horizontally, block centered vertically in the box
+  drawCenteredLines(lines, scale, box, color) {
+    const blockHeight = lines.length * CELL_HEIGHT * scale - 2 * scale;
+    let y = box.y + Math.floor((box.height - blockHeight) / 2);
+
+    for (const line of lines) {
+      const lineWidth = line.length * CELL_WIDTH * scale - scale;
+      this.drawText(line, box.x + Math.floor((box.width - lineWidth) / 2), y, scale, color);
+      y += CELL_HEIGHT * scale;
+    }
+  }
+
+  toPng() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // color type: RGB
+    header[10] = 0; // compression
+    header[11] = 0; // filter
+    header[12] = 0; // no interlace
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(this.data)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
+
+/**
+ * Render a placeholder PNG: the text centered on a background whose color is derived from the text,
+ * with an optional label (e.g. "SCENE") along the top edge.
+ * @param {Object} options
+ * @param {string} options.text - Text to draw
+ * @param {string} options.label - Small caption at the top
+ * @param {number} options.width - Image width in pixels (default 1024)
+ * @param {number} options.height - Image height in pixels (default 1024)
+ * @returns {Buffer} - PNG file contents
+ */
+const renderPlaceholderPng = ({ text, label = '', width = 1024, height = 1024 } = {}) => {
+  if (!(width > 0 && height > 0 && width <= 4096 && height <= 4096)) {
+    throw new Error(`Invalid placeholder size: ${width}x${height}`);
+  }
+
+  const normalized = normalizeText(text);
+  const hash = hashText(`${label}|${normalized}`);
+  const background = hslToRgb(hash % 360, 0.45, 0.28);
+  const accent = hslToRgb(hash % 360, 0.55, 0.55);
+  const foreground = [255, 255, 255];
+
+  const canvas = new Canvas(width, height, background);
+  const margin = Math.max(4, Math.round(Math.min(width, height) * 0.05));
+  const border = Math.max(2, Math.round(margin / 6));
+
+  canvas.fillRect(0, 0, width, border, accent);
+  canvas.fillRect(0, height - border, width, border, accent);
+  canvas.fillRect(0, 0, border, height, accent);
+  canvas.fillRect(width - border, 0, border, height, accent);
+
+  let top = margin;
+  const labelText = normalizeText(label);
+  if (labelText) {
+    const labelScale = Math.max(1, Math.min(4, Math.floor(margin / CELL_HEIGHT)));
+    canvas.drawText(labelText.slice(0, Math.floor((width - 2 * margin) / (CELL_WIDTH * labelScale))),
+      margin, margin, labelScale, accent);
+    top += CELL_HEIGHT * labelScale + Math.round(margin / 2);
+  }
+
+  const box = { x: margin, y: top, width: width - 2 * margin, height: height - top - margin };
+  const { scale, lines } = layoutText(normalized, box.width, box.height);
+  canvas.drawCenteredLines(lines, scale, box, foreground);
+
+  return canvas.toPng();
+};
+
+module.exports = {
+  renderPlaceholderPng
+};
@@ -0,0 +1,118 @@
+/**
+ * Classify provider (OpenAI, Claude, NanoBanana, Stable Diffusion...) failures so callers can decide
+ * whether a retry or another provider is worth trying. Services rewrap errors with a prefix
+ * ("Failed to generate image: ..."); wrapProviderError keeps the classification on the new error, and
+ * for errors wrapped without it the original message is matched as text.
+ */
+
+const ERROR_TYPES = {
+  TIMEOUT: 'timeout',
+  CONTENT_POLICY: 'content_policy',
+  RATE_LIMIT: 'rate_limit',
+  AUTH: 'auth',
+  NETWORK: 'network',
+  SERVER: 'server',
+  INVALID_REQUEST: 'invalid_request',
+  // The provider isn't configured (missing key or endpoint)
+  UNAVAILABLE: 'unavailable',
+  UNKNOWN: 'unknown'
+};
+
+// Transient failures (timeout, network, server) and rate limits are worth retrying with backoff
+const RETRYABLE_ERRORS = [
+  ERROR_TYPES.RATE_LIMIT,
+  ERROR_TYPES.TIMEOUT,
+  ERROR_TYPES.NETWORK,
+  ERROR_TYPES.SERVER
+];
+
+// Error types that make the next provider in a fallback chain worth a try by default.
+// An invalid request would most likely be rejected by the next provider too.
+const DEFAULT_FALLBACK_ERRORS = [
+  ERROR_TYPES.TIMEOUT,
+  ERROR_TYPES.CONTENT_POLICY,
+  ERROR_TYPES.RATE_LIMIT,
+  ERROR_TYPES.AUTH,
+  ERROR_TYPES.NETWORK,
+  ERROR_TYPES.SERVER,
+  ERROR_TYPES.UNAVAILABLE,
+  ERROR_TYPES.UNKNOWN
+];
+
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH'];
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT'];
+
+// Checked in order; the first match wins
+const MESSAGE_PATTERNS = [
+  [ERROR_TYPES.CONTENT_POLICY, /content[_ ]policy|safety system|moderation|flagged|nsfw|prohibited content/i],
+  [ERROR_TYPES.TIMEOUT, /did not complete within|timed? ?out|ETIMEDOUT|ECONNABORTED/i],
+  [ERROR_TYPES.RATE_LIMIT, /status code 429|rate.?limit|too many requests|quota|insufficient (credits|balance)/i],
+  [ERROR_TYPES.AUTH, /status code 40[13]|api key|unauthori[sz]ed|forbidden|not configured/i],
+  [ERROR_TYPES.NETWORK, /ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|socket hang up|network error|connection error/i],
+  [ERROR_TYPES.SERVER, /status code 5\d\d|internal server error|bad gateway|service unavailable|task failed/i],
+  [ERROR_TYPES.INVALID_REQUEST, /status code 4\d\d|invalid|not supported/i]
+];
+
+const typeForStatus = (status) => {
+  if (status === 429) return ERROR_TYPES.RATE_LIMIT;
+  if (status === 401 || status === 403) return ERROR_TYPES.AUTH;
+  if (status === 408 || status === 504) return ERROR_TYPES.TIMEOUT;
+  if (status >= 500) return ERROR_TYPES.SERVER;
+  if (status >= 400) return ERROR_TYPES.INVALID_REQUEST;
+  return null;
+};
+
+/**
+ * @param {Error} error
+ * @returns {string} - One of ERROR_TYPES
+ */
+function classifyProviderError(error) {
+  if (!error) return ERROR_TYPES.UNKNOWN;
+  if (error.errorType) return error.errorType;
+
+  const message = error.message || String(error);
+  // Content policy rejections come back as 400s, so look at the message before the status
+  if (MESSAGE_PATTERNS[0][1].test(message) || error.code === 'content_policy_violation') {
+    return ERROR_TYPES.CONTENT_POLICY;
+  }
+
+  if (TIMEOUT_CODES.includes(error.code)) return ERROR_TYPES.TIMEOUT;
+  if (NETWORK_CODES.includes(error.code)) return ERROR_TYPES.NETWORK;
+
+  const statusType = typeForStatus(error.status || error.response?.status);
+  if (statusType) return statusType;
+
+  const match = MESSAGE_PATTERNS.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : ERROR_TYPES.UNKNOWN;
+}
+
+function isRetryable(error) {
+  return RETRYABLE_ERRORS.includes(classifyProviderError(error));
+}
+
+/**
+ * Rewrap a provider error with a friendlier message without losing what retry and fallback logic
+ * need: the classification, HTTP status, Retry-After delay and the original error as cause.
+ * @param {string} message - Prefix, e.g. 'Failed to generate image'
+ * @param {Error} cause
+ * @returns {Error}
+ */
+function wrapProviderError(message, cause) {
+  const error = new Error(`${message}: ${cause.message}`, { cause });
+  error.errorType = classifyProviderError(cause);
+  error.status = cause.status || cause.response?.status;
+  error.retryAfterMs = cause.retryAfterMs;
+  if (cause.retryAttempts) {
+    error.retryAttempts = cause.retryAttempts;
+  }
+  return error;
+}
+
+module.exports = {
+  ERROR_TYPES,
+  RETRYABLE_ERRORS,
+  DEFAULT_FALLBACK_ERRORS,
+  classifyProviderError,
+  isRetryable,
+  wrapProviderError
+};
@@ -0,0 +1,108 @@
+/**
+ * Concurrency and requests-per-minute limiter shared by every caller of one provider. Queued calls
+ * are started round-robin between owners (scripts), so a script with hundreds of queued chunks
+ * can't starve one with a handful.
+ */
+class FairRateLimiter {
+  /**
+   * @param {Object} limits
+   * @param {number} limits.maxConcurrent - Calls allowed in flight at once
+   * @param {number} limits.requestsPerMinute - Calls started per rolling minute, 0 for no limit
+   */
+  constructor({ maxConcurrent = 1, requestsPerMinute = 0 } = {}) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.requestsPerMinute = Math.max(0, requestsPerMinute);
+    this.inFlight = 0;
+    // owner -> queued calls; Map order is the round-robin order
+    this.queues = new Map();
+    this.startTimes = [];
+    this.timer = null;
+  }
+
+  /**
+   * Run an operation once a slot is free
+   * @param {string} owner - Fairness key, e.g. the script id
+   * @param {Function} operation - Async function to run
+   * @returns {Promise<*>} - The operation's result
+   */
+  run(owner, operation) {
+    return new Promise((resolve, reject) => {
+      const key = String(owner);
+      if (!this.queues.has(key)) {
+        this.queues.set(key, []);
+      }
+      this.queues.get(key).push({ operation, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.inFlight < this.maxConcurrent && this.queues.size > 0) {
+      const delay = this.rateLimitDelay();
+      if (delay > 0) {
+        this.scheduleDispatch(delay);
+        return;
+      }
+
+      // Take one call from the owner at the front, then move that owner to the back
+      const [owner, queue] = this.queues.entries().next().value;
+      const call = queue.shift();
+      this.queues.delete(owner);
+      if (queue.length > 0) {
+        this.queues.set(owner, queue);
+      }
+
+      this.start(call);
+    }
+  }
+
+  start({ operation, resolve, reject }) {
+    this.inFlight++;
+    if (this.requestsPerMinute > 0) {
+      this.startTimes.push(Date.now());
+    }
+
+    Promise.resolve()
+      .then(operation)
+      .then(resolve, reject)
+      .finally(() => {
+        this.inFlight--;
+        this.dispatch();
+      });
+  }
+
+  // Milliseconds until the rolling minute has room for another call
+  rateLimitDelay() {
+    if (!this.requestsPerMinute) return 0;
+
+    const windowStart = Date.now() - 60000;
+    while (this.startTimes.length > 0 && this.startTimes[0] <= windowStart) {
+      this.startTimes.shift();
+    }
+    return this.startTimes.length < this.requestsPerMinute ? 0 : this.startTimes[0] - windowStart;
+  }
+
+  scheduleDispatch(delay) {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.dispatch();
+    }, delay);
+  }
+
+  stats() {
+    let queued = 0;
+    for (const queue of this.queues.values()) {
+      queued += queue.length;
+    }
+    return {
+      maxConcurrent: this.maxConcurrent,
+      requestsPerMinute: this.requestsPerMinute,
+      inFlight: this.inFlight,
+      queued,
+      waitingOwners: this.queues.size
+    };
+  }
+}
+
+module.exports = FairRateLimiter;
@@ -0,0 +1,128 @@
+const logger = require('./logger');
+const { classifyProviderError, RETRYABLE_ERRORS } = require('./providerErrors');
+
+/**
+ * Shared retry layer for provider API calls. Retries rate limits and transient failures (timeouts,
+ * network errors, 5xx) with exponential backoff and jitter, waits as long as a Retry-After header
+ * asks, and gives up straight away on content policy, auth and invalid request errors.
+ *
+ * Defaults come from PROVIDER_MAX_RETRIES (3), PROVIDER_RETRY_BASE_MS (1000) and
+ * PROVIDER_RETRY_MAX_MS (30000).
+ */
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const defaultOptions = () => ({
+  retries: envNumber('PROVIDER_MAX_RETRIES', 3),
+  baseDelayMs: envNumber('PROVIDER_RETRY_BASE_MS', 1000),
+  maxDelayMs: envNumber('PROVIDER_RETRY_MAX_MS', 30000)
+});
+
+// Header lookup for axios (plain object or AxiosHeaders) and the OpenAI/Anthropic SDKs (Headers or object)
+const readHeader = (headers, name) => {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+  return headers[name] ?? headers[name.toLowerCase()];
+};
+
+/**
+ * Delay requested by the server through Retry-After (seconds or HTTP date) or retry-after-ms
+ * @param {Error} error
+ * @returns {number|null} - Milliseconds, or null when the server didn't say
+ */
+function getRetryAfterMs(error) {
+  if (!error) return null;
+  if (Number.isFinite(error.retryAfterMs)) return error.retryAfterMs;
+
+  const headers = error.headers || error.response?.headers;
+
+  const retryAfterMs = parseFloat(readHeader(headers, 'retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = readHeader(headers, 'retry-after');
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') return null;
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all of base * 2^attempt, capped
+ * @param {number} attempt - 0 for the first retry
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run an async provider call, retrying it when the failure is worth retrying
+ * @param {Function} operation - Async function receiving the attempt number (0-based)
+ * @param {Object} options
+ * @param {string} options.label - Name used in logs, e.g. 'openai.images.generate'
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - First backoff delay
+ * @param {number} options.maxDelayMs - Longest delay between attempts, also caps Retry-After
+ * @param {Function} options.shouldRetry - Optional (error, errorType) => boolean override
+ * @returns {Promise<*>} - The operation's result. The final error carries errorType, retryable and
+ *   retryAttempts (number of calls made).
+ */
+async function withRetry(operation, options = {}) {
+  const { label = 'provider call', retries, baseDelayMs, maxDelayMs, shouldRetry } = { ...defaultOptions(), ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const errorType = classifyProviderError(error);
+      const retryable = shouldRetry ? shouldRetry(error, errorType) : RETRYABLE_ERRORS.includes(errorType);
+
+      error.errorType = errorType;
+      error.retryable = retryable;
+      error.retryAttempts = attempt + 1;
+
+      if (!retryable || attempt >= retries) {
+        if (attempt > 0 || retryable) {
+          logger.error('RETRY', `${label} failed after ${attempt + 1} attempt(s) (${errorType})`, {
+            errorType,
+            retryable,
+            error: error.message
+          });
+        }
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const delay = retryAfterMs !== null
+        ? Math.min(retryAfterMs, maxDelayMs)
+        : backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+
+      logger.warn('RETRY', `${label} failed (${errorType}), retrying in ${delay}ms (${attempt + 1}/${retries})`, {
+        errorType,
+        status: error.status || error.response?.status,
+        retryAfterMs,
+        error: error.message
+      });
+
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  getRetryAfterMs,
+  backoffDelay
+};
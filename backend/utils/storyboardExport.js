@@ -0,0 +1,270 @@
+// Storyboard timelines for video editors: Final Cut Pro XML, Premiere (XMEML) and CMX3600 EDL.
+// Each chunk's primary image sits on video track 1 from startTime for its duration, the secondary
+// symbol image on track 2. Times are snapped to whole frames.
+
+const path = require('path');
+const { exportImageName } = require('./timelineExport');
+
+const SUPPORTED_FPS = [24, 25, 30, 50, 60];
+const DEFAULT_OPTIONS = {
+  fps: 30,
+  width: 1920,
+  height: 1080,
+  mediaRoot: null
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Validate storyboard options from a query string
+ */
+function normalizeStoryboardOptions(input = {}) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  if (input.fps !== undefined) options.fps = Number(input.fps);
+  if (input.width !== undefined) options.width = Number(input.width);
+  if (input.height !== undefined) options.height = Number(input.height);
+  if (input.mediaRoot) options.mediaRoot = String(input.mediaRoot);
+
+  if (!SUPPORTED_FPS.includes(options.fps)) {
+    throw new Error(`fps must be one of ${SUPPORTED_FPS.join(', ')}`);
+  }
+  if (!Number.isInteger(options.width) || !Number.isInteger(options.height) || options.width <= 0 || options.height <= 0) {
+    throw new Error('width and height must be positive integers');
+  }
+
+  return options;
+}
+
+/**
+ * Where editors will find an image: relative to the unzipped folder, or an absolute file URL under mediaRoot
+ */
+function mediaUrl(filename, mediaRoot) {
+  const relative = `images/${filename}`;
+  if (!mediaRoot) return relative;
+
+  let root = mediaRoot.replace(/\\/g, '/').replace(/\/+$/, '');
+  if (!root.startsWith('/')) root = `/${root}`; // Windows drive letters: file:///C:/...
+  return `file://${encodeURI(`${root}/${relative}`)}`;
+}
+
+/**
+ * Lay chunks out on frame-accurate tracks
+ * @returns {Object} - { fps, durationFrames, tracks: { primary, secondary } } with clips as
+ *   { chunkIndex, name, filename, startFrame, endFrame }
+ */
+function buildTimeline(script, options) {
+  const { fps } = options;
+  const total = script.chunks.length;
+  const tracks = { primary: [], secondary: [] };
+  let cursor = 0;
+
+  script.chunks.forEach((chunk, index) => {
+    // Round the boundaries, not the durations, so rounding never drifts along the timeline
+    const startFrame = Math.max(cursor, Math.round(chunk.startTime * fps));
+    const endFrame = Math.max(startFrame + 1, Math.round(chunk.endTime * fps));
+    cursor = endFrame;
+
+    const place = (kind, url, track) => {
+      if (!url) return;
+      const filename = exportImageName(chunk, index, kind, total);
+      track.push({
+        chunkIndex: index,
+        name: path.parse(filename).name,
+        filename,
+        startFrame,
+        endFrame
+      });
+    };
+
+    place('scene', chunk.imageUrl, tracks.primary);
+    place('symbols', chunk.secondaryImageUrl, tracks.secondary);
+  });
+
+  return { fps, durationFrames: cursor, tracks };
+}
+
+function toFcpxml(script, options) {
+  const timeline = buildTimeline(script, options);
+  const { fps, width, height, mediaRoot } = options;
+  const time = (frames) => (frames === 0 ? '0s' : `${frames}/${fps}s`);
+  const assetIds = new Map();
+  const assets = [];
+
+  [...timeline.tracks.primary, ...timeline.tracks.secondary].forEach(clip => {
+    if (assetIds.has(clip.filename)) return;
+    const id = `r${assetIds.size + 2}`;
+    assetIds.set(clip.filename, id);
+    assets.push(
+      `    <asset id="${id}" name="${escapeXml(clip.name)}" start="0s" duration="0s" hasVideo="1" format="r1">\n` +
+      `      <media-rep kind="original-media" src="${escapeXml(mediaUrl(clip.filename, mediaRoot))}"/>\n` +
+      '    </asset>'
+    );
+  });
+
+  const secondaryByChunk = new Map(timeline.tracks.secondary.map(clip => [clip.chunkIndex, clip]));
+  const connected = (clip) => {
+    const secondary = secondaryByChunk.get(clip.chunkIndex);
+    if (!secondary) return '';
+    return `\n              <video ref="${assetIds.get(secondary.filename)}" lane="1" offset="0s" start="0s" ` +
+      `duration="${time(secondary.endFrame - secondary.startFrame)}" name="${escapeXml(secondary.name)}"/>\n            `;
+  };
+  const element = (tag, attributes, clip) => {
+    const children = connected(clip);
+    return children ? `<${tag} ${attributes}>${children}</${tag}>` : `<${tag} ${attributes}/>`;
+  };
+
+  // The primary storyline needs something at every frame, so chunks without a scene image become gaps
+  const spine = [];
+  let cursor = 0;
+  const primaryByChunk = new Map(timeline.tracks.primary.map(clip => [clip.chunkIndex, clip]));
+  const slots = [...new Set([...primaryByChunk.keys(), ...secondaryByChunk.keys()])].sort((a, b) => a - b);
+
+  slots.forEach(chunkIndex => {
+    const clip = primaryByChunk.get(chunkIndex) || secondaryByChunk.get(chunkIndex);
+    if (clip.startFrame > cursor) {
+      spine.push(`            <gap name="Gap" offset="${time(cursor)}" start="0s" duration="${time(clip.startFrame - cursor)}"/>`);
+    }
+
+    const duration = time(clip.endFrame - clip.startFrame);
+    const primary = primaryByChunk.get(chunkIndex);
+    if (primary) {
+      spine.push(`            ${element('video', `ref="${assetIds.get(primary.filename)}" offset="${time(primary.startFrame)}" ` +
+        `start="0s" duration="${duration}" name="${escapeXml(primary.name)}"`, primary)}`);
+    } else {
+      spine.push(`            ${element('gap', `name="Gap" offset="${time(clip.startFrame)}" start="0s" duration="${duration}"`, clip)}`);
+    }
+    cursor = clip.endFrame;
+  });
+
+  const title = escapeXml(script.title);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE fcpxml>',
+    '<fcpxml version="1.9">',
+    '  <resources>',
+    `    <format id="r1" name="FFVideoFormat${height}p${fps}" frameDuration="1/${fps}s" width="${width}" height="${height}"/>`,
+    ...assets,
+    '  </resources>',
+    '  <library>',
+    `    <event name="${title}">`,
+    `      <project name="${title}">`,
+    `        <sequence format="r1" duration="${time(cursor)}" tcStart="0s" tcFormat="NDF">`,
+    '          <spine>',
+    ...spine,
+    '          </spine>',
+    '        </sequence>',
+    '      </project>',
+    '    </event>',
+    '  </library>',
+    '</fcpxml>',
+    ''
+  ].join('\n');
+}
+
+function toXmeml(script, options) {
+  const timeline = buildTimeline(script, options);
+  const { fps, width, height, mediaRoot } = options;
+  const rate = `<rate><timebase>${fps}</timebase><ntsc>FALSE</ntsc></rate>`;
+  let clipCount = 0;
+
+  const track = (clips) => [
+    '        <track>',
+    ...clips.map(clip => {
+      clipCount++;
+      const duration = clip.endFrame - clip.startFrame;
+      return [
+        `          <clipitem id="clipitem-${clipCount}">`,
+        `            <name>${escapeXml(clip.name)}</name>`,
+        `            <duration>${duration}</duration>`,
+        `            ${rate}`,
+        `            <start>${clip.startFrame}</start>`,
+        `            <end>${clip.endFrame}</end>`,
+        '            <in>0</in>',
+        `            <out>${duration}</out>`,
+        '            <stillframe>TRUE</stillframe>',
+        `            <file id="file-${clipCount}">`,
+        `              <name>${escapeXml(clip.filename)}</name>`,
+        `              <pathurl>${escapeXml(mediaUrl(clip.filename, mediaRoot))}</pathurl>`,
+        `              ${rate}`,
+        `              <duration>${duration}</duration>`,
+        '              <media><video><samplecharacteristics>' +
+          `<width>${width}</width><height>${height}</height>` +
+          '</samplecharacteristics></video></media>',
+        '            </file>',
+        '          </clipitem>'
+      ].join('\n');
+    }),
+    '        </track>'
+  ].join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE xmeml>',
+    '<xmeml version="5">',
+    '  <sequence id="sequence-1">',
+    `    <name>${escapeXml(script.title)}</name>`,
+    `    <duration>${timeline.durationFrames}</duration>`,
+    `    ${rate}`,
+    '    <media>',
+    '      <video>',
+    '        <format><samplecharacteristics>' +
+      `${rate}<width>${width}</width><height>${height}</height><pixelaspectratio>square</pixelaspectratio>` +
+      '</samplecharacteristics></format>',
+    track(timeline.tracks.primary),
+    ...(timeline.tracks.secondary.length > 0 ? [track(timeline.tracks.secondary)] : []),
+    '      </video>',
+    '    </media>',
+    '  </sequence>',
+    '</xmeml>',
+    ''
+  ].join('\n');
+}
+
+function edlTimecode(frames, fps) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const hours = Math.floor(frames / (fps * 3600));
+  const minutes = Math.floor(frames / (fps * 60)) % 60;
+  const seconds = Math.floor(frames / fps) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}:${pad(frames % fps)}`;
+}
+
+/**
+ * CMX3600 EDL for one track. The format has a single video track, so the symbol images get their own file.
+ * @param {string} track - 'primary' or 'secondary'
+ */
+function toEdl(script, options, track = 'primary') {
+  const timeline = buildTimeline(script, options);
+  const { fps } = options;
+  const title = script.title.replace(/[\r\n]+/g, ' ').substring(0, 70);
+  const lines = [`TITLE: ${title}${track === 'secondary' ? ' (symbols)' : ''}`, 'FCM: NON-DROP FRAME', ''];
+
+  timeline.tracks[track].forEach((clip, index) => {
+    const duration = clip.endFrame - clip.startFrame;
+    lines.push(
+      `${String(index + 1).padStart(3, '0')}  AX       V     C        ` +
+      `${edlTimecode(0, fps)} ${edlTimecode(duration, fps)} ` +
+      `${edlTimecode(clip.startFrame, fps)} ${edlTimecode(clip.endFrame, fps)}`,
+      `* FROM CLIP NAME: ${clip.filename}`,
+      ''
+    );
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  SUPPORTED_FPS,
+  DEFAULT_OPTIONS,
+  normalizeStoryboardOptions,
+  buildTimeline,
+  toFcpxml,
+  toXmeml,
+  toEdl
+};
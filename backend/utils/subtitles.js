@@ -0,0 +1,123 @@
+// SRT / WebVTT parsing and cue grouping
+
+const TIMESTAMP = /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/;
+const CUE_TIMING = new RegExp(`${TIMESTAMP.source}\\s*-->\\s*${TIMESTAMP.source}`);
+
+/**
+ * Convert "hh:mm:ss,mmm" / "mm:ss.mmm" into seconds
+ */
+function parseTimestamp(value) {
+  const match = value.match(TIMESTAMP);
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+}
+
+function cleanCueText(lines) {
+  return lines
+    .join(' ')
+    .replace(/<[^>]+>/g, '') // VTT voice/style tags, SRT <i>/<b>
+    .replace(/\{\\[^}]*\}/g, '') // SSA override codes that leak into some SRT files
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse cue blocks shared by SRT and VTT: an optional identifier line, a timing line, then text
+ */
+function parseCueBlocks(text) {
+  const cues = [];
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    const timingIndex = lines.findIndex(line => CUE_TIMING.test(line));
+    if (timingIndex === -1) continue;
+
+    const [start, end] = lines[timingIndex].split('-->').map(part => parseTimestamp(part));
+    const content = cleanCueText(lines.slice(timingIndex + 1));
+
+    if (content && start !== null && end !== null && end >= start) {
+      cues.push({ start, end, text: content });
+    }
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+function parseSrt(text) {
+  return parseCueBlocks(text);
+}
+
+function parseVtt(text) {
+  const body = text.replace(/^﻿/, '');
+  if (!/^WEBVTT/.test(body.trimStart())) {
+    throw new Error('Not a WebVTT file: missing WEBVTT header');
+  }
+
+  // Drop NOTE, STYLE and REGION blocks before reading cues
+  const withoutMeta = body
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .filter(block => !/^(NOTE|STYLE|REGION)\b/.test(block.trim()))
+    .join('\n\n');
+
+  return parseCueBlocks(withoutMeta);
+}
+
+/**
+ * Parse an .srt or .vtt file, picking the format from the filename or the content
+ * @param {string} text - File contents
+ * @param {string} filename - Original filename
+ * @returns {Array} - Cues as { start, end, text } in seconds
+ */
+function parseSubtitles(text, filename = '') {
+  const content = text.replace(/^﻿/, '');
+  const isVtt = /\.vtt$/i.test(filename) || /^WEBVTT/.test(content.trimStart());
+  const cues = isVtt ? parseVtt(content) : parseSrt(content);
+
+  if (cues.length === 0) {
+    throw new Error('No subtitle cues found in file');
+  }
+
+  return cues;
+}
+
+/**
+ * Group consecutive cues into chunks of roughly targetSeconds, never crossing a long pause
+ * @param {Array} cues - Parsed cues
+ * @param {Object} options - { targetSeconds, maxSeconds, maxGapSeconds }
+ * @returns {Array} - Groups as { start, end, text }
+ */
+function groupCues(cues, options = {}) {
+  const { targetSeconds = 6.5, maxSeconds = 10, maxGapSeconds = 1.5 } = options;
+  const groups = [];
+  let current = null;
+
+  for (const cue of cues) {
+    const fits = current &&
+      current.end - current.start < targetSeconds &&
+      cue.end - current.start <= maxSeconds &&
+      cue.start - current.end <= maxGapSeconds;
+
+    if (fits) {
+      current.end = cue.end;
+      current.text = `${current.text} ${cue.text}`;
+    } else {
+      if (current) groups.push(current);
+      current = { ...cue };
+    }
+  }
+
+  if (current) groups.push(current);
+  return groups;
+}
+
+module.exports = {
+  parseTimestamp,
+  parseSrt,
+  parseVtt,
+  parseSubtitles,
+  groupCues
+};
@@ -0,0 +1,193 @@
+// Renders a script's chunk timeline as subtitle files and cue sheets.
+// The JSON cue sheet format is documented in CUE_SHEET_FORMAT.md; bump CUE_SHEET_VERSION on breaking changes.
+
+const path = require('path');
+
+const CUE_SHEET_SCHEMA = 'script-to-images/cue-sheet';
+const CUE_SHEET_VERSION = 1;
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+const pad = (value, width = 2) => String(value).padStart(width, '0');
+
+/**
+ * Format seconds as hh:mm:ss<separator>mmm
+ */
+function formatTimestamp(seconds, separator = ',') {
+  const totalMillis = Math.round(Math.max(0, seconds) * 1000);
+  const hours = Math.floor(totalMillis / 3600000);
+  const minutes = Math.floor((totalMillis % 3600000) / 60000);
+  const secs = Math.floor((totalMillis % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMillis % 1000, 3)}`;
+}
+
+/**
+ * Path of an image served from /api/images inside the uploads directory, or null for remote URLs
+ */
+function localImagePath(imageUrl) {
+  if (!imageUrl || !imageUrl.startsWith('/api/images/')) return null;
+  return path.join(UPLOADS_DIR, path.basename(imageUrl));
+}
+
+/**
+ * Every chunk image with its export name and where it is stored, in timeline order
+ * @returns {Array} - { chunkIndex, kind, filename, sourcePath } with sourcePath null for remote images
+ */
+function collectImageFiles(script) {
+  const total = script.chunks.length;
+  const files = [];
+
+  script.chunks.forEach((chunk, index) => {
+    [['scene', chunk.imageUrl], ['symbols', chunk.secondaryImageUrl]].forEach(([kind, url]) => {
+      if (!url) return;
+      files.push({
+        chunkIndex: index,
+        kind,
+        filename: exportImageName(chunk, index, kind, total),
+        sourcePath: localImagePath(url)
+      });
+    });
+  });
+
+  return files;
+}
+
+/**
+ * Timeline-ordered export filename for a chunk image, e.g. 003_00-14_scene.png
+ * @param {Object} chunk - Chunk with startTime and the image URL
+ * @param {number} index - Zero-based position of the chunk in the script
+ * @param {string} kind - 'scene' for the primary image, 'symbols' for the secondary image
+ * @param {number} total - Number of chunks, so indices stay the same width when sorted
+ */
+function exportImageName(chunk, index, kind = 'scene', total = 0) {
+  const imageUrl = kind === 'symbols' ? chunk.secondaryImageUrl : chunk.imageUrl;
+  const extension = (imageUrl && path.extname(imageUrl.split('?')[0])) || '.png';
+  const start = Math.floor(chunk.startTime || 0);
+  const width = Math.max(3, String(total).length);
+  return `${pad(index + 1, width)}_${pad(Math.floor(start / 60))}-${pad(start % 60)}_${kind}${extension}`;
+}
+
+function chunkImages(chunk, index, total) {
+  const describe = (kind, url) => (url ? {
+    filename: exportImageName(chunk, index, kind, total),
+    sourceFilename: path.basename(url),
+    url
+  } : null);
+
+  return {
+    primary: describe('scene', chunk.imageUrl),
+    secondary: describe('symbols', chunk.secondaryImageUrl)
+  };
+}
+
+function toSrt(script) {
+  return script.chunks.map((chunk, index) => [
+    index + 1,
+    `${formatTimestamp(chunk.startTime, ',')} --> ${formatTimestamp(chunk.endTime, ',')}`,
+    chunk.content
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+function toVtt(script) {
+  const cues = script.chunks.map(chunk => [
+    chunk.id,
+    `${formatTimestamp(chunk.startTime, '.')} --> ${formatTimestamp(chunk.endTime, '.')}`,
+    chunk.content
+  ].join('\n'));
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(script) {
+  const total = script.chunks.length;
+  const header = ['index', 'id', 'start', 'end', 'duration', 'start_timecode', 'end_timecode', 'text', 'topic', 'image', 'secondary_image'];
+  const rows = script.chunks.map((chunk, index) => {
+    const images = chunkImages(chunk, index, total);
+    return [
+      index + 1,
+      chunk.id,
+      chunk.startTime,
+      chunk.endTime,
+      Math.round((chunk.endTime - chunk.startTime) * 1000) / 1000,
+      formatTimestamp(chunk.startTime, '.'),
+      formatTimestamp(chunk.endTime, '.'),
+      chunk.content,
+      chunk.topic,
+      images.primary?.filename,
+      images.secondary?.filename
+    ].map(csvField).join(',');
+  });
+
+  return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Versioned JSON cue sheet
+ */
+function toCueSheet(script) {
+  const total = script.chunks.length;
+  const last = script.chunks[total - 1];
+
+  return {
+    schema: CUE_SHEET_SCHEMA,
+    version: CUE_SHEET_VERSION,
+    generatedAt: new Date().toISOString(),
+    script: {
+      id: String(script._id),
+      title: script.title,
+      chunker: script.chunker,
+      duration: last ? last.endTime : 0,
+      cueCount: total
+    },
+    cues: script.chunks.map((chunk, index) => ({
+      index: index + 1,
+      id: chunk.id,
+      start: chunk.startTime,
+      end: chunk.endTime,
+      duration: Math.round((chunk.endTime - chunk.startTime) * 1000) / 1000,
+      text: chunk.content,
+      topic: chunk.topic || '',
+      imageStale: !!chunk.imageStale,
+      images: chunkImages(chunk, index, total)
+    }))
+  };
+}
+
+const FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt', render: toSrt },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt', render: toVtt },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: toCsv },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json', render: script => JSON.stringify(toCueSheet(script), null, 2) }
+};
+
+/**
+ * Filesystem-safe base name for downloads built from the script title
+ */
+function exportBaseName(script) {
+  const slug = (script.title || 'script')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60);
+  return slug || 'script';
+}
+
+module.exports = {
+  CUE_SHEET_SCHEMA,
+  CUE_SHEET_VERSION,
+  FORMATS,
+  formatTimestamp,
+  localImagePath,
+  collectImageFiles,
+  exportImageName,
+  exportBaseName,
+  chunkImages,
+  toSrt,
+  toVtt,
+  toCsv,
+  toCueSheet
+};
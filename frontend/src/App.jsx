@@ -17,6 +17,7 @@ import ScriptForm from './components/ScriptForm';
 import ScriptViewer from './components/ScriptViewer';
 import LogsViewer from './components/LogsViewer';
 import ImageDebugger from './components/ImageDebugger';
+import JobsDashboard from './components/JobsDashboard';
 import { scriptAPI } from './services/api';
 
 function App() {
@@ -124,6 +125,13 @@ function App() {
           >
             📋 Server Logs
           </Button>
+          <Button
+            variant={activeTab === 'jobs' ? 'solid' : 'outlined'}
+            onClick={() => setActiveTab('jobs')}
+            sx={{ fontWeight: 'normal' }}
+          >
+            ⚙️ Jobs
+          </Button>
           <Button
             variant={activeTab === 'debug' ? 'solid' : 'outlined'}
             onClick={() => setActiveTab('debug')}
@@ -189,6 +197,10 @@ function App() {
             <LogsViewer />
           )}
 
+          {activeTab === 'jobs' && (
+            <JobsDashboard />
+          )}
+
           {activeTab === 'debug' && (
             <ImageDebugger />
           )}
@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  Typography,
+  FormControl,
+  FormLabel,
+  Input,
+  Select,
+  Option,
+  Checkbox,
+  LinearProgress,
+  Alert,
+  Chip,
+} from '@mui/joy';
+import { scriptAPI } from '../services/api';
+
+const RESOLUTIONS = {
+  '1280x720': { width: 1280, height: 720, label: '720p' },
+  '1920x1080': { width: 1920, height: 1080, label: '1080p' },
+  '1080x1920': { width: 1080, height: 1920, label: 'Vertical 1080x1920' },
+};
+
+const AnimaticRenderer = ({ script }) => {
+  const [resolution, setResolution] = useState('1280x720');
+  const [captions, setCaptions] = useState(true);
+  const [crossfadeSeconds, setCrossfadeSeconds] = useState(0.3);
+  const [renderStatus, setRenderStatus] = useState(null);
+  const [isRendering, setIsRendering] = useState(false);
+  const [error, setError] = useState('');
+
+  // Pick up an existing render when the component loads
+  useEffect(() => {
+    if (!script?._id) return;
+
+    const checkExistingRender = async () => {
+      try {
+        const status = await scriptAPI.getAnimaticStatus(script._id);
+        setRenderStatus(status);
+        if (status.hasJob && (status.status === 'pending' || status.status === 'processing')) {
+          setIsRendering(true);
+        }
+      } catch (err) {
+        console.error('Error checking animatic status:', err);
+      }
+    };
+
+    checkExistingRender();
+  }, [script?._id]);
+
+  // Poll while rendering
+  useEffect(() => {
+    let interval;
+
+    if (isRendering && script?._id) {
+      interval = setInterval(async () => {
+        try {
+          const status = await scriptAPI.getAnimaticStatus(script._id);
+          setRenderStatus(status);
+
+          if (!['pending', 'processing'].includes(status.status)) {
+            setIsRendering(false);
+          }
+        } catch (err) {
+          console.error('Error polling animatic status:', err);
+        }
+      }, 3000);
+    }
+
+    return () => {
+      if (interval) {
+        clearInterval(interval);
+      }
+    };
+  }, [isRendering, script?._id]);
+
+  const handleRender = async () => {
+    setError('');
+    setIsRendering(true);
+
+    try {
+      const { width, height } = RESOLUTIONS[resolution];
+      const result = await scriptAPI.renderAnimatic(script._id, {
+        width,
+        height,
+        captions,
+        crossfadeSeconds: Number(crossfadeSeconds) || 0,
+      });
+      console.log('Animatic render started:', result);
+      setRenderStatus({ hasJob: true, status: 'pending', progress: 0, totalSlides: result.totalSlides, renderedSlides: 0 });
+    } catch (err) {
+      console.error('Error starting animatic render:', err);
+      setError(err.response?.data?.error || 'Failed to start animatic render');
+      setIsRendering(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      await scriptAPI.cancelAnimatic(script._id);
+      setIsRendering(false);
+      setRenderStatus(prev => prev ? { ...prev, status: 'cancelled' } : null);
+    } catch (err) {
+      console.error('Error cancelling animatic render:', err);
+      setError(err.response?.data?.error || 'Failed to cancel animatic render');
+    }
+  };
+
+  const handleDownload = () => {
+    const link = document.createElement('a');
+    link.href = scriptAPI.getAnimaticDownloadUrl(script._id, renderStatus.jobId);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  if (!script) {
+    return null;
+  }
+
+  const hasImages = script.chunks?.some(chunk => chunk.imageUrl);
+
+  return (
+    <Card variant="outlined" sx={{ p: 4, mb: 4, maxWidth: '100%' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 3 }}>
+        <Typography level="h4" sx={{ fontWeight: 'normal', color: 'text.primary' }}>
+          🎬 Animatic Preview
+        </Typography>
+
+        {renderStatus?.hasJob && (
+          <Chip
+            size="sm"
+            variant="soft"
+            color={{ completed: 'success', failed: 'danger', cancelled: 'neutral' }[renderStatus.status] || 'primary'}
+            sx={{ textTransform: 'capitalize' }}
+          >
+            {renderStatus.status}
+          </Chip>
+        )}
+      </Box>
+
+      {error && (
+        <Alert color="danger" sx={{ mb: 3 }} variant="soft">
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '1fr 1fr 1fr auto' }, gap: 3, alignItems: 'end', mb: 3 }}>
+        <FormControl>
+          <FormLabel sx={{ fontWeight: 'normal' }}>Resolution</FormLabel>
+          <Select
+            value={resolution}
+            onChange={(event, newValue) => setResolution(newValue)}
+            disabled={isRendering}
+            size="sm"
+          >
+            {Object.entries(RESOLUTIONS).map(([value, { label }]) => (
+              <Option key={value} value={value}>{label}</Option>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl>
+          <FormLabel sx={{ fontWeight: 'normal' }}>Crossfade (s)</FormLabel>
+          <Input
+            type="number"
+            size="sm"
+            value={crossfadeSeconds}
+            onChange={(e) => setCrossfadeSeconds(e.target.value)}
+            slotProps={{ input: { step: 0.1, min: 0, max: 2 } }}
+            disabled={isRendering}
+          />
+        </FormControl>
+
+        <Checkbox
+          label="Burn in captions"
+          checked={captions}
+          onChange={(e) => setCaptions(e.target.checked)}
+          disabled={isRendering}
+          sx={{ mb: 1 }}
+        />
+
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            onClick={handleRender}
+            loading={isRendering}
+            disabled={!hasImages || isRendering}
+            sx={{ fontWeight: 'normal' }}
+          >
+            Render MP4
+          </Button>
+          {isRendering && (
+            <Button variant="outlined" color="danger" onClick={handleCancel} sx={{ fontWeight: 'normal' }}>
+              Cancel
+            </Button>
+          )}
+        </Box>
+      </Box>
+
+      {!hasImages && (
+        <Typography level="body-sm" color="neutral">
+          Generate images first; chunks without an image are shown as a blank frame.
+        </Typography>
+      )}
+
+      {renderStatus?.hasJob && (
+        <Box>
+          {isRendering && (
+            <>
+              <Typography level="body-sm" sx={{ mb: 1, fontWeight: 'normal' }}>
+                Rendered {renderStatus.renderedSlides || 0} / {renderStatus.totalSlides || 0} slides
+              </Typography>
+              <LinearProgress determinate value={renderStatus.progress || 0} sx={{ mb: 2, height: 6 }} />
+            </>
+          )}
+
+          {renderStatus.downloadReady && !isRendering && (
+            <Alert color="success" variant="soft" sx={{ alignItems: 'center' }} endDecorator={
+              <Button size="sm" variant="solid" color="success" onClick={handleDownload} sx={{ fontWeight: 'normal' }}>
+                Download MP4
+              </Button>
+            }>
+              <Typography level="body-sm" sx={{ fontWeight: 'normal' }}>
+                Animatic ready ({Math.round(renderStatus.result.durationSeconds)}s, {(renderStatus.result.sizeBytes / (1024 * 1024)).toFixed(1)} MB)
+              </Typography>
+            </Alert>
+          )}
+
+          {renderStatus.status === 'failed' && renderStatus.error && (
+            <Alert color="danger" variant="soft">
+              <Typography level="body-sm" sx={{ fontWeight: 'normal' }}>
+                Render failed: {renderStatus.error}
+              </Typography>
+            </Alert>
+          )}
+        </Box>
+      )}
+    </Card>
+  );
+};
+
+export default AnimaticRenderer;
@@ -7,25 +7,56 @@ import {
   FormControl,
   FormLabel,
   Input,
-  Select,
-  Option,
   Stack,
   LinearProgress,
   Alert,
   Chip,
+  Select,
+  Option,
+  FormHelperText,
 } from '@mui/joy';
+import ImageOptionFields, { pickDefaultProvider, fitOptionsToProvider, CANDIDATE_COUNTS } from './ImageOptionFields';
 import { scriptAPI } from '../services/api';
 
-const BatchImageGenerator = ({ script, onBatchComplete }) => {
+// Images a dual image style produces per chunk: the scene (main image) and the symbol (secondary image)
+const IMAGE_VARIANT_OPTIONS = {
+  both: { label: 'Scene + symbol', variants: ['scene', 'symbol'] },
+  scene: { label: 'Scene only', variants: ['scene'] },
+  symbol: { label: 'Symbol only', variants: ['symbol'] },
+};
+
+// Same rule as the server's chunkNeedsImages: missing one of the requested images, or outdated
+const chunkNeedsImages = (chunk, variants) => {
+  if (chunk.imageStale) return true;
+  if (!variants) return !chunk.imageUrl;
+  return (variants.includes('scene') && !chunk.imageUrl) ||
+    (variants.includes('symbol') && !chunk.secondaryImageUrl);
+};
+
+const BatchImageGenerator = ({ script, jobEvent, onBatchComplete }) => {
   const [batchColor, setBatchColor] = useState('white');
   const [batchQuality, setBatchQuality] = useState('high');
   const [batchStyle, setBatchStyle] = useState('infographic');
   const [batchProvider, setBatchProvider] = useState('nanobanana');
+  const [fallbackProviders, setFallbackProviders] = useState([]);
+  const [imageVariants, setImageVariants] = useState('both');
+  const [candidates, setCandidates] = useState(1);
   const [providers, setProviders] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
   const [batchStatus, setBatchStatus] = useState(null);
   const [error, setError] = useState('');
 
+  const dualImage = !!providers?.providers?.[batchProvider]?.capabilities?.dualImageStyles?.includes(batchStyle);
+  // Variants to request, null for single image styles
+  const selectedVariants = dualImage ? IMAGE_VARIANT_OPTIONS[imageVariants].variants : null;
+
+  const applyImageOptions = ({ provider, quality, style }) => {
+    setBatchProvider(provider);
+    setFallbackProviders(current => current.filter(id => id !== provider));
+    setBatchQuality(quality);
+    setBatchStyle(style);
+  };
+
   // Load providers and check for existing jobs when component loads
   useEffect(() => {
     const loadProvidersAndCheckJob = async () => {
@@ -34,12 +65,14 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
         const providerData = await scriptAPI.getProviders();
         setProviders(providerData);
         
-        // Set default provider to nanobanana if available, otherwise use first available
-        if (providerData.available.length > 0) {
-          const preferredProvider = providerData.available.includes('nanobanana') 
-            ? 'nanobanana' 
-            : (providerData.default || providerData.available[0]);
-          setBatchProvider(preferredProvider);
+        // Preselect the server's default provider with options it supports
+        const defaultProvider = pickDefaultProvider(providerData);
+        if (defaultProvider) {
+          applyImageOptions(fitOptionsToProvider(providerData, defaultProvider, {
+            provider: defaultProvider,
+            quality: batchQuality,
+            style: batchStyle,
+          }));
         }
       } catch (err) {
         console.error('Error loading providers:', err);
@@ -65,26 +98,56 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
     loadProvidersAndCheckJob();
   }, [script?._id]);
 
-  // Poll for batch status updates
+  const checkBatchStatus = async () => {
+    try {
+      const status = await scriptAPI.getBatchStatus(script._id);
+      setBatchStatus(status);
+
+      if (status.isComplete || status.status === 'completed' || status.status === 'failed') {
+        setIsGenerating(false);
+        if (onBatchComplete) {
+          onBatchComplete();
+        }
+      } else if (status.status === 'paused') {
+        // Nothing changes until it's resumed
+        setIsGenerating(false);
+        if (onBatchComplete) {
+          onBatchComplete();
+        }
+      } else if (status.status === 'pending' || status.status === 'processing') {
+        setIsGenerating(true);
+      }
+    } catch (err) {
+      console.error('Error polling batch status:', err);
+    }
+  };
+
+  // Live job events (see ScriptViewer) keep the progress current
+  useEffect(() => {
+    if (!jobEvent || jobEvent.jobType !== 'batch_image_generation') return;
+
+    if (jobEvent.type === 'chunk:started' || jobEvent.type === 'chunk:completed') {
+      const { processedChunks, totalChunks } = jobEvent.progress;
+      setBatchStatus(prev => prev?.jobId === jobEvent.jobId ? {
+        ...prev,
+        chunksWithImages: processedChunks,
+        totalChunks,
+        chunksRemaining: totalChunks - processedChunks,
+        progress: totalChunks > 0 ? Math.round((processedChunks / totalChunks) * 100) : 100,
+      } : prev);
+      return;
+    }
+
+    // The job changed state or a chunk failed: fetch the full status once
+    checkBatchStatus();
+  }, [jobEvent]);
+
+  // Poll for batch status updates, in case live events are missed (e.g. while reconnecting)
   useEffect(() => {
     let interval;
     
     if (isGenerating && script?._id) {
-      interval = setInterval(async () => {
-        try {
-          const status = await scriptAPI.getBatchStatus(script._id);
-          setBatchStatus(status);
-          
-          if (status.isComplete || status.status === 'completed' || status.status === 'failed') {
-            setIsGenerating(false);
-            if (onBatchComplete) {
-              onBatchComplete();
-            }
-          }
-        } catch (err) {
-          console.error('Error polling batch status:', err);
-        }
-      }, 2000); // Poll every 2 seconds
+      interval = setInterval(checkBatchStatus, 10000); // Poll every 10 seconds
     }
 
     return () => {
@@ -105,7 +168,11 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
     setBatchStatus(null);
 
     try {
-      const result = await scriptAPI.batchGenerateImages(script._id, batchColor, batchQuality, batchStyle, batchProvider);
+      const result = await scriptAPI.batchGenerateImages(script._id, batchColor, batchQuality, batchStyle, batchProvider, {
+        fallbackProviders,
+        imageVariants: selectedVariants || undefined,
+        candidates,
+      });
       console.log('Batch generation started:', result);
       
       if (result.chunksToProcess === 0) {
@@ -149,6 +216,68 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
     }
   };
 
+  const handlePauseBatch = async () => {
+    if (!script?._id) {
+      return;
+    }
+
+    try {
+      const result = await scriptAPI.pauseBatchJob(script._id);
+      console.log('Batch job paused:', result);
+
+      // The next poll sees 'paused' and stops; images already in flight still finish in the background
+      setBatchStatus(prev => prev ? { ...prev, status: result.status } : null);
+    } catch (err) {
+      console.error('Error pausing batch job:', err);
+      setError(err.response?.data?.error || 'Failed to pause batch job');
+    }
+  };
+
+  const handleResumeBatch = async () => {
+    if (!script?._id) {
+      return;
+    }
+
+    try {
+      const result = await scriptAPI.resumeBatchJob(script._id);
+      console.log('Batch job resumed:', result);
+
+      setError('');
+      setBatchStatus(prev => prev ? { ...prev, status: result.status } : null);
+      setIsGenerating(true);
+    } catch (err) {
+      console.error('Error resuming batch job:', err);
+      setError(err.response?.data?.error || 'Failed to resume batch job');
+    }
+  };
+
+  const handleRetryFailed = async () => {
+    if (!batchStatus?.jobId) {
+      return;
+    }
+
+    try {
+      // Retry with the settings currently selected, so a different provider or style can be tried
+      const result = await scriptAPI.jobs.retryFailed(batchStatus.jobId, {
+        provider: batchProvider,
+        style: batchStyle,
+        quality: batchQuality,
+        color: batchColor,
+        fallbackProviders,
+        imageVariants: selectedVariants || undefined,
+        candidates,
+      });
+      console.log('Retrying failed chunks:', result);
+
+      setError('');
+      setBatchStatus(prev => prev ? { ...prev, status: result.status, isComplete: false } : null);
+      setIsGenerating(true);
+    } catch (err) {
+      console.error('Error retrying failed chunks:', err);
+      setError(err.response?.data?.error || 'Failed to retry failed chunks');
+    }
+  };
+
   const handleClearJobs = async () => {
     if (!script?._id) {
       return;
@@ -174,11 +303,17 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
     return null;
   }
 
-  const chunksWithoutImages = script.chunks?.filter(chunk => !chunk.imageUrl) || [];
+  const chunksWithoutImages = script.chunks?.filter(chunk => chunkNeedsImages(chunk, selectedVariants)) || [];
   const allChunksHaveImages = chunksWithoutImages.length === 0;
   const hasActiveJob = batchStatus?.hasJob && (batchStatus?.status === 'pending' || batchStatus?.status === 'processing');
+  const isPaused = batchStatus?.hasJob && batchStatus?.status === 'paused';
+  const failures = batchStatus?.failures || [];
+  const canRetryFailed = !isGenerating && failures.length > 0 &&
+    (batchStatus?.status === 'completed' || batchStatus?.status === 'failed');
+  const repeatedFailures = failures.filter(failure => failure.runs > 1).length;
   const activeJobProvider = batchStatus?.provider;
-  const providerMismatch = hasActiveJob && activeJobProvider && activeJobProvider !== batchProvider;
+  const providerMismatch = (hasActiveJob || isPaused) && activeJobProvider && activeJobProvider !== batchProvider;
+  const fallbackOptions = providers?.available.filter(id => id !== batchProvider) || [];
 
   return (
     <Card variant="outlined" sx={{ p: 4, mb: 4, maxWidth: '100%' }}>
@@ -198,7 +333,12 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
               {batchStatus.status === 'processing' ? 'Processing' : 'Queued'}
             </Chip>
           )}
-          {isGenerating && !hasActiveJob && (
+          {isPaused && (
+            <Chip color="warning" size="sm" variant="soft">
+              Paused
+            </Chip>
+          )}
+          {isGenerating && !hasActiveJob && !isPaused && (
             <Chip color="neutral" size="sm" variant="soft">
               Starting
             </Chip>
@@ -224,51 +364,14 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
           />
         </FormControl>
         
-        <FormControl>
-          <FormLabel sx={{ fontWeight: 'normal' }}>Quality</FormLabel>
-          <Select
-            value={batchQuality}
-            onChange={(event, newValue) => setBatchQuality(newValue)}
-            disabled={isGenerating}
-            size="sm"
-          >
-            <Option value="low">Low</Option>
-            <Option value="medium">Medium</Option>
-            <Option value="high">High</Option>
-            <Option value="auto">Auto</Option>
-          </Select>
-        </FormControl>
-
-        <FormControl>
-          <FormLabel sx={{ fontWeight: 'normal' }}>Style</FormLabel>
-          <Select
-            value={batchStyle}
-            onChange={(event, newValue) => setBatchStyle(newValue)}
-            disabled={isGenerating}
-            size="sm"
-          >
-            <Option value="infographic">Infographic</Option>
-            <Option value="drawing">Drawing</Option>
-            <Option value="illustration">Illustration</Option>
-            <Option value="abstract">Abstract</Option>
-          </Select>
-        </FormControl>
-
-        <FormControl>
-          <FormLabel sx={{ fontWeight: 'normal' }}>Provider</FormLabel>
-          <Select
-            value={batchProvider}
-            onChange={(event, newValue) => setBatchProvider(newValue)}
-            disabled={isGenerating || !providers}
-            size="sm"
-          >
-            {providers?.available.map(provider => (
-              <Option key={provider} value={provider}>
-                {providers.providers[provider]?.name || provider}
-              </Option>
-            ))}
-          </Select>
-        </FormControl>
+        <ImageOptionFields
+          providers={providers}
+          provider={batchProvider}
+          quality={batchQuality}
+          style={batchStyle}
+          onChange={applyImageOptions}
+          disabled={isGenerating}
+        />
 
         <Box>
           <Typography level="body-xs" color="neutral" sx={{ mb: 0.5 }}>
@@ -289,6 +392,66 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
         </Box>
       </Box>
 
+      {fallbackOptions.length > 0 && (
+        <FormControl sx={{ mb: 3 }}>
+          <FormLabel sx={{ fontWeight: 'normal' }}>Fallback providers</FormLabel>
+          <Select
+            multiple
+            value={fallbackProviders}
+            placeholder="None"
+            onChange={(event, newValue) => setFallbackProviders(newValue)}
+            disabled={isGenerating}
+            size="sm"
+            renderValue={(selected) => selected.map(option => option.label).join(' → ')}
+          >
+            {fallbackOptions.map(id => (
+              <Option key={id} value={id}>
+                {providers.providers[id]?.name || id}
+              </Option>
+            ))}
+          </Select>
+          <FormHelperText>
+            Tried in this order when the selected provider times out, hits a rate limit or rejects the prompt
+          </FormHelperText>
+        </FormControl>
+      )}
+
+      <FormControl sx={{ mb: 3, maxWidth: 300 }}>
+        <FormLabel sx={{ fontWeight: 'normal' }}>Candidates per chunk</FormLabel>
+        <Select
+          value={candidates}
+          onChange={(event, newValue) => setCandidates(newValue)}
+          disabled={isGenerating}
+          size="sm"
+        >
+          {CANDIDATE_COUNTS.map(count => (
+            <Option key={count} value={count}>{count}</Option>
+          ))}
+        </Select>
+        <FormHelperText>
+          Every candidate is kept on the chunk; the first one is used until you pick another
+        </FormHelperText>
+      </FormControl>
+
+      {dualImage && (
+        <FormControl sx={{ mb: 3, maxWidth: 300 }}>
+          <FormLabel sx={{ fontWeight: 'normal' }}>Images per chunk</FormLabel>
+          <Select
+            value={imageVariants}
+            onChange={(event, newValue) => setImageVariants(newValue)}
+            disabled={isGenerating}
+            size="sm"
+          >
+            {Object.entries(IMAGE_VARIANT_OPTIONS).map(([value, option]) => (
+              <Option key={value} value={value}>{option.label}</Option>
+            ))}
+          </Select>
+          <FormHelperText>
+            Chunks missing one of these images are generated; the other image is kept as it is
+          </FormHelperText>
+        </FormControl>
+      )}
+
       {batchStatus && (
         <Box sx={{ mb: 3 }}>
           <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '1fr 1fr 1fr auto' }, gap: 2, alignItems: 'center', mb: 2 }}>
@@ -344,6 +507,11 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
               <Typography level="body-sm" sx={{ fontWeight: 'normal' }}>
                 Batch generation completed successfully
               </Typography>
+              {batchStatus.fallbackChunks > 0 && (
+                <Typography level="body-xs" color="neutral" sx={{ mt: 0.5 }}>
+                  {batchStatus.fallbackChunks} {batchStatus.fallbackChunks === 1 ? 'image' : 'images'} came from a fallback provider
+                </Typography>
+              )}
               {batchStatus.completedAt && (
                 <Typography level="body-xs" color="neutral" sx={{ mt: 0.5 }}>
                   Completed: {new Date(batchStatus.completedAt).toLocaleString()}
@@ -352,6 +520,17 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
             </Alert>
           )}
           
+          {batchStatus.failedErrorTypes && Object.keys(batchStatus.failedErrorTypes).length > 0 && (
+            <Alert color="warning" variant="soft" sx={{ mb: 2 }}>
+              <Typography level="body-sm" sx={{ fontWeight: 'normal' }}>
+                Failed chunks: {Object.entries(batchStatus.failedErrorTypes)
+                  .map(([errorType, count]) => `${count} ${errorType.replace('_', ' ')}`)
+                  .join(', ')}
+                {repeatedFailures > 0 && ` (${repeatedFailures} failed more than once)`}
+              </Typography>
+            </Alert>
+          )}
+
           {batchStatus.status === 'failed' && batchStatus.error && (
             <Alert color="danger" variant="soft">
               <Typography level="body-sm" sx={{ fontWeight: 'normal' }}>
@@ -384,12 +563,14 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
         <Button
           variant="solid"
           onClick={handleBatchGenerate}
-          disabled={isGenerating || allChunksHaveImages || hasActiveJob}
-          loading={isGenerating && !hasActiveJob}
+          disabled={isGenerating || allChunksHaveImages || hasActiveJob || isPaused}
+          loading={isGenerating && !hasActiveJob && !isPaused}
           sx={{ minWidth: '200px', fontWeight: 'normal' }}
         >
           {hasActiveJob
             ? `${batchStatus.status === 'processing' ? 'Processing' : 'Queued'} (${batchStatus.chunksWithImages}/${batchStatus.totalChunks})`
+            : isPaused
+              ? `Paused (${batchStatus.chunksWithImages}/${batchStatus.totalChunks})`
             : isGenerating 
               ? 'Starting Job' 
               : allChunksHaveImages 
@@ -398,7 +579,40 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
           }
         </Button>
 
-        {(isGenerating || hasActiveJob) && (
+        {hasActiveJob && (
+          <Button
+            variant="outlined"
+            color="neutral"
+            onClick={handlePauseBatch}
+            sx={{ fontWeight: 'normal' }}
+          >
+            ⏸️ Pause
+          </Button>
+        )}
+
+        {canRetryFailed && (
+          <Button
+            variant="outlined"
+            color="primary"
+            onClick={handleRetryFailed}
+            sx={{ fontWeight: 'normal' }}
+          >
+            🔁 Retry {failures.length} Failed
+          </Button>
+        )}
+
+        {isPaused && (
+          <Button
+            variant="solid"
+            color="success"
+            onClick={handleResumeBatch}
+            sx={{ fontWeight: 'normal' }}
+          >
+            ▶️ Resume
+          </Button>
+        )}
+
+        {(isGenerating || hasActiveJob || isPaused) && (
           <Button
             variant="outlined"
             color="danger"
@@ -418,7 +632,11 @@ const BatchImageGenerator = ({ script, onBatchComplete }) => {
           🗑️ Clear All Jobs
         </Button>
 
-        {(isGenerating || (batchStatus && batchStatus.status === 'processing')) && (
+        {isPaused ? (
+          <Typography level="body-sm" color="neutral" sx={{ fontWeight: 'normal' }}>
+            Paused - progress is kept until you resume
+          </Typography>
+        ) : (isGenerating || (batchStatus && batchStatus.status === 'processing')) && (
           <Typography level="body-sm" color="neutral" sx={{ fontWeight: 'normal' }}>
             Processing in background - safe to close tab
           </Typography>
@@ -12,21 +12,45 @@ import {
   FormControl,
   FormLabel,
   Stack,
+  Textarea,
   Select,
   Option,
 } from '@mui/joy';
+import ImageOptionFields, { pickDefaultProvider, fitOptionsToProvider, CANDIDATE_COUNTS } from './ImageOptionFields';
 import { scriptAPI } from '../services/api';
 
-const ChunkCard = ({ chunk, scriptId, onChunkUpdated }) => {
+// Append the server's error classification so it's clear whether trying again is worthwhile
+const describeImageError = ({ error, errorType, retryable }) => {
+  if (!errorType || errorType === 'unknown') return error;
+  return `${error} (${errorType.replace('_', ' ')}${retryable ? ', worth retrying' : ''})`;
+};
+
+const ChunkCard = ({ chunk, scriptId, index, totalChunks, liveStatus, onChunkUpdated, onScriptUpdated, onMoveChunk }) => {
   const [regenerating, setRegenerating] = useState(false);
+  const [editMode, setEditMode] = useState(null); // 'edit' | 'split' | 'insert'
+  const [draft, setDraft] = useState('');
+  const [splitOffset, setSplitOffset] = useState('');
+  const [editing, setEditing] = useState(false);
   const [generatingImage, setGeneratingImage] = useState(false);
   const [error, setError] = useState('');
   const [imageColor, setImageColor] = useState('white');
   const [imageQuality, setImageQuality] = useState('high');
   const [imageStyle, setImageStyle] = useState('infographic');
   const [imageProvider, setImageProvider] = useState('nanobanana');
+  const [candidateCount, setCandidateCount] = useState(1);
+  const [selectingCandidate, setSelectingCandidate] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [restoringVersion, setRestoringVersion] = useState(null);
+  const [showDetails, setShowDetails] = useState(false);
+  const [promptDraft, setPromptDraft] = useState(null); // { prompt, secondaryPrompt } while editing
   const [providers, setProviders] = useState(null);
 
+  const applyImageOptions = ({ provider, quality, style }) => {
+    setImageProvider(provider);
+    setImageQuality(quality);
+    setImageStyle(style);
+  };
+
   const handleRegenerate = async () => {
     setRegenerating(true);
     setError('');
@@ -46,6 +70,65 @@ const ChunkCard = ({ chunk, scriptId, onChunkUpdated }) => {
     }
   };
 
+  const wordCount = chunk.content.trim().split(/\s+/).filter(Boolean).length;
+
+  const openEditMode = (mode) => {
+    setEditMode(mode);
+    setError('');
+    setDraft(mode === 'edit' ? chunk.content : '');
+    setSplitOffset(mode === 'split' ? String(Math.floor(wordCount / 2)) : '');
+  };
+
+  // Run a chunk edit that returns the whole updated script
+  const runEdit = async (operation, failureMessage) => {
+    setEditing(true);
+    setError('');
+
+    try {
+      const result = await operation();
+      setEditMode(null);
+
+      if (onScriptUpdated) {
+        onScriptUpdated(result.script);
+      }
+    } catch (err) {
+      console.error(failureMessage, err);
+      setError(err.response?.data?.error || failureMessage);
+    } finally {
+      setEditing(false);
+    }
+  };
+
+  const handleSaveEdit = () => runEdit(
+    () => scriptAPI.updateChunk(scriptId, chunk.id, { content: draft }),
+    'Failed to update chunk'
+  );
+
+  const handleSplit = () => runEdit(
+    () => scriptAPI.splitChunk(scriptId, chunk.id, parseInt(splitOffset, 10)),
+    'Failed to split chunk'
+  );
+
+  const handleInsertAfter = () => runEdit(
+    () => scriptAPI.insertChunk(scriptId, draft, chunk.id),
+    'Failed to insert chunk'
+  );
+
+  const handleMergeNext = () => runEdit(
+    () => scriptAPI.mergeChunk(scriptId, chunk.id, 'next'),
+    'Failed to merge chunks'
+  );
+
+  const handleMove = (offset) => runEdit(
+    () => onMoveChunk(chunk.id, offset),
+    'Failed to reorder chunks'
+  );
+
+  const handleDelete = () => {
+    if (!window.confirm('Delete this chunk?')) return;
+    runEdit(() => scriptAPI.deleteChunk(scriptId, chunk.id), 'Failed to delete chunk');
+  };
+
   // Load providers when component mounts
   useEffect(() => {
     const loadProviders = async () => {
@@ -53,12 +136,14 @@ const ChunkCard = ({ chunk, scriptId, onChunkUpdated }) => {
         const providerData = await scriptAPI.getProviders();
         setProviders(providerData);
         
-        // Set default provider to nanobanana if available, otherwise use first available
-        if (providerData.available.length > 0) {
-          const preferredProvider = providerData.available.includes('nanobanana') 
-            ? 'nanobanana' 
-            : (providerData.default || providerData.available[0]);
-          setImageProvider(preferredProvider);
+        // Preselect the server's default provider with options it supports
+        const defaultProvider = pickDefaultProvider(providerData);
+        if (defaultProvider) {
+          applyImageOptions(fitOptionsToProvider(providerData, defaultProvider, {
+            provider: defaultProvider,
+            quality: imageQuality,
+            style: imageStyle,
+          }));
         }
       } catch (err) {
         console.error('Error loading providers:', err);
@@ -73,7 +158,9 @@ const ChunkCard = ({ chunk, scriptId, onChunkUpdated }) => {
     setError('');
 
     try {
-      const result = await scriptAPI.generateImage(scriptId, chunk.id, imageColor, imageQuality, imageStyle, imageProvider);
+      const result = await scriptAPI.generateImage(scriptId, chunk.id, imageColor, imageQuality, imageStyle, imageProvider, {
+        candidates: candidateCount,
+      });
       console.log('Image generated:', result);
       
       if (onChunkUpdated) {
@@ -81,7 +168,85 @@ const ChunkCard = ({ chunk, scriptId, onChunkUpdated }) => {
       }
     } catch (err) {
       console.error('Error generating image:', err);
-      setError(err.response?.data?.error || 'Failed to generate image');
+      setError(err.response?.data?.error ? describeImageError(err.response.data) : 'Failed to generate image');
+    } finally {
+      setGeneratingImage(false);
+    }
+  };
+
+  const handleSelectCandidate = async (candidateIndex) => {
+    setSelectingCandidate(candidateIndex);
+    setError('');
+
+    try {
+      const result = await scriptAPI.selectImageCandidate(scriptId, chunk.id, candidateIndex);
+      if (onChunkUpdated) {
+        onChunkUpdated(result.chunk);
+      }
+    } catch (err) {
+      console.error('Error selecting image candidate:', err);
+      setError(err.response?.data?.error || 'Failed to select image candidate');
+    } finally {
+      setSelectingCandidate(null);
+    }
+  };
+
+  const handleRestoreVersion = async (versionId) => {
+    setRestoringVersion(versionId);
+    setError('');
+
+    try {
+      const result = await scriptAPI.restoreImageVersion(scriptId, chunk.id, versionId);
+      if (onChunkUpdated) {
+        onChunkUpdated(result.chunk);
+      }
+    } catch (err) {
+      console.error('Error restoring image version:', err);
+      setError(err.response?.data?.error || 'Failed to restore image version');
+    } finally {
+      setRestoringVersion(null);
+    }
+  };
+
+  // Newest first; a version is current while the chunk shows one of its images
+  const imageHistory = [...(chunk.imageHistory || [])].reverse();
+  const isCurrentVersion = (version) => (
+    (version.imageUrl && version.imageUrl === chunk.imageUrl) ||
+    (version.secondaryImageUrl && version.secondaryImageUrl === chunk.secondaryImageUrl)
+  );
+  const currentVersion = imageHistory.find(isCurrentVersion);
+
+  // Generate again with a version's provider, options and prompts; prompts replaces them when edited
+  const handleRegenerateFromVersion = async (version, prompts = {}) => {
+    setGeneratingImage(true);
+    setError('');
+
+    try {
+      const result = await scriptAPI.generateImage(
+        scriptId,
+        chunk.id,
+        version.color || 'white',
+        version.quality || 'high',
+        version.style,
+        version.provider,
+        {
+          size: version.size || undefined,
+          seed: version.seed ?? undefined,
+          steps: version.steps ?? undefined,
+          negativePrompt: version.negativePrompt || undefined,
+          imageVariants: version.variants?.length ? version.variants : undefined,
+          prompt: (prompts.prompt ?? version.prompt) || undefined,
+          secondaryPrompt: (prompts.secondaryPrompt ?? version.secondaryPrompt) || undefined,
+        }
+      );
+
+      setPromptDraft(null);
+      if (onChunkUpdated) {
+        onChunkUpdated(result.chunk);
+      }
+    } catch (err) {
+      console.error('Error regenerating image:', err);
+      setError(err.response?.data?.error ? describeImageError(err.response.data) : 'Failed to regenerate image');
     } finally {
       setGeneratingImage(false);
     }
@@ -89,7 +254,7 @@ const ChunkCard = ({ chunk, scriptId, onChunkUpdated }) => {
 
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
+    const secs = Math.floor(seconds % 60);
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
@@ -105,7 +270,7 @@ const ChunkCard = ({ chunk, scriptId, onChunkUpdated }) => {
         <Box>
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
             <Typography level="title-md" sx={{ fontWeight: 'normal' }}>
-              Chunk {chunk.id.split('_').pop()}
+              Chunk {index + 1}
             </Typography>
             <Chip size="sm" variant="soft" color="primary">
               {formatTime(chunk.startTime)} - {formatTime(chunk.endTime)}
@@ -115,15 +280,102 @@ const ChunkCard = ({ chunk, scriptId, onChunkUpdated }) => {
                 {chunk.topic}
               </Chip>
             )}
+            {chunk.imageStale && (
+              <Chip size="sm" variant="soft" color="warning">
+                Image outdated
+              </Chip>
+            )}
+            {liveStatus?.status === 'processing' && (
+              <Chip
+                size="sm"
+                variant="soft"
+                color="primary"
+                startDecorator={<CircularProgress size="sm" sx={{ '--CircularProgress-size': '12px' }} />}
+              >
+                Generating image
+              </Chip>
+            )}
+            {liveStatus?.status === 'failed' && (
+              <Chip size="sm" variant="soft" color="danger" title={liveStatus.error}>
+                Batch image failed{liveStatus.errorType && liveStatus.errorType !== 'unknown' ? ` (${liveStatus.errorType.replace('_', ' ')})` : ''}
+              </Chip>
+            )}
           </Box>
           
-          <Typography level="body-md" sx={{ 
-            lineHeight: 1.7, 
-            fontWeight: 'normal',
-            color: 'text.primary'
-          }}>
-            {chunk.content}
-          </Typography>
+          {editMode === 'edit' ? (
+            <Textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              minRows={3}
+              disabled={editing}
+              sx={{ fontSize: '14px', lineHeight: 1.6 }}
+            />
+          ) : (
+            <Typography level="body-md" sx={{ 
+              lineHeight: 1.7, 
+              fontWeight: 'normal',
+              color: 'text.primary'
+            }}>
+              {chunk.content}
+            </Typography>
+          )}
+
+          {editMode === 'split' && (
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'end', mt: 2 }}>
+              <FormControl>
+                <FormLabel sx={{ fontWeight: 'normal' }}>Split after word (1-{wordCount - 1})</FormLabel>
+                <Input
+                  type="number"
+                  size="sm"
+                  value={splitOffset}
+                  onChange={(e) => setSplitOffset(e.target.value)}
+                  slotProps={{ input: { min: 1, max: wordCount - 1 } }}
+                  disabled={editing}
+                />
+              </FormControl>
+              <Typography level="body-xs" color="neutral" sx={{ flex: 1 }}>
+                {chunk.content.trim().split(/\s+/).slice(0, parseInt(splitOffset, 10) || 0).join(' ')} <strong>|</strong>
+              </Typography>
+            </Box>
+          )}
+
+          {editMode === 'insert' && (
+            <Box sx={{ mt: 2 }}>
+              <FormLabel sx={{ fontWeight: 'normal', mb: 1 }}>New chunk after this one</FormLabel>
+              <Textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                minRows={2}
+                placeholder="Text for the new chunk..."
+                disabled={editing}
+                sx={{ fontSize: '14px', lineHeight: 1.6 }}
+              />
+            </Box>
+          )}
+
+          {editMode && (
+            <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+              <Button
+                size="sm"
+                loading={editing}
+                onClick={editMode === 'edit' ? handleSaveEdit : editMode === 'split' ? handleSplit : handleInsertAfter}
+                disabled={(editMode !== 'split' && !draft.trim())}
+                sx={{ fontWeight: 'normal' }}
+              >
+                {editMode === 'edit' ? 'Save Text' : editMode === 'split' ? 'Split Chunk' : 'Insert Chunk'}
+              </Button>
+              <Button
+                size="sm"
+                variant="plain"
+                color="neutral"
+                onClick={() => setEditMode(null)}
+                disabled={editing}
+                sx={{ fontWeight: 'normal' }}
+              >
+                Cancel
+              </Button>
+            </Box>
+          )}
         </Box>
 
         <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
@@ -132,15 +384,40 @@ const ChunkCard = ({ chunk, scriptId, onChunkUpdated }) => {
             size="sm"
             onClick={handleRegenerate}
             loading={regenerating}
-            disabled={generatingImage}
+            disabled={generatingImage || editing}
             sx={{ fontWeight: 'normal' }}
           >
             {regenerating ? 'Regenerating' : 'Regenerate Text'}
           </Button>
+
+          <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1 }}>
+            <Button variant="outlined" size="sm" color="neutral" onClick={() => openEditMode('edit')} disabled={editing} sx={{ fontWeight: 'normal' }}>
+              Edit
+            </Button>
+            <Button variant="outlined" size="sm" color="neutral" onClick={() => openEditMode('split')} disabled={editing || wordCount < 2} sx={{ fontWeight: 'normal' }}>
+              Split
+            </Button>
+            <Button variant="outlined" size="sm" color="neutral" onClick={handleMergeNext} disabled={editing || index >= totalChunks - 1} sx={{ fontWeight: 'normal' }}>
+              Merge Next
+            </Button>
+            <Button variant="outlined" size="sm" color="neutral" onClick={() => openEditMode('insert')} disabled={editing} sx={{ fontWeight: 'normal' }}>
+              Insert After
+            </Button>
+            <Button variant="outlined" size="sm" color="neutral" onClick={() => handleMove(-1)} disabled={editing || index === 0} sx={{ fontWeight: 'normal' }}>
+              ↑ Move Up
+            </Button>
+            <Button variant="outlined" size="sm" color="neutral" onClick={() => handleMove(1)} disabled={editing || index >= totalChunks - 1} sx={{ fontWeight: 'normal' }}>
+              ↓ Move Down
+            </Button>
+          </Box>
+
+          <Button variant="outlined" size="sm" color="danger" onClick={handleDelete} disabled={editing} sx={{ fontWeight: 'normal' }}>
+            Delete Chunk
+          </Button>
         </Box>
       </Box>
 
-      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '2fr 1fr 1fr 1fr auto' }, gap: 2, alignItems: 'end', mb: 3 }}>
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '2fr 1fr 1fr 1fr 1fr auto' }, gap: 2, alignItems: 'end', mb: 3 }}>
         <FormControl>
           <FormLabel sx={{ fontWeight: 'normal' }}>Image Color</FormLabel>
           <Input
@@ -151,46 +428,23 @@ const ChunkCard = ({ chunk, scriptId, onChunkUpdated }) => {
           />
         </FormControl>
         
+        <ImageOptionFields
+          providers={providers}
+          provider={imageProvider}
+          quality={imageQuality}
+          style={imageStyle}
+          onChange={applyImageOptions}
+        />
+
         <FormControl>
-          <FormLabel sx={{ fontWeight: 'normal' }}>Quality</FormLabel>
-          <Select
-            value={imageQuality}
-            onChange={(event, newValue) => setImageQuality(newValue)}
-            size="sm"
-          >
-            <Option value="low">Low</Option>
-            <Option value="medium">Medium</Option>
-            <Option value="high">High</Option>
-            <Option value="auto">Auto</Option>
-          </Select>
-        </FormControl>
-        
-        <FormControl>
-          <FormLabel sx={{ fontWeight: 'normal' }}>Style</FormLabel>
-          <Select
-            value={imageStyle}
-            onChange={(event, newValue) => setImageStyle(newValue)}
-            size="sm"
-          >
-            <Option value="infographic">Infographic</Option>
-            <Option value="drawing">Drawing</Option>
-            <Option value="illustration">Illustration</Option>
-            <Option value="abstract">Abstract</Option>
-          </Select>
-        </FormControl>
-        
-        <FormControl>
-          <FormLabel sx={{ fontWeight: 'normal' }}>Provider</FormLabel>
+          <FormLabel sx={{ fontWeight: 'normal' }}>Candidates</FormLabel>
           <Select
-            value={imageProvider}
-            onChange={(event, newValue) => setImageProvider(newValue)}
-            disabled={!providers}
+            value={candidateCount}
+            onChange={(event, newValue) => setCandidateCount(newValue)}
             size="sm"
           >
-            {providers?.available.map(provider => (
-              <Option key={provider} value={provider}>
-                {providers.providers[provider]?.name || provider}
-              </Option>
+            {CANDIDATE_COUNTS.map(count => (
+              <Option key={count} value={count}>{count}</Option>
             ))}
           </Select>
         </FormControl>
@@ -207,69 +461,268 @@ const ChunkCard = ({ chunk, scriptId, onChunkUpdated }) => {
         </Button>
       </Box>
 
-      {chunk.imageUrl && (
+      {(chunk.imageUrl || chunk.secondaryImageUrl) && (
         <Box>
-          <Typography level="title-md" sx={{ fontWeight: 'normal', mb: 2 }}>
-            Generated Images
-          </Typography>
-          
-          <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: chunk.secondaryImageUrl ? '1fr 1fr' : '1fr' }, gap: 3 }}>
-            {/* Main Image (Scene with Characters) */}
-            <Box>
-              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
-                <Box>
-                  <Typography level="title-sm" sx={{ fontWeight: 'normal' }}>
-                    🎬 Main Image {chunk.sceneDescription && '(Scene)'}
-                  </Typography>
-                  {chunk.imageProvider && (
-                    <Typography level="body-xs" color="neutral" sx={{ mt: 0.5 }}>
-                      Provider: {providers?.providers[chunk.imageProvider]?.name || chunk.imageProvider}
-                    </Typography>
-                  )}
-                  {chunk.sceneDescription && (
-                    <Typography level="body-xs" color="primary" sx={{ mt: 0.5, fontStyle: 'italic' }}>
-                      {chunk.sceneDescription}
-                    </Typography>
-                  )}
-                </Box>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography level="title-md" sx={{ fontWeight: 'normal' }}>
+              Generated Images
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              {currentVersion && (
                 <Button
-                  variant="outlined"
+                  variant="plain"
                   size="sm"
-                  onClick={() => {
-                    const filename = chunk.imageUrl.split('/').pop();
-                    const downloadUrl = `${chunk.imageUrl}/download`;
-                    const link = document.createElement('a');
-                    link.href = downloadUrl;
-                    link.download = filename;
-                    document.body.appendChild(link);
-                    link.click();
-                    document.body.removeChild(link);
-                  }}
+                  color="neutral"
+                  onClick={() => setShowDetails(!showDetails)}
                   sx={{ fontWeight: 'normal' }}
-                  title={`Download: ${chunk.imageUrl.split('/').pop()}`}
                 >
-                  Download
+                  {showDetails ? 'Hide Details' : 'Details'}
                 </Button>
-              </Box>
-              <AspectRatio ratio="1">
-                <img
-                  src={chunk.imageUrl}
-                  alt={`Main image: ${chunk.sceneDescription || chunk.topic || 'scene'}`}
-                  style={{
-                    objectFit: 'contain',
-                    borderRadius: '8px',
-                  }}
-                  onLoad={() => console.log('Main image loaded successfully')}
-                  onError={(e) => {
-                    console.error('Main image failed to load:', e);
-                    console.log('Image URL:', chunk.imageUrl);
-                  }}
-                />
-              </AspectRatio>
-              <Typography level="body-xs" color="neutral" sx={{ mt: 1, fontFamily: 'monospace', wordBreak: 'break-all' }}>
-                {chunk.imageUrl.split('/').pop()}
-              </Typography>
+              )}
+              {imageHistory.length > 1 && (
+                <Button
+                  variant="plain"
+                  size="sm"
+                  color="neutral"
+                  onClick={() => setShowHistory(!showHistory)}
+                  sx={{ fontWeight: 'normal' }}
+                >
+                  {showHistory ? 'Hide History' : `History (${imageHistory.length})`}
+                </Button>
+              )}
             </Box>
+          </Box>
+
+          {showDetails && currentVersion && (
+            <Card variant="soft" sx={{ p: 2, mb: 3, gap: 1.5 }}>
+              <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', md: 'repeat(4, 1fr)' }, gap: 1 }}>
+                {[
+                  ['Provider', providers?.providers[currentVersion.provider]?.name || currentVersion.provider],
+                  ['Model', currentVersion.model],
+                  ['Style', currentVersion.style],
+                  ['Quality', currentVersion.quality],
+                  ['Color', currentVersion.color],
+                  ['Size', currentVersion.size],
+                  ['Seed', currentVersion.seed],
+                  ['Steps', currentVersion.steps],
+                  ['Task', [currentVersion.taskId, currentVersion.secondaryTaskId].filter(Boolean).join(', ')],
+                  ['Generated', currentVersion.generatedAt && new Date(currentVersion.generatedAt).toLocaleString()],
+                ].filter(([, value]) => value !== undefined && value !== null && value !== '').map(([label, value]) => (
+                  <Box key={label}>
+                    <Typography level="body-xs" color="neutral">{label}</Typography>
+                    <Typography level="body-sm" sx={{ wordBreak: 'break-all' }}>{value}</Typography>
+                  </Box>
+                ))}
+              </Box>
+
+              {promptDraft ? (
+                <Stack spacing={1}>
+                  <FormControl>
+                    <FormLabel sx={{ fontWeight: 'normal' }}>{currentVersion.secondaryPrompt ? 'Scene prompt' : 'Prompt'}</FormLabel>
+                    <Textarea
+                      value={promptDraft.prompt}
+                      onChange={(e) => setPromptDraft({ ...promptDraft, prompt: e.target.value })}
+                      minRows={3}
+                      disabled={generatingImage}
+                      sx={{ fontFamily: 'monospace', fontSize: '12px' }}
+                    />
+                  </FormControl>
+                  {currentVersion.secondaryPrompt && (
+                    <FormControl>
+                      <FormLabel sx={{ fontWeight: 'normal' }}>Symbol prompt</FormLabel>
+                      <Textarea
+                        value={promptDraft.secondaryPrompt}
+                        onChange={(e) => setPromptDraft({ ...promptDraft, secondaryPrompt: e.target.value })}
+                        minRows={3}
+                        disabled={generatingImage}
+                        sx={{ fontFamily: 'monospace', fontSize: '12px' }}
+                      />
+                    </FormControl>
+                  )}
+                </Stack>
+              ) : (
+                [['Prompt', currentVersion.prompt], ['Symbol prompt', currentVersion.secondaryPrompt]]
+                  .filter(([, prompt]) => prompt)
+                  .map(([label, prompt]) => (
+                    <Box key={label}>
+                      <Typography level="body-xs" color="neutral">{label}</Typography>
+                      <Typography level="body-xs" sx={{ fontFamily: 'monospace', whiteSpace: 'pre-wrap' }}>{prompt}</Typography>
+                    </Box>
+                  ))
+              )}
+
+              {currentVersion.providerMetadata && Object.keys(currentVersion.providerMetadata).length > 0 && (
+                <Box>
+                  <Typography level="body-xs" color="neutral">Provider response</Typography>
+                  <Typography level="body-xs" sx={{ fontFamily: 'monospace', whiteSpace: 'pre-wrap' }}>
+                    {JSON.stringify(currentVersion.providerMetadata, null, 2)}
+                  </Typography>
+                </Box>
+              )}
+
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                {promptDraft ? (
+                  <>
+                    <Button
+                      size="sm"
+                      onClick={() => handleRegenerateFromVersion(currentVersion, promptDraft)}
+                      loading={generatingImage}
+                      disabled={!promptDraft.prompt.trim() || (currentVersion.secondaryPrompt && !promptDraft.secondaryPrompt.trim())}
+                      sx={{ fontWeight: 'normal' }}
+                    >
+                      Regenerate with Edited Prompt
+                    </Button>
+                    <Button size="sm" variant="plain" color="neutral" onClick={() => setPromptDraft(null)} disabled={generatingImage} sx={{ fontWeight: 'normal' }}>
+                      Cancel
+                    </Button>
+                  </>
+                ) : (
+                  <>
+                    <Button
+                      size="sm"
+                      variant="outlined"
+                      onClick={() => handleRegenerateFromVersion(currentVersion)}
+                      loading={generatingImage}
+                      disabled={regenerating}
+                      sx={{ fontWeight: 'normal' }}
+                    >
+                      Regenerate with Same Settings
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outlined"
+                      color="neutral"
+                      onClick={() => setPromptDraft({ prompt: currentVersion.prompt || '', secondaryPrompt: currentVersion.secondaryPrompt || '' })}
+                      disabled={generatingImage || regenerating}
+                      sx={{ fontWeight: 'normal' }}
+                    >
+                      Edit Prompt
+                    </Button>
+                  </>
+                )}
+              </Box>
+            </Card>
+          )}
+
+          {showHistory && (
+            <Stack spacing={1} sx={{ mb: 3 }}>
+              {imageHistory.map(version => {
+                const current = isCurrentVersion(version);
+                return (
+                  <Card
+                    key={version._id}
+                    variant={current ? 'soft' : 'outlined'}
+                    color={current ? 'primary' : 'neutral'}
+                    orientation="horizontal"
+                    sx={{ p: 1, gap: 2, alignItems: 'center' }}
+                  >
+                    <Box sx={{ display: 'flex', gap: 1, flexShrink: 0 }}>
+                      {[version.imageUrl, version.secondaryImageUrl].filter(Boolean).map(url => (
+                        <AspectRatio key={url} ratio="1" sx={{ width: 64 }}>
+                          <img src={url} alt="Earlier version" style={{ objectFit: 'contain', borderRadius: '4px' }} />
+                        </AspectRatio>
+                      ))}
+                    </Box>
+                    <Box sx={{ flex: 1, minWidth: 0 }}>
+                      <Typography level="body-sm">
+                        {new Date(version.generatedAt).toLocaleString()} · {providers?.providers[version.provider]?.name || version.provider} · {version.style}
+                        {version.seed !== undefined && version.seed !== null && ` · seed ${version.seed}`}
+                      </Typography>
+                      {version.prompt && (
+                        <Typography level="body-xs" color="neutral" noWrap title={version.prompt}>
+                          {version.prompt}
+                        </Typography>
+                      )}
+                      {version.content !== chunk.content && (
+                        <Typography level="body-xs" color="warning">
+                          Generated for earlier chunk text
+                        </Typography>
+                      )}
+                    </Box>
+                    {current ? (
+                      <Chip size="sm" variant="soft" color="primary">Current</Chip>
+                    ) : (
+                      <Button
+                        size="sm"
+                        variant="outlined"
+                        onClick={() => handleRestoreVersion(version._id)}
+                        loading={restoringVersion === version._id}
+                        disabled={restoringVersion !== null || generatingImage}
+                        sx={{ fontWeight: 'normal' }}
+                      >
+                        Restore
+                      </Button>
+                    )}
+                  </Card>
+                );
+              })}
+            </Stack>
+          )}
+          
+          <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: chunk.imageUrl && chunk.secondaryImageUrl ? '1fr 1fr' : '1fr' }, gap: 3 }}>
+            {/* Main Image (Scene with Characters) */}
+            {chunk.imageUrl && (
+              <Box>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                  <Box>
+                    <Typography level="title-sm" sx={{ fontWeight: 'normal' }}>
+                      🎬 Main Image {chunk.sceneDescription && '(Scene)'}
+                    </Typography>
+                    {chunk.imageProvider && (
+                      <Typography level="body-xs" color="neutral" sx={{ mt: 0.5 }}>
+                        Provider: {providers?.providers[chunk.imageProvider]?.name || chunk.imageProvider}
+                      </Typography>
+                    )}
+                    {chunk.imageAttempts?.length > 0 && (
+                      <Typography level="body-xs" color="warning" sx={{ mt: 0.5 }}>
+                        Fallback after {chunk.imageAttempts.map(attempt => `${attempt.provider} (${attempt.errorType.replace('_', ' ')})`).join(', ')}
+                      </Typography>
+                    )}
+                    {chunk.sceneDescription && (
+                      <Typography level="body-xs" color="primary" sx={{ mt: 0.5, fontStyle: 'italic' }}>
+                        {chunk.sceneDescription}
+                      </Typography>
+                    )}
+                  </Box>
+                  <Button
+                    variant="outlined"
+                    size="sm"
+                    onClick={() => {
+                      const filename = chunk.imageUrl.split('/').pop();
+                      const downloadUrl = `${chunk.imageUrl}/download`;
+                      const link = document.createElement('a');
+                      link.href = downloadUrl;
+                      link.download = filename;
+                      document.body.appendChild(link);
+                      link.click();
+                      document.body.removeChild(link);
+                    }}
+                    sx={{ fontWeight: 'normal' }}
+                    title={`Download: ${chunk.imageUrl.split('/').pop()}`}
+                  >
+                    Download
+                  </Button>
+                </Box>
+                <AspectRatio ratio="1">
+                  <img
+                    src={chunk.imageUrl}
+                    alt={`Main image: ${chunk.sceneDescription || chunk.topic || 'scene'}`}
+                    style={{
+                      objectFit: 'contain',
+                      borderRadius: '8px',
+                    }}
+                    onLoad={() => console.log('Main image loaded successfully')}
+                    onError={(e) => {
+                      console.error('Main image failed to load:', e);
+                      console.log('Image URL:', chunk.imageUrl);
+                    }}
+                  />
+                </AspectRatio>
+                <Typography level="body-xs" color="neutral" sx={{ mt: 1, fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                  {chunk.imageUrl.split('/').pop()}
+                </Typography>
+              </Box>
+            )}
 
             {/* Secondary Image (Symbol/Object) */}
             {chunk.secondaryImageUrl && (
@@ -325,6 +778,48 @@ const ChunkCard = ({ chunk, scriptId, onChunkUpdated }) => {
               </Box>
             )}
           </Box>
+
+          {chunk.imageCandidates?.length > 1 && (
+            <Box sx={{ mt: 3 }}>
+              <Typography level="title-sm" sx={{ fontWeight: 'normal', mb: 1 }}>
+                Candidates ({chunk.imageCandidates.length})
+              </Typography>
+              <Typography level="body-xs" color="neutral" sx={{ mb: 2 }}>
+                The selected candidate is the one shown above and used in exports
+              </Typography>
+              <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', md: `repeat(${chunk.imageCandidates.length}, 1fr)` }, gap: 2 }}>
+                {chunk.imageCandidates.map((candidate, candidateIndex) => {
+                  const selected = candidateIndex === chunk.selectedImageCandidate;
+                  return (
+                    <Card
+                      key={candidateIndex}
+                      variant={selected ? 'soft' : 'outlined'}
+                      color={selected ? 'primary' : 'neutral'}
+                      sx={{ p: 1, gap: 1 }}
+                    >
+                      <Box sx={{ display: 'grid', gridTemplateColumns: candidate.imageUrl && candidate.secondaryImageUrl ? '1fr 1fr' : '1fr', gap: 1 }}>
+                        {[candidate.imageUrl, candidate.secondaryImageUrl].filter(Boolean).map(url => (
+                          <AspectRatio key={url} ratio="1">
+                            <img src={url} alt={`Candidate ${candidateIndex + 1}`} style={{ objectFit: 'contain', borderRadius: '4px' }} />
+                          </AspectRatio>
+                        ))}
+                      </Box>
+                      <Button
+                        size="sm"
+                        variant={selected ? 'solid' : 'outlined'}
+                        onClick={() => handleSelectCandidate(candidateIndex)}
+                        loading={selectingCandidate === candidateIndex}
+                        disabled={selected || selectingCandidate !== null || generatingImage}
+                        sx={{ fontWeight: 'normal' }}
+                      >
+                        {selected ? 'Selected' : `Use Candidate ${candidateIndex + 1}`}
+                      </Button>
+                    </Card>
+                  );
+                })}
+              </Box>
+            </Box>
+          )}
         </Box>
       )}
     </Card>
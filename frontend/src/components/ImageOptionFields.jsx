@@ -0,0 +1,102 @@
+import React from 'react';
+import {
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Select,
+  Option,
+} from '@mui/joy';
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Candidate images a generation can ask for per chunk (the server's MAX_IMAGE_CANDIDATES)
+export const CANDIDATE_COUNTS = [1, 2, 3, 4];
+
+// Provider to preselect: the server's default when available, otherwise the first available one
+export const pickDefaultProvider = (providerData) => {
+  if (!providerData?.available?.length) return null;
+  return providerData.available.includes(providerData.default)
+    ? providerData.default
+    : providerData.available[0];
+};
+
+// Keep the style and quality valid for the provider's capabilities
+export const fitOptionsToProvider = (providerData, provider, options) => {
+  const capabilities = providerData?.providers?.[provider]?.capabilities;
+  if (!capabilities) return options;
+
+  return {
+    ...options,
+    style: capabilities.styles.includes(options.style) ? options.style : capabilities.styles[0],
+    quality: capabilities.qualities.length === 0 || capabilities.qualities.includes(options.quality)
+      ? options.quality
+      : capabilities.qualities[capabilities.qualities.length - 1],
+  };
+};
+
+/**
+ * Quality, style and provider selects driven by the provider capabilities from GET /scripts/providers.
+ * Renders three form controls so it can sit inside the caller's grid.
+ */
+const ImageOptionFields = ({ providers, provider, quality, style, onChange, disabled = false }) => {
+  const capabilities = providers?.providers?.[provider]?.capabilities;
+  const styles = capabilities?.styles || [style];
+  const qualities = capabilities?.qualities || [];
+  const dualImage = capabilities?.dualImageStyles?.includes(style);
+
+  const handleProviderChange = (newProvider) => {
+    onChange(fitOptionsToProvider(providers, newProvider, { provider: newProvider, quality, style }));
+  };
+
+  return (
+    <>
+      <FormControl>
+        <FormLabel sx={{ fontWeight: 'normal' }}>Quality</FormLabel>
+        <Select
+          value={qualities.length > 0 ? quality : null}
+          placeholder="Not used"
+          onChange={(event, newValue) => onChange({ provider, style, quality: newValue })}
+          disabled={disabled || qualities.length === 0}
+          size="sm"
+        >
+          {qualities.map(value => (
+            <Option key={value} value={value}>{capitalize(value)}</Option>
+          ))}
+        </Select>
+      </FormControl>
+
+      <FormControl>
+        <FormLabel sx={{ fontWeight: 'normal' }}>Style</FormLabel>
+        <Select
+          value={style}
+          onChange={(event, newValue) => onChange({ provider, quality, style: newValue })}
+          disabled={disabled}
+          size="sm"
+        >
+          {styles.map(value => (
+            <Option key={value} value={value}>{capitalize(value)}</Option>
+          ))}
+        </Select>
+        {dualImage && <FormHelperText>Scene + symbol images</FormHelperText>}
+      </FormControl>
+
+      <FormControl>
+        <FormLabel sx={{ fontWeight: 'normal' }}>Provider</FormLabel>
+        <Select
+          value={provider}
+          onChange={(event, newValue) => handleProviderChange(newValue)}
+          disabled={disabled || !providers}
+          size="sm"
+        >
+          {providers?.available.map(id => (
+            <Option key={id} value={id}>
+              {providers.providers[id]?.name || id}
+            </Option>
+          ))}
+        </Select>
+      </FormControl>
+    </>
+  );
+};
+
+export default ImageOptionFields;
@@ -0,0 +1,397 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  Typography,
+  Button,
+  Select,
+  Option,
+  FormControl,
+  FormLabel,
+  Input,
+  Alert,
+  Chip,
+  Switch,
+  Table,
+} from '@mui/joy';
+import { scriptAPI } from '../services/api';
+
+const PAGE_SIZE = 25;
+
+const STATUS_COLORS = {
+  pending: 'neutral',
+  processing: 'primary',
+  paused: 'warning',
+  completed: 'success',
+  failed: 'danger',
+  cancelled: 'neutral',
+};
+
+const TYPE_LABELS = {
+  batch_image_generation: 'Batch images',
+  script_chunking: 'Chunking',
+  animatic_render: 'Animatic',
+};
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const StatusChip = ({ status }) => (
+  <Chip size="sm" variant="soft" color={STATUS_COLORS[status] || 'neutral'}>
+    {status}
+  </Chip>
+);
+
+const JobsDashboard = () => {
+  const [scripts, setScripts] = useState([]);
+  const [filters, setFilters] = useState({ scriptId: '', status: '', type: '', from: '', to: '' });
+  const [offset, setOffset] = useState(0);
+  const [jobs, setJobs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [selectedJobId, setSelectedJobId] = useState(null);
+  const [jobDetail, setJobDetail] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [autoRefresh, setAutoRefresh] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    scriptAPI.getScripts()
+      .then(setScripts)
+      .catch(err => console.error('Error loading scripts:', err));
+  }, []);
+
+  const loadJobs = useCallback(async (showLoading = true) => {
+    if (showLoading) setLoading(true);
+    setError('');
+
+    try {
+      // Dates from the inputs cover whole local days
+      const params = {
+        scriptId: filters.scriptId || undefined,
+        status: filters.status || undefined,
+        type: filters.type || undefined,
+        from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : undefined,
+        to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : undefined,
+        limit: PAGE_SIZE,
+        offset,
+      };
+      const response = await scriptAPI.jobs.list(params);
+      setJobs(response.jobs || []);
+      setTotal(response.total || 0);
+    } catch (err) {
+      setError(`Failed to load jobs: ${err.response?.data?.error || err.message}`);
+      console.error('Error loading jobs:', err);
+    } finally {
+      if (showLoading) setLoading(false);
+    }
+  }, [filters, offset]);
+
+  const loadJobDetail = useCallback(async (jobId) => {
+    try {
+      setJobDetail(await scriptAPI.jobs.get(jobId));
+    } catch (err) {
+      setError(`Failed to load job: ${err.response?.data?.error || err.message}`);
+      console.error('Error loading job:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  useEffect(() => {
+    if (selectedJobId) {
+      loadJobDetail(selectedJobId);
+    } else {
+      setJobDetail(null);
+    }
+  }, [selectedJobId, loadJobDetail]);
+
+  // Auto-refresh the list and the open job
+  useEffect(() => {
+    let interval;
+    if (autoRefresh) {
+      interval = setInterval(() => {
+        loadJobs(false);
+        if (selectedJobId) loadJobDetail(selectedJobId);
+      }, 3000);
+    }
+    return () => {
+      if (interval) clearInterval(interval);
+    };
+  }, [autoRefresh, selectedJobId, loadJobs, loadJobDetail]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value || '' }));
+    setOffset(0);
+  };
+
+  const handleRetryFailed = async () => {
+    try {
+      const result = await scriptAPI.jobs.retryFailed(jobDetail.jobId);
+      console.log('Retrying failed chunks:', result);
+      loadJobs(false);
+      loadJobDetail(jobDetail.jobId);
+    } catch (err) {
+      setError(`Failed to retry failed chunks: ${err.response?.data?.error || err.message}`);
+      console.error('Error retrying failed chunks:', err);
+    }
+  };
+
+  const failedChunks = jobDetail?.chunks?.filter(chunk => chunk.status === 'failed') || [];
+  const canRetryFailed = jobDetail?.type === 'batch_image_generation' && failedChunks.length > 0 &&
+    (jobDetail.status === 'completed' || jobDetail.status === 'failed');
+
+  return (
+    <Box>
+      <Card variant="outlined" sx={{ p: 3, mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+          <Typography level="h4">
+            ⚙️ Jobs
+          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Typography level="body-sm" sx={{ fontWeight: 'normal' }}>
+              Auto-refresh
+            </Typography>
+            <Switch checked={autoRefresh} onChange={(event) => setAutoRefresh(event.target.checked)} />
+            <Button variant="outlined" onClick={() => loadJobs()} loading={loading} sx={{ fontWeight: 'normal' }}>
+              Refresh
+            </Button>
+          </Box>
+        </Box>
+
+        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '2fr 1fr 1fr 1fr 1fr' }, gap: 2, mb: 3 }}>
+          <FormControl>
+            <FormLabel sx={{ fontWeight: 'normal' }}>Script</FormLabel>
+            <Select
+              value={filters.scriptId}
+              onChange={(event, value) => updateFilter('scriptId', value)}
+              placeholder="All scripts"
+            >
+              <Option value="">All scripts</Option>
+              {scripts.map(script => (
+                <Option key={script._id} value={script._id}>{script.title}</Option>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl>
+            <FormLabel sx={{ fontWeight: 'normal' }}>Status</FormLabel>
+            <Select value={filters.status} onChange={(event, value) => updateFilter('status', value)}>
+              <Option value="">Any status</Option>
+              {Object.keys(STATUS_COLORS).map(status => (
+                <Option key={status} value={status} sx={{ textTransform: 'capitalize' }}>{status}</Option>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl>
+            <FormLabel sx={{ fontWeight: 'normal' }}>Type</FormLabel>
+            <Select value={filters.type} onChange={(event, value) => updateFilter('type', value)}>
+              <Option value="">Any type</Option>
+              {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                <Option key={type} value={type}>{label}</Option>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl>
+            <FormLabel sx={{ fontWeight: 'normal' }}>From</FormLabel>
+            <Input type="date" value={filters.from} onChange={(event) => updateFilter('from', event.target.value)} />
+          </FormControl>
+          <FormControl>
+            <FormLabel sx={{ fontWeight: 'normal' }}>To</FormLabel>
+            <Input type="date" value={filters.to} onChange={(event) => updateFilter('to', event.target.value)} />
+          </FormControl>
+        </Box>
+
+        {error && (
+          <Alert color="danger" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {jobs.length === 0 ? (
+          <Typography level="body-sm" color="neutral" sx={{ fontWeight: 'normal' }}>
+            {loading ? 'Loading jobs...' : 'No jobs match these filters.'}
+          </Typography>
+        ) : (
+          <Table hoverRow size="sm" sx={{ '& tbody tr': { cursor: 'pointer' } }}>
+            <thead>
+              <tr>
+                <th style={{ width: '18%' }}>Created</th>
+                <th>Script</th>
+                <th style={{ width: '12%' }}>Type</th>
+                <th style={{ width: '11%' }}>Status</th>
+                <th style={{ width: '12%' }}>Progress</th>
+                <th style={{ width: '11%' }}>Provider</th>
+                <th style={{ width: '9%' }}>Duration</th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.map(job => (
+                <tr
+                  key={job.jobId}
+                  onClick={() => setSelectedJobId(job.jobId === selectedJobId ? null : job.jobId)}
+                  style={job.jobId === selectedJobId ? { background: 'var(--joy-palette-primary-softBg)' } : undefined}
+                >
+                  <td>{formatDate(job.createdAt)}</td>
+                  <td>{job.scriptTitle || <Typography level="body-xs" color="neutral">deleted script</Typography>}</td>
+                  <td>{TYPE_LABELS[job.type] || job.type}</td>
+                  <td><StatusChip status={job.status} /></td>
+                  <td>
+                    {job.progress.processedChunks}/{job.progress.totalChunks}
+                    {job.progress.failedChunks > 0 && (
+                      <Typography level="body-xs" color="danger"> ({job.progress.failedChunks} failed)</Typography>
+                    )}
+                  </td>
+                  <td>{job.provider || '—'}</td>
+                  <td>{formatDuration(job.durationMs)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+
+        {total > PAGE_SIZE && (
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: 2, mt: 2 }}>
+            <Typography level="body-sm" color="neutral" sx={{ fontWeight: 'normal' }}>
+              {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+            </Typography>
+            <Button
+              size="sm"
+              variant="outlined"
+              disabled={offset === 0}
+              onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+              sx={{ fontWeight: 'normal' }}
+            >
+              Previous
+            </Button>
+            <Button
+              size="sm"
+              variant="outlined"
+              disabled={offset + PAGE_SIZE >= total}
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              sx={{ fontWeight: 'normal' }}
+            >
+              Next
+            </Button>
+          </Box>
+        )}
+      </Card>
+
+      {jobDetail && (
+        <Card variant="outlined" sx={{ p: 3, mb: 3 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+            <Box>
+              <Typography level="title-lg">
+                {TYPE_LABELS[jobDetail.type] || jobDetail.type} · {jobDetail.scriptTitle || 'deleted script'}
+              </Typography>
+              <Typography level="body-xs" color="neutral" sx={{ fontFamily: 'monospace' }}>
+                {jobDetail.jobId}
+              </Typography>
+            </Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+              <StatusChip status={jobDetail.status} />
+              {canRetryFailed && (
+                <Button size="sm" variant="outlined" onClick={handleRetryFailed} sx={{ fontWeight: 'normal' }}>
+                  🔁 Retry {failedChunks.length} Failed
+                </Button>
+              )}
+              <Button size="sm" variant="plain" color="neutral" onClick={() => setSelectedJobId(null)}>
+                Close
+              </Button>
+            </Box>
+          </Box>
+
+          <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', md: 'repeat(5, 1fr)' }, gap: 2, mb: 2 }}>
+            {[
+              ['Created', formatDate(jobDetail.createdAt)],
+              ['Started', formatDate(jobDetail.startedAt)],
+              ['Finished', formatDate(jobDetail.completedAt)],
+              ['Duration', formatDuration(jobDetail.durationMs)],
+              ['Progress', `${jobDetail.progress.processedChunks}/${jobDetail.progress.totalChunks} (${jobDetail.progress.failedChunks} failed)`],
+            ].map(([label, value]) => (
+              <Box key={label}>
+                <Typography level="body-xs" color="neutral" sx={{ mb: 0.5 }}>
+                  {label}
+                </Typography>
+                <Typography level="body-sm" sx={{ fontWeight: 'normal' }}>
+                  {value}
+                </Typography>
+              </Box>
+            ))}
+          </Box>
+
+          {jobDetail.type === 'batch_image_generation' && (
+            <Typography level="body-sm" color="neutral" sx={{ mb: 2, fontWeight: 'normal' }}>
+              {jobDetail.config.provider} · {jobDetail.config.style} · {jobDetail.config.quality} quality · {jobDetail.config.color}
+              {jobDetail.config.fallbackProviders?.length > 0 && ` · falls back to ${jobDetail.config.fallbackProviders.join(', ')}`}
+            </Typography>
+          )}
+
+          {jobDetail.error && (
+            <Alert color="danger" variant="soft" sx={{ mb: 2 }}>
+              {jobDetail.error}
+            </Alert>
+          )}
+
+          {jobDetail.chunks.length > 0 && (
+            <Table size="sm">
+              <thead>
+                <tr>
+                  <th style={{ width: '6%' }}>#</th>
+                  <th>Chunk</th>
+                  <th style={{ width: '12%' }}>Status</th>
+                  <th style={{ width: '12%' }}>Provider</th>
+                  <th style={{ width: '7%' }}>Runs</th>
+                  <th style={{ width: '10%' }}>Duration</th>
+                  <th style={{ width: '35%' }}>Error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {jobDetail.chunks.map(chunk => {
+                  const failedRuns = chunk.runs.filter(run => run.status === 'failed');
+                  return (
+                    <tr key={chunk.chunkId}>
+                      <td>{chunk.position ?? '—'}</td>
+                      <td>{chunk.topic || <Typography level="body-xs" sx={{ fontFamily: 'monospace' }}>{chunk.chunkId}</Typography>}</td>
+                      <td><StatusChip status={chunk.status} /></td>
+                      <td>
+                        {chunk.provider || '—'}
+                        {chunk.attempts?.length > 0 && (
+                          <Typography level="body-xs" color="neutral">
+                            {' '}after {chunk.attempts.map(attempt => attempt.provider).join(', ')}
+                          </Typography>
+                        )}
+                      </td>
+                      <td>{chunk.runs.length}</td>
+                      <td>{formatDuration(chunk.durationMs)}</td>
+                      <td>
+                        {chunk.error && (
+                          <Typography level="body-xs" color="danger" sx={{ wordBreak: 'break-word' }}>
+                            {chunk.errorType && `[${chunk.errorType}] `}{chunk.error}
+                          </Typography>
+                        )}
+                        {failedRuns.length > 1 && (
+                          <Typography level="body-xs" color="neutral">
+                            Failed {failedRuns.length} times: {failedRuns.map(run => run.errorType || 'unknown').join(', ')}
+                          </Typography>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          )}
+        </Card>
+      )}
+    </Box>
+  );
+};
+
+export default JobsDashboard;
@@ -0,0 +1,54 @@
+import React from 'react';
+import {
+  Box,
+  FormControl,
+  FormLabel,
+  Input,
+} from '@mui/joy';
+
+export const DEFAULT_PACING = {
+  wordsPerMinute: 180,
+  minChunkSeconds: 5,
+  maxChunkSeconds: 8,
+  imagesPerMinute: '',
+};
+
+// Convert form values to the numbers the API expects (empty images/minute means "no target")
+export const toPacingPayload = (pacing) => ({
+  wordsPerMinute: Number(pacing.wordsPerMinute),
+  minChunkSeconds: Number(pacing.minChunkSeconds),
+  maxChunkSeconds: Number(pacing.maxChunkSeconds),
+  imagesPerMinute: pacing.imagesPerMinute === '' || pacing.imagesPerMinute === null
+    ? null
+    : Number(pacing.imagesPerMinute),
+});
+
+const fields = [
+  { key: 'wordsPerMinute', label: 'Words / Minute', step: 5, min: 60 },
+  { key: 'minChunkSeconds', label: 'Min Chunk (s)', step: 0.5, min: 1 },
+  { key: 'maxChunkSeconds', label: 'Max Chunk (s)', step: 0.5, min: 1 },
+  { key: 'imagesPerMinute', label: 'Images / Minute', step: 1, min: 1, placeholder: 'Optional' },
+];
+
+const PacingFields = ({ pacing, onChange, disabled = false }) => {
+  return (
+    <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', md: '1fr 1fr 1fr 1fr' }, gap: 2 }}>
+      {fields.map(field => (
+        <FormControl key={field.key}>
+          <FormLabel sx={{ fontWeight: 'normal' }}>{field.label}</FormLabel>
+          <Input
+            type="number"
+            size="sm"
+            value={pacing[field.key] ?? ''}
+            placeholder={field.placeholder}
+            onChange={(e) => onChange({ ...pacing, [field.key]: e.target.value })}
+            slotProps={{ input: { step: field.step, min: field.min } }}
+            disabled={disabled}
+          />
+        </FormControl>
+      ))}
+    </Box>
+  );
+};
+
+export default PacingFields;
@@ -10,17 +10,70 @@ import {
   Card,
   CircularProgress,
   Alert,
+  Select,
+  Option,
+  Checkbox,
 } from '@mui/joy';
+import PacingFields, { DEFAULT_PACING, toPacingPayload } from './PacingFields';
 import { scriptAPI } from '../services/api';
 
 const ScriptForm = ({ onScriptCreated }) => {
   const [title, setTitle] = useState('');
   const [script, setScript] = useState('');
+  const [mode, setMode] = useState('auto');
+  const [chunker, setChunker] = useState('claude');
+  const [pacing, setPacing] = useState(DEFAULT_PACING);
+  const [subtitleFile, setSubtitleFile] = useState(null);
+  const [groupCues, setGroupCues] = useState(true);
+  const [generateTopics, setGenerateTopics] = useState(true);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  const isImport = chunker === 'subtitles';
+  const canSubmit = isImport ? !!subtitleFile : title.trim() && script.trim();
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const result = await scriptAPI.importSubtitles(subtitleFile, {
+        title: title.trim(),
+        pacing: toPacingPayload(pacing),
+        group: groupCues,
+        generateTopics,
+      });
+      console.log('Subtitles imported:', result);
+
+      if (result.topicsError) {
+        setError(`Imported, but topics could not be generated: ${result.topicsError}`);
+      }
+
+      setTitle('');
+      setSubtitleFile(null);
+
+      if (onScriptCreated) {
+        onScriptCreated(result.script);
+      }
+    } catch (err) {
+      console.error('Error importing subtitles:', err);
+      setError(err.response?.data?.error || 'Failed to import subtitle file. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    if (isImport) {
+      if (!subtitleFile) {
+        setError('Please choose an .srt or .vtt file');
+        return;
+      }
+      await handleImport();
+      return;
+    }
     
     if (!title.trim() || !script.trim()) {
       setError('Please provide both title and script content');
@@ -31,7 +84,11 @@ const ScriptForm = ({ onScriptCreated }) => {
     setError('');
 
     try {
-      const result = await scriptAPI.createScript(title.trim(), script.trim());
+      const result = await scriptAPI.createScript(title.trim(), script.trim(), {
+        mode,
+        chunker,
+        pacing: toPacingPayload(pacing),
+      });
       console.log('Script created:', result);
       
       // Clear form
@@ -63,54 +120,110 @@ const ScriptForm = ({ onScriptCreated }) => {
       )}
 
       <Box component="form" onSubmit={handleSubmit}>
-        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', lg: '1fr 2fr' }, gap: 3, mb: 3 }}>
+        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', lg: '1fr 1fr 1fr 2fr' }, gap: 3, mb: 3 }}>
           <FormControl>
             <FormLabel sx={{ fontWeight: 'normal' }}>Script Title</FormLabel>
             <Input
-              placeholder="Enter a descriptive title"
+              placeholder={isImport ? 'Defaults to the file name' : 'Enter a descriptive title'}
               value={title}
               onChange={(e) => setTitle(e.target.value)}
               disabled={loading}
-              required
+              required={!isImport}
             />
           </FormControl>
 
+          <FormControl>
+            <FormLabel sx={{ fontWeight: 'normal' }}>Chunker</FormLabel>
+            <Select
+              value={chunker}
+              onChange={(event, newValue) => setChunker(newValue)}
+              disabled={loading}
+            >
+              <Option value="claude">Claude AI</Option>
+              <Option value="local">Local (rule-based, offline)</Option>
+              <Option value="subtitles">Subtitle file (.srt / .vtt)</Option>
+            </Select>
+          </FormControl>
+
+          <FormControl>
+            <FormLabel sx={{ fontWeight: 'normal' }}>Chunking Mode</FormLabel>
+            <Select
+              value={mode}
+              onChange={(event, newValue) => setMode(newValue)}
+              disabled={loading || chunker !== 'claude'}
+            >
+              <Option value="auto">Auto (windowed for long scripts)</Option>
+              <Option value="single">Single request</Option>
+              <Option value="windowed">Windowed (background job)</Option>
+            </Select>
+          </FormControl>
+
           <Box sx={{ display: 'flex', gap: 2, alignItems: 'end' }}>
             <Button
               type="submit"
               loading={loading}
               loadingIndicator={<CircularProgress size="sm" />}
-              disabled={!title.trim() || !script.trim()}
+              disabled={!canSubmit}
               sx={{ minWidth: '200px', fontWeight: 'normal' }}
             >
-              {loading ? 'Processing' : 'Create & Chunk Script'}
+              {loading ? 'Processing' : isImport ? 'Import Subtitles' : 'Create & Chunk Script'}
             </Button>
             
             {loading && (
               <Typography level="body-sm" color="neutral" sx={{ fontWeight: 'normal' }}>
-                AI is analyzing your script...
+                {chunker === 'claude' ? 'AI is analyzing your script...' : 'Chunking your script...'}
               </Typography>
             )}
           </Box>
         </Box>
 
-        <FormControl>
-          <FormLabel sx={{ fontWeight: 'normal' }}>Script Content</FormLabel>
-          <Textarea
-            placeholder="Paste your script content here..."
-            value={script}
-            onChange={(e) => setScript(e.target.value)}
-            minRows={10}
-            maxRows={25}
-            disabled={loading}
-            required
-            sx={{ 
-              fontSize: '14px', 
-              lineHeight: 1.6,
-              fontFamily: 'system-ui, -apple-system, sans-serif'
-            }}
-          />
-        </FormControl>
+        <Box sx={{ mb: 3 }}>
+          <PacingFields pacing={pacing} onChange={setPacing} disabled={loading} />
+        </Box>
+
+        {isImport ? (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <FormControl>
+              <FormLabel sx={{ fontWeight: 'normal' }}>Subtitle File</FormLabel>
+              <Input
+                type="file"
+                slotProps={{ input: { accept: '.srt,.vtt' } }}
+                onChange={(e) => setSubtitleFile(e.target.files?.[0] || null)}
+                disabled={loading}
+              />
+            </FormControl>
+            <Checkbox
+              label="Group short cues to the target chunk length"
+              checked={groupCues}
+              onChange={(e) => setGroupCues(e.target.checked)}
+              disabled={loading}
+            />
+            <Checkbox
+              label="Generate topics with AI after import"
+              checked={generateTopics}
+              onChange={(e) => setGenerateTopics(e.target.checked)}
+              disabled={loading}
+            />
+          </Box>
+        ) : (
+          <FormControl>
+            <FormLabel sx={{ fontWeight: 'normal' }}>Script Content</FormLabel>
+            <Textarea
+              placeholder="Paste your script content here..."
+              value={script}
+              onChange={(e) => setScript(e.target.value)}
+              minRows={10}
+              maxRows={25}
+              disabled={loading}
+              required
+              sx={{ 
+                fontSize: '14px', 
+                lineHeight: 1.6,
+                fontFamily: 'system-ui, -apple-system, sans-serif'
+              }}
+            />
+          </FormControl>
+        )}
       </Box>
     </Card>
   );
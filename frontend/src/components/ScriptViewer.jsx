@@ -8,22 +8,124 @@ import {
   Stack,
   Divider,
   Alert,
+  LinearProgress,
+  Dropdown,
+  Menu,
+  MenuButton,
+  MenuItem,
 } from '@mui/joy';
 import ChunkCard from './ChunkCard';
 import BatchImageGenerator from './BatchImageGenerator';
+import AnimaticRenderer from './AnimaticRenderer';
 import YouTubeMetadataGenerator from './YouTubeMetadataGenerator';
+import PacingFields, { DEFAULT_PACING, toPacingPayload } from './PacingFields';
 import { scriptAPI } from '../services/api';
 
 const ScriptViewer = ({ script: initialScript }) => {
   const [script, setScript] = useState(initialScript);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [chunkingStatus, setChunkingStatus] = useState(null);
+  const [pacing, setPacing] = useState(DEFAULT_PACING);
+  const [retiming, setRetiming] = useState(false);
+  const [generatingTopics, setGeneratingTopics] = useState(false);
+  const [jobEvent, setJobEvent] = useState(null);
+  // chunkId -> { status: 'processing' | 'failed', error, errorType } for chunks of a running batch job
+  const [liveChunkStatus, setLiveChunkStatus] = useState({});
 
   // Update script when prop changes
   useEffect(() => {
     setScript(initialScript);
   }, [initialScript]);
 
+  useEffect(() => {
+    setPacing({
+      ...DEFAULT_PACING,
+      ...script?.pacing,
+      imagesPerMinute: script?.pacing?.imagesPerMinute ?? '',
+    });
+  }, [script?._id, script?.pacing]);
+
+  const isChunking = script?.chunkingStatus === 'pending' || script?.chunkingStatus === 'processing';
+
+  // Poll windowed chunking progress until the background job finishes
+  useEffect(() => {
+    let interval;
+
+    if (isChunking && script?._id) {
+      interval = setInterval(async () => {
+        try {
+          const status = await scriptAPI.getChunkingStatus(script._id);
+          setChunkingStatus(status);
+
+          if (status.chunkingStatus === 'completed' || status.chunkingStatus === 'failed') {
+            const updatedScript = await scriptAPI.getScript(script._id);
+            setScript(updatedScript);
+          }
+        } catch (err) {
+          console.error('Error polling chunking status:', err);
+        }
+      }, 3000); // Poll every 3 seconds
+    }
+
+    return () => {
+      if (interval) {
+        clearInterval(interval);
+      }
+    };
+  }, [isChunking, script?._id]);
+
+  // Live job events: batch images show up on their chunk as soon as they're generated
+  useEffect(() => {
+    if (!script?._id) return;
+
+    setLiveChunkStatus({});
+    const eventSource = new EventSource(scriptAPI.jobs.getEventsUrl(script._id));
+
+    eventSource.onmessage = (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch (err) {
+        console.error('Error parsing job event:', err);
+        return;
+      }
+
+      if (event.type === 'chunk:started') {
+        setLiveChunkStatus(prev => ({ ...prev, [event.chunkId]: { status: 'processing' } }));
+      } else if (event.type === 'chunk:completed') {
+        setScript(prevScript => ({
+          ...prevScript,
+          chunks: prevScript.chunks.map(chunk =>
+            chunk.id === event.chunkId ? { ...chunk, ...event.chunk } : chunk
+          )
+        }));
+        setLiveChunkStatus(prev => {
+          const next = { ...prev };
+          delete next[event.chunkId];
+          return next;
+        });
+      } else if (event.type === 'chunk:failed') {
+        setLiveChunkStatus(prev => ({
+          ...prev,
+          [event.chunkId]: { status: 'failed', error: event.error, errorType: event.errorType }
+        }));
+      } else if (event.type === 'job:started' || event.type === 'job:retrying') {
+        // Failures of an earlier run are being retried
+        setLiveChunkStatus({});
+      }
+
+      setJobEvent(event);
+    };
+
+    eventSource.onerror = () => {
+      // EventSource reconnects by itself; BatchImageGenerator keeps polling meanwhile
+      console.warn('Job event stream interrupted, reconnecting...');
+    };
+
+    return () => eventSource.close();
+  }, [script?._id]);
+
   const handleChunkUpdated = (updatedChunk) => {
     setScript(prevScript => ({
       ...prevScript,
@@ -33,6 +135,19 @@ const ScriptViewer = ({ script: initialScript }) => {
     }));
   };
 
+  const handleScriptUpdated = (updatedScript) => {
+    setScript(updatedScript);
+  };
+
+  // Move a chunk up (-1) or down (+1) in the timeline
+  const handleMoveChunk = async (chunkId, offset) => {
+    const chunkIds = script.chunks.map(chunk => chunk.id);
+    const from = chunkIds.indexOf(chunkId);
+    const to = from + offset;
+    [chunkIds[from], chunkIds[to]] = [chunkIds[to], chunkIds[from]];
+    return scriptAPI.reorderChunks(script._id, chunkIds);
+  };
+
   const refreshScript = async () => {
     if (!script?._id) return;
 
@@ -66,10 +181,57 @@ const ScriptViewer = ({ script: initialScript }) => {
 
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
+    const secs = Math.floor(seconds % 60);
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  const handleRetime = async () => {
+    setRetiming(true);
+    setError('');
+
+    try {
+      const result = await scriptAPI.retimeScript(script._id, toPacingPayload(pacing));
+      setScript(result.script);
+    } catch (err) {
+      console.error('Error re-timing chunks:', err);
+      setError(err.response?.data?.error || 'Failed to re-time chunks');
+    } finally {
+      setRetiming(false);
+    }
+  };
+
+  const exportFormats = [
+    { format: 'srt', label: 'Subtitles (.srt)' },
+    { format: 'vtt', label: 'WebVTT (.vtt)' },
+    { format: 'csv', label: 'Spreadsheet (.csv)' },
+    { format: 'json', label: 'Cue sheet (.json)' },
+  ];
+
+  const hasImages = script.chunks?.some(chunk => chunk.imageUrl || chunk.secondaryImageUrl);
+
+  const downloadFile = (url) => {
+    const link = document.createElement('a');
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  const handleGenerateTopics = async () => {
+    setGeneratingTopics(true);
+    setError('');
+
+    try {
+      const result = await scriptAPI.generateTopics(script._id);
+      setScript(result.script);
+    } catch (err) {
+      console.error('Error generating topics:', err);
+      setError(err.response?.data?.error || 'Failed to generate topics');
+    } finally {
+      setGeneratingTopics(false);
+    }
+  };
+
   const handleBatchComplete = () => {
     // Refresh the script to show newly generated images
     refreshScript();
@@ -83,11 +245,41 @@ const ScriptViewer = ({ script: initialScript }) => {
         </Alert>
       )}
 
+      {isChunking && (
+        <Card variant="outlined" sx={{ p: 4, mb: 4 }}>
+          <Typography level="h4" sx={{ fontWeight: 'normal', mb: 2 }}>
+            ✂️ Chunking long script
+          </Typography>
+          <Typography level="body-sm" color="neutral" sx={{ mb: 2 }}>
+            {chunkingStatus?.hasJob
+              ? `${chunkingStatus.processedWindows} / ${chunkingStatus.totalWindows} windows chunked (${chunkingStatus.chunksCreated} chunks so far)`
+              : 'Waiting for the chunking job to start...'}
+          </Typography>
+          <LinearProgress
+            determinate={!!chunkingStatus?.hasJob}
+            value={chunkingStatus?.progress || 0}
+            sx={{ height: 6 }}
+          />
+        </Card>
+      )}
+
+      {script.chunkingStatus === 'failed' && (
+        <Alert color="danger" sx={{ mb: 2 }}>
+          Chunking failed: {script.chunkingError || 'Unknown error'}
+        </Alert>
+      )}
+
       {/* Batch Image Generator */}
-      <BatchImageGenerator 
-        script={script} 
-        onBatchComplete={handleBatchComplete}
-      />
+      {!isChunking && (
+        <BatchImageGenerator 
+          script={script} 
+          jobEvent={jobEvent}
+          onBatchComplete={handleBatchComplete}
+        />
+      )}
+
+      {/* Animatic Preview */}
+      {!isChunking && <AnimaticRenderer script={script} />}
 
       {/* YouTube Metadata Generator */}
       <YouTubeMetadataGenerator script={script} />
@@ -138,15 +330,77 @@ const ScriptViewer = ({ script: initialScript }) => {
             </Box>
           </Box>
           
-          <Button
-            variant="outlined"
-            size="sm"
-            onClick={refreshScript}
-            loading={loading}
-            sx={{ fontWeight: 'normal' }}
-          >
-            Refresh Data
-          </Button>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            {script.chunks?.some(chunk => !chunk.topic) && !isChunking && (
+              <Button
+                variant="outlined"
+                size="sm"
+                onClick={handleGenerateTopics}
+                loading={generatingTopics}
+                sx={{ fontWeight: 'normal' }}
+              >
+                Generate Missing Topics
+              </Button>
+            )}
+            <Dropdown>
+              <MenuButton
+                variant="outlined"
+                size="sm"
+                disabled={isChunking || !script.chunks?.length}
+                sx={{ fontWeight: 'normal' }}
+              >
+                Export
+              </MenuButton>
+              <Menu size="sm" placement="bottom-end">
+                {exportFormats.map(({ format, label }) => (
+                  <MenuItem key={format} onClick={() => downloadFile(scriptAPI.getExportUrl(script._id, format))}>
+                    {label}
+                  </MenuItem>
+                ))}
+                <Divider />
+                <MenuItem
+                  disabled={!hasImages}
+                  onClick={() => downloadFile(scriptAPI.getImagesZipUrl(script._id))}
+                >
+                  All images (.zip)
+                </MenuItem>
+                <MenuItem
+                  disabled={!hasImages}
+                  onClick={() => downloadFile(scriptAPI.getStoryboardUrl(script._id))}
+                >
+                  Editor storyboard (FCPXML, Premiere, EDL)
+                </MenuItem>
+              </Menu>
+            </Dropdown>
+            <Button
+              variant="outlined"
+              size="sm"
+              onClick={refreshScript}
+              loading={loading}
+              sx={{ fontWeight: 'normal' }}
+            >
+              Refresh Data
+            </Button>
+          </Box>
+        </Box>
+
+        <Box sx={{ mb: 3 }}>
+          <Typography level="title-sm" sx={{ mb: 2, fontWeight: 'normal' }}>
+            Pacing
+          </Typography>
+          <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '1fr auto' }, gap: 2, alignItems: 'end' }}>
+            <PacingFields pacing={pacing} onChange={setPacing} disabled={retiming || isChunking} />
+            <Button
+              variant="outlined"
+              size="sm"
+              onClick={handleRetime}
+              loading={retiming}
+              disabled={isChunking || !script.chunks?.length}
+              sx={{ fontWeight: 'normal' }}
+            >
+              Re-time Chunks
+            </Button>
+          </Box>
         </Box>
 
         <Box>
@@ -180,12 +434,17 @@ const ScriptViewer = ({ script: initialScript }) => {
 
       {script.chunks && script.chunks.length > 0 ? (
         <Stack spacing={2}>
-          {script.chunks.map((chunk) => (
+          {script.chunks.map((chunk, index) => (
             <ChunkCard
               key={chunk.id}
               chunk={chunk}
               scriptId={script._id}
+              index={index}
+              totalChunks={script.chunks.length}
+              liveStatus={liveChunkStatus[chunk.id]}
               onChunkUpdated={handleChunkUpdated}
+              onScriptUpdated={handleScriptUpdated}
+              onMoveChunk={handleMoveChunk}
             />
           ))}
         </Stack>
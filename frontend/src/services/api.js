@@ -31,8 +31,51 @@ api.interceptors.response.use(
 
 export const scriptAPI = {
   // Create a new script
-  createScript: async (title, script) => {
-    const response = await api.post('/scripts', { title, script });
+  createScript: async (title, script, options = {}) => {
+    const response = await api.post('/scripts', { title, script, ...options });
+    return response.data;
+  },
+
+  // Import an .srt or .vtt file as pre-timed chunks
+  importSubtitles: async (file, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (options.title) formData.append('title', options.title);
+    if (options.pacing) formData.append('pacing', JSON.stringify(options.pacing));
+    formData.append('group', String(options.group ?? true));
+    formData.append('generateTopics', String(options.generateTopics ?? false));
+
+    const response = await api.post('/scripts/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  // Fill in missing chunk topics with AI
+  generateTopics: async (scriptId, overwrite = false) => {
+    const response = await api.post(`/scripts/${scriptId}/generate-topics`, { overwrite });
+    return response.data;
+  },
+
+  // Download URL for the chunk timeline in srt, vtt, json or csv
+  getExportUrl: (scriptId, format) => {
+    return `${API_BASE_URL}/scripts/${scriptId}/export?format=${format}`;
+  },
+
+  // Download URL for every chunk image in timeline order plus a manifest CSV
+  getImagesZipUrl: (scriptId) => {
+    return `${API_BASE_URL}/scripts/${scriptId}/images.zip`;
+  },
+
+  // Download URL for the editor storyboard zip (FCPXML, Premiere XML, EDL and images)
+  getStoryboardUrl: (scriptId, options = {}) => {
+    const params = new URLSearchParams(options).toString();
+    return `${API_BASE_URL}/scripts/${scriptId}/storyboard.zip${params ? `?${params}` : ''}`;
+  },
+
+  // Get background (windowed) chunking status
+  getChunkingStatus: async (scriptId) => {
+    const response = await api.get(`/scripts/${scriptId}/chunking-status`);
     return response.data;
   },
 
@@ -48,6 +91,12 @@ export const scriptAPI = {
     return response.data;
   },
 
+  // Recompute chunk timings from pacing without re-chunking
+  retimeScript: async (scriptId, pacing) => {
+    const response = await api.post(`/scripts/${scriptId}/retime`, { pacing });
+    return response.data;
+  },
+
   // Regenerate a chunk
   regenerateChunk: async (scriptId, chunkId, context = '') => {
     const response = await api.put(`/scripts/${scriptId}/chunks/${chunkId}/regenerate`, {
@@ -56,24 +105,76 @@ export const scriptAPI = {
     return response.data;
   },
 
+  // Edit chunk text (and optionally topic)
+  updateChunk: async (scriptId, chunkId, updates) => {
+    const response = await api.put(`/scripts/${scriptId}/chunks/${chunkId}`, updates);
+    return response.data;
+  },
+
+  // Split a chunk after the given number of words
+  splitChunk: async (scriptId, chunkId, wordOffset) => {
+    const response = await api.post(`/scripts/${scriptId}/chunks/${chunkId}/split`, { wordOffset });
+    return response.data;
+  },
+
+  // Merge a chunk with the next or previous chunk
+  mergeChunk: async (scriptId, chunkId, direction = 'next') => {
+    const response = await api.post(`/scripts/${scriptId}/chunks/${chunkId}/merge`, { direction });
+    return response.data;
+  },
+
+  // Insert a new chunk after afterChunkId (or at the start when null)
+  insertChunk: async (scriptId, content, afterChunkId = null) => {
+    const response = await api.post(`/scripts/${scriptId}/chunks`, { content, afterChunkId });
+    return response.data;
+  },
+
+  // Delete a chunk
+  deleteChunk: async (scriptId, chunkId) => {
+    const response = await api.delete(`/scripts/${scriptId}/chunks/${chunkId}`);
+    return response.data;
+  },
+
+  // Reorder chunks
+  reorderChunks: async (scriptId, chunkIds) => {
+    const response = await api.put(`/scripts/${scriptId}/chunks/order`, { chunkIds });
+    return response.data;
+  },
+
   // Generate image for a chunk
-  generateImage: async (scriptId, chunkId, color = 'white', quality = 'high', style = 'infographic', provider = 'openai') => {
+  // generationParams: optional { size, seed, steps, negativePrompt } for providers that accept them,
+  // imageVariants, candidates, and prompt / secondaryPrompt to replace the provider's prompts
+  generateImage: async (scriptId, chunkId, color = 'white', quality = 'high', style = 'infographic', provider = 'openai', generationParams = {}) => {
     const response = await api.post(`/scripts/${scriptId}/chunks/${chunkId}/generate-image`, {
       color,
       quality,
       style,
       provider,
+      ...generationParams,
     });
     return response.data;
   },
 
+  // Make one of a chunk's stored image candidates its image
+  selectImageCandidate: async (scriptId, chunkId, index) => {
+    const response = await api.put(`/scripts/${scriptId}/chunks/${chunkId}/image-candidate`, { index });
+    return response.data;
+  },
+
+  // Restore an earlier version from a chunk's image history
+  restoreImageVersion: async (scriptId, chunkId, versionId) => {
+    const response = await api.put(`/scripts/${scriptId}/chunks/${chunkId}/image-version`, { versionId });
+    return response.data;
+  },
+
   // Batch generate images for all chunks
-  batchGenerateImages: async (scriptId, color = 'white', quality = 'high', style = 'infographic', provider = 'openai') => {
+  batchGenerateImages: async (scriptId, color = 'white', quality = 'high', style = 'infographic', provider = 'openai', generationParams = {}) => {
     const response = await api.post(`/scripts/${scriptId}/batch-generate-images`, {
       color,
       quality,
       style,
       provider,
+      ...generationParams,
     });
     return response.data;
   },
@@ -90,6 +191,41 @@ export const scriptAPI = {
     return response.data;
   },
 
+  // Pause batch job; images already being generated still finish
+  pauseBatchJob: async (scriptId) => {
+    const response = await api.post(`/scripts/${scriptId}/pause-batch`);
+    return response.data;
+  },
+
+  // Resume a paused batch job where it left off
+  resumeBatchJob: async (scriptId) => {
+    const response = await api.post(`/scripts/${scriptId}/resume-batch`);
+    return response.data;
+  },
+
+  // Start rendering an animatic MP4 from the chunk images
+  renderAnimatic: async (scriptId, options = {}) => {
+    const response = await api.post(`/scripts/${scriptId}/animatic`, options);
+    return response.data;
+  },
+
+  // Get animatic render status
+  getAnimaticStatus: async (scriptId) => {
+    const response = await api.get(`/scripts/${scriptId}/animatic-status`);
+    return response.data;
+  },
+
+  // Cancel animatic render
+  cancelAnimatic: async (scriptId) => {
+    const response = await api.post(`/scripts/${scriptId}/cancel-animatic`);
+    return response.data;
+  },
+
+  // Download URL for a rendered animatic
+  getAnimaticDownloadUrl: (scriptId, jobId) => {
+    return `${API_BASE_URL}/scripts/${scriptId}/animatic/${jobId}/download`;
+  },
+
   // Clear all jobs for a script (debug)
   clearAllJobs: async (scriptId) => {
     const response = await api.post(`/scripts/${scriptId}/clear-jobs`);
@@ -153,6 +289,34 @@ export const scriptAPI = {
       return `${API_BASE_URL}/logs/stream/${filename}`;
     }
   },
+
+  // Jobs API
+  jobs: {
+    // List jobs, newest first (filters: scriptId, status, type, from, to; paging: limit, offset)
+    list: async (filters = {}) => {
+      const response = await api.get('/jobs', { params: filters });
+      return response.data;
+    },
+
+    // Get one job with per-chunk status, errors, durations and providers
+    get: async (jobId) => {
+      const response = await api.get(`/jobs/${jobId}`);
+      return response.data;
+    },
+
+    // Requeue only the failed chunks of a finished batch job (optionally with another provider, style, ...)
+    retryFailed: async (jobId, options = {}) => {
+      const response = await api.post(`/jobs/${jobId}/retry-failed`, options);
+      return response.data;
+    },
+
+    // Get the job events stream URL for Server-Sent Events (only this script's jobs when given)
+    getEventsUrl: (scriptId) => {
+      return scriptId
+        ? `${API_BASE_URL}/jobs/events?scriptId=${encodeURIComponent(scriptId)}`
+        : `${API_BASE_URL}/jobs/events`;
+    },
+  },
 };
 
 export default api;
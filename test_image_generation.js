@@ -1,8 +1,10 @@
-const OpenAIService = require('./backend/services/openaiService');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config({ path: './backend/.env' });
+// Load after dotenv: the provider registry reads IMAGE_PROVIDERS / MOCK_PROVIDERS when required
+const ImageService = require('./backend/services/imageService');
 
+// Run offline with MOCK_PROVIDERS=true; pick another provider with TEST_IMAGE_PROVIDER
 async function testImageGeneration() {
     console.log('🧪 Starting image generation test...');
     
@@ -14,8 +16,11 @@ async function testImageGeneration() {
     }
 
     try {
-        // Initialize OpenAI service
-        const openaiService = new OpenAIService();
+        const imageService = new ImageService();
+        const provider = process.env.TEST_IMAGE_PROVIDER || imageService.getDefaultProvider();
+        if (!provider || !imageService.isProviderAvailable(provider)) {
+            throw new Error(`Image provider '${provider}' is not available. Set its API key or MOCK_PROVIDERS=true`);
+        }
         
         // Test content for image generation
         const testContent = "A beautiful sunset over mountains with vibrant colors";
@@ -23,14 +28,18 @@ async function testImageGeneration() {
         const testQuality = "high";
         const testStyle = "illustration";
         
-        console.log('🎨 Generating test image...');
+        console.log(`🎨 Generating test image with ${provider}...`);
         console.log(`   Content: "${testContent}"`);
         console.log(`   Color: ${testColor}`);
         console.log(`   Quality: ${testQuality}`);
         console.log(`   Style: ${testStyle}`);
         
         // Generate the image
-        const imageUrl = await openaiService.generateImage(testContent, testColor, testQuality, testStyle);
+        const { imageUrl } = await imageService.generate(testContent, provider, {
+            color: testColor,
+            quality: testQuality,
+            style: testStyle
+        });
         
         console.log('✅ Image generated successfully!');
         console.log(`   Image URL: ${imageUrl}`);
@@ -67,6 +76,10 @@ async function testImageGeneration() {
             console.log('\n💡 Tip: Make sure your OpenAI API key is set in backend/.env');
             console.log('   OPENAI_API_KEY=your_api_key_here');
         }
+        if (error.message.includes('not available')) {
+            console.log('\n💡 Tip: Run offline with placeholder images:');
+            console.log('   MOCK_PROVIDERS=true node test_image_generation.js');
+        }
         
         process.exit(1);
     }